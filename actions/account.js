@@ -3,17 +3,22 @@
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
-
-const serializeDecimal = (obj) => {
-  const serialized = { ...obj };
-  if (obj.balance) {
-    serialized.balance = obj.balance.toNumber();
-  }
-  if (obj.amount) {
-    serialized.amount = obj.amount.toNumber();
-  }
-  return serialized;
-};
+import {
+  applyBalanceChanges,
+  getBalanceChanges,
+  mergeBalanceChanges,
+  reverseBalanceChanges,
+} from "@/lib/balance";
+import {
+  buildAuditEntry,
+  recordAudit,
+  transactionAuditEntry,
+} from "@/lib/audit";
+import { serializeMoney } from "@/lib/money";
+import { accountSettingsSchema } from "@/app/lib/schema";
+import { getAccountTypeFields } from "@/lib/accounts";
+import { getCategoriesForUser } from "@/lib/categories";
+import { getFallbackCategory } from "@/data/categories";
 
 export async function getAccountWithTransactions(accountId) {
   const { userId } = await auth();
@@ -32,20 +37,48 @@ export async function getAccountWithTransactions(accountId) {
     },
     include: {
       transactions: {
+        where: { deletedAt: null },
+        include: {
+          transferAccount: { select: { id: true, name: true } },
+          splits: { orderBy: { createdAt: "asc" } },
+          tags: { select: { id: true, name: true }, orderBy: { name: "asc" } },
+        },
+        orderBy: { date: "desc" },
+      },
+      incomingTransfers: {
+        where: { deletedAt: null },
+        include: {
+          account: { select: { id: true, name: true } },
+          tags: { select: { id: true, name: true }, orderBy: { name: "asc" } },
+        },
         orderBy: { date: "desc" },
       },
       _count: {
-        select: { transactions: true },
+        select: {
+          transactions: { where: { deletedAt: null } },
+          incomingTransfers: { where: { deletedAt: null } },
+        },
       },
     },
   });
 
   if (!account) return null;
 
-  return {
-    ...serializeDecimal(account),
-    transactions: account.transactions.map(serializeDecimal),
-  };
+  // Transfers into this account are stored on the source account, so merge
+  // them in to show both sides of the transfer
+  const { incomingTransfers, ...rest } = account;
+  const transactions = [...account.transactions, ...incomingTransfers].sort(
+    (a, b) => b.date - a.date
+  );
+
+  return serializeMoney({
+    ...rest,
+    _count: {
+      transactions:
+        account._count.transactions + account._count.incomingTransfers,
+    },
+    transactions,
+  });
 }
 
 export async function bulkDeleteTransactions(transactionIds) {
@@ -64,48 +97,57 @@ export async function bulkDeleteTransactions(transactionIds) {
       where: {
         id: { in: transactionIds },
         userId: user.id,
+        deletedAt: null,
       },
+      include: { splits: true, tags: true },
     });
 
-    // Group transactions by account to update balances
-    const accountBalanceChanges = transactions.reduce((acc, transaction) => {
-      const change =
-        transaction.type === "EXPENSE"
-          ? transaction.amount
-          : -transaction.amount;
-      acc[transaction.accountId] = (acc[transaction.accountId] || 0) + change;
-      return acc;
-    }, {});
+    const locked = transactions.filter((t) => t.reconciliationId).length;
+    if (locked > 0) {
+      throw new Error(
+        `${locked} of the selected transactions have been reconciled. Unlock them before deleting.`
+      );
+    }
+
+    const deletedIds = transactions.map((transaction) => transaction.id);
+
+    // Reverse each transaction's effect on every account it touched
+    const accountBalanceChanges = mergeBalanceChanges(
+      ...transactions.map((transaction) =>
+        reverseBalanceChanges(getBalanceChanges(transaction))
+      )
+    );
 
-    // Delete transactions and update account balances in a transaction
+    // Move transactions to the trash and update account balances in a
+    // transaction. They can be restored from there until they are purged.
     await db.$transaction(async (tx) => {
-      // Delete transactions
-      await tx.transaction.deleteMany({
+      await tx.transaction.updateMany({
         where: {
-          id: { in: transactionIds },
+          id: { in: deletedIds },
           userId: user.id,
         },
+        data: { deletedAt: new Date() },
       });
 
       // Update account balances
-      for (const [accountId, balanceChange] of Object.entries(
-        accountBalanceChanges
-      )) {
-        await tx.account.update({
-          where: { id: accountId },
-          data: {
-            balance: {
-              increment: balanceChange,
-            },
-          },
-        });
-      }
+      await applyBalanceChanges(tx, accountBalanceChanges);
+
+      await recordAudit(
+        tx,
+        transactions.map((transaction) =>
+          transactionAuditEntry("DELETE", "UI", {
+            before: transaction,
+            actorId: user.id,
+          })
+        )
+      );
     });
 
     revalidatePath("/dashboard");
     revalidatePath("/account/[id]");
+    revalidatePath("/trash");
 
-    return { success: true };
+    return { success: true, data: { deletedIds } };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -124,6 +166,10 @@ export async function updateDefaultAccount(accountId) {
       throw new Error("User not found");
     }
 
+    const previousDefaults = await db.account.findMany({
+      where: { userId: user.id, isDefault: true },
+    });
+
     // First, unset any existing default account
     await db.account.updateMany({
       where: {
@@ -142,8 +188,359 @@ export async function updateDefaultAccount(accountId) {
       data: { isDefault: true },
     });
 
+    // The old default account loses the flag and the new one gains it
+    const wasDefault = previousDefaults.some((a) => a.id === account.id);
+    await recordAudit(db, [
+      ...previousDefaults
+        .filter((previous) => previous.id !== account.id)
+        .map((previous) =>
+          buildAuditEntry({
+            entityType: "ACCOUNT",
+            entityId: previous.id,
+            action: "UPDATE",
+            source: "UI",
+            userId: user.id,
+            actorId: user.id,
+            before: previous,
+            after: { isDefault: false },
+          })
+        ),
+      !wasDefault &&
+        buildAuditEntry({
+          entityType: "ACCOUNT",
+          entityId: account.id,
+          action: "UPDATE",
+          source: "UI",
+          userId: user.id,
+          actorId: user.id,
+          before: { isDefault: false },
+          after: account,
+        }),
+    ]);
+
+    revalidatePath("/dashboard");
+    return { success: true, data: serializeMoney(account) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Rename an account, change its type or its type-specific details
+export async function updateAccount(accountId, data) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const parsed = accountSettingsSchema.safeParse(data);
+    if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+
+    const existing = await db.account.findUnique({
+      where: { id: accountId, userId: user.id },
+    });
+
+    if (!existing) throw new Error("Account not found");
+
+    const account = await db.$transaction(async (tx) => {
+      const updated = await tx.account.update({
+        where: { id: existing.id },
+        data: {
+          name: parsed.data.name,
+          type: parsed.data.type,
+          ...getAccountTypeFields(parsed.data),
+        },
+      });
+
+      await recordAudit(
+        tx,
+        buildAuditEntry({
+          entityType: "ACCOUNT",
+          entityId: existing.id,
+          action: "UPDATE",
+          source: "UI",
+          userId: user.id,
+          actorId: user.id,
+          before: existing,
+          after: updated,
+        })
+      );
+
+      return updated;
+    });
+
     revalidatePath("/dashboard");
-    return { success: true, data: serializeTransaction(account) };
+    revalidatePath(`/account/${account.id}`);
+
+    return { success: true, data: serializeMoney(account) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Archive an account, or bring it back. Archived accounts drop out of account
+// pickers and the dashboard, and stop recurring transactions, but their
+// transactions stay in history and reports.
+export async function setAccountArchived(accountId, archived) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const existing = await db.account.findUnique({
+      where: { id: accountId, userId: user.id },
+    });
+
+    if (!existing) throw new Error("Account not found");
+    if (archived && existing.isDefault) {
+      throw new Error(
+        "Make another account the default before archiving this one"
+      );
+    }
+
+    const account = await db.$transaction(async (tx) => {
+      const updated = await tx.account.update({
+        where: { id: existing.id },
+        data: { archivedAt: archived ? new Date() : null },
+      });
+
+      await recordAudit(
+        tx,
+        buildAuditEntry({
+          entityType: "ACCOUNT",
+          entityId: existing.id,
+          action: "UPDATE",
+          source: "UI",
+          userId: user.id,
+          actorId: user.id,
+          before: existing,
+          after: updated,
+        })
+      );
+
+      return updated;
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${account.id}`);
+
+    return { success: true, data: serializeMoney(account) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Delete an account for good. With `moveToAccountId` its transactions move to
+// that account first, and transfers between the two are deleted as they'd no
+// longer go anywhere. Without it, its transactions are deleted with it, and
+// transfers to or from other accounts become income or expenses there so
+// those accounts keep their balances and history. Its reconciliations go with
+// it, so transactions locked by them have to be unlocked before they can move.
+export async function deleteAccount(accountId, { moveToAccountId } = {}) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId: user.id },
+    });
+
+    if (!account) throw new Error("Account not found");
+    if (account.isDefault) {
+      throw new Error(
+        "Make another account the default before deleting this one"
+      );
+    }
+
+    let target = null;
+    if (moveToAccountId) {
+      target = await db.account.findUnique({
+        where: { id: moveToAccountId, userId: user.id, archivedAt: null },
+      });
+
+      if (!target || target.id === account.id) {
+        throw new Error("Account to move transactions to not found");
+      }
+      // Amounts are in the account's currency
+      if (target.currency !== account.currency) {
+        throw new Error(
+          "Transactions can only move to an account in the same currency"
+        );
+      }
+    }
+
+    // Every transaction touching the account, including trashed ones
+    const transactions = await db.transaction.findMany({
+      where: {
+        userId: user.id,
+        OR: [{ accountId: account.id }, { transferAccountId: account.id }],
+      },
+      include: { splits: true, tags: true },
+    });
+    const categories = await getCategoriesForUser(user.id);
+
+    const updates = [];
+    const removed = [];
+    for (const transaction of transactions) {
+      const isOwn = transaction.accountId === account.id;
+      const otherAccountId = isOwn
+        ? transaction.transferAccountId
+        : transaction.accountId;
+
+      if (target && otherAccountId === target.id) {
+        removed.push(transaction);
+      } else if (target) {
+        updates.push({
+          transaction,
+          data: isOwn
+            ? { accountId: target.id }
+            : { transferAccountId: target.id },
+        });
+      } else if (otherAccountId) {
+        const type = isOwn ? "INCOME" : "EXPENSE";
+        updates.push({
+          transaction,
+          data: {
+            type,
+            accountId: otherAccountId,
+            transferAccountId: null,
+            category: getFallbackCategory(categories, type)?.id,
+          },
+        });
+      } else {
+        removed.push(transaction);
+      }
+    }
+
+    const reconciliations = await db.reconciliation.findMany({
+      where: { accountId: account.id },
+      select: { id: true },
+    });
+    const reconciliationIds = reconciliations.map((r) => r.id);
+    const locked = updates.filter(({ transaction }) =>
+      reconciliationIds.includes(transaction.reconciliationId)
+    ).length;
+    if (locked > 0) {
+      throw new Error(
+        `${locked} reconciled transactions would move to another account. Unlock them before deleting this one.`
+      );
+    }
+
+    // A statement line imported into both accounts can only be on one of
+    // them, so the moved copy gives up its import id. It only stops the line
+    // being imported again.
+    const movedImports = updates.filter(
+      ({ transaction, data }) =>
+        transaction.importId &&
+        data.accountId &&
+        data.accountId !== transaction.accountId
+    );
+    if (movedImports.length > 0) {
+      const existing = await db.transaction.findMany({
+        where: {
+          OR: movedImports.map(({ transaction, data }) => ({
+            accountId: data.accountId,
+            importId: transaction.importId,
+          })),
+        },
+        select: { accountId: true, importId: true },
+      });
+
+      for (const { transaction, data } of movedImports) {
+        if (
+          existing.some(
+            (t) =>
+              t.accountId === data.accountId &&
+              t.importId === transaction.importId
+          )
+        ) {
+          data.importId = null;
+        }
+      }
+    }
+
+    // Trashed transactions already had their effect on balances reversed, and
+    // the deleted account's balance no longer matters
+    const balanceChanges = mergeBalanceChanges(
+      ...updates
+        .filter(({ transaction }) => !transaction.deletedAt)
+        .flatMap(({ transaction, data }) => [
+          reverseBalanceChanges(getBalanceChanges(transaction)),
+          getBalanceChanges({ ...transaction, ...data }),
+        ]),
+      ...removed
+        .filter((transaction) => !transaction.deletedAt)
+        .map((transaction) =>
+          reverseBalanceChanges(getBalanceChanges(transaction))
+        )
+    );
+    delete balanceChanges[account.id];
+
+    await db.$transaction(async (tx) => {
+      for (const { transaction, data } of updates) {
+        await tx.transaction.update({
+          where: { id: transaction.id },
+          data,
+        });
+      }
+
+      await tx.transaction.deleteMany({
+        where: { id: { in: removed.map((transaction) => transaction.id) } },
+      });
+
+      await applyBalanceChanges(tx, balanceChanges);
+      await tx.account.delete({ where: { id: account.id } });
+
+      await recordAudit(tx, [
+        ...updates.map(({ transaction, data }) =>
+          transactionAuditEntry("UPDATE", "UI", {
+            before: transaction,
+            after: { ...transaction, ...data },
+            actorId: user.id,
+          })
+        ),
+        ...removed.map((transaction) =>
+          transactionAuditEntry("DELETE", "UI", {
+            before: transaction,
+            actorId: user.id,
+          })
+        ),
+        buildAuditEntry({
+          entityType: "ACCOUNT",
+          entityId: account.id,
+          action: "DELETE",
+          source: "UI",
+          userId: user.id,
+          actorId: user.id,
+          before: account,
+        }),
+      ]);
+    });
+
+    revalidatePath("/dashboard");
+    for (const changedAccountId of Object.keys(balanceChanges)) {
+      revalidatePath(`/account/${changedAccountId}`);
+    }
+
+    return {
+      success: true,
+      data: { moved: updates.length, deleted: removed.length },
+    };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -0,0 +1,103 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+
+const HISTORY_LIMIT = 200;
+
+export async function getTransactionHistory(transactionId) {
+  try {
+    const user = await getCurrentUser();
+
+    const entries = await db.auditLog.findMany({
+      where: {
+        userId: user.id,
+        entityType: "TRANSACTION",
+        entityId: transactionId,
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    return { success: true, data: entries };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Changes to an account and to every transaction that touches it, newest
+// first. Each entry gets a `label` naming what it is about.
+export async function getAccountHistory(accountId) {
+  const user = await getCurrentUser();
+
+  const account = await db.account.findUnique({
+    where: { id: accountId, userId: user.id },
+  });
+
+  if (!account) return null;
+
+  // Transfers into the account are logged under their source account
+  const incomingTransfers = await db.transaction.findMany({
+    where: { userId: user.id, transferAccountId: accountId },
+    select: { id: true },
+  });
+
+  const entries = await db.auditLog.findMany({
+    where: {
+      userId: user.id,
+      OR: [
+        { accountId },
+        {
+          entityType: "TRANSACTION",
+          entityId: { in: incomingTransfers.map((t) => t.id) },
+        },
+        // Transactions since moved to another account
+        { oldValues: { path: ["accountId"], equals: accountId } },
+      ],
+    },
+    orderBy: { createdAt: "desc" },
+    take: HISTORY_LIMIT,
+  });
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId: user.id,
+      id: {
+        in: entries
+          .filter((entry) => entry.entityType === "TRANSACTION")
+          .map((entry) => entry.entityId),
+      },
+    },
+    select: { id: true, description: true },
+  });
+  const descriptions = Object.fromEntries(
+    transactions.map((t) => [t.id, t.description])
+  );
+
+  return {
+    account: { id: account.id, name: account.name, currency: account.currency },
+    entries: entries.map((entry) => ({
+      ...entry,
+      label:
+        entry.entityType === "ACCOUNT"
+          ? "Account details"
+          : // Purged transactions are only described by their last entry
+            descriptions[entry.entityId] ||
+            entry.oldValues?.description ||
+            entry.newValues?.description ||
+            "Transaction",
+    })),
+  };
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
@@ -3,8 +3,13 @@
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
+import { getCategoriesForUser } from "@/lib/categories";
+import { getMonthlyExpenses } from "@/lib/budget";
+import { DEFAULT_CURRENCY } from "@/lib/currency";
+import { buildAuditEntry, recordAudit } from "@/lib/audit";
+import { serializeMoney, toDecimal } from "@/lib/money";
 
-export async function getCurrentBudget(accountId) {
+export async function getCurrentBudget() {
   try {
     const { userId } = await auth();
     if (!userId) throw new Error("Unauthorized");
@@ -17,69 +22,64 @@ export async function getCurrentBudget(accountId) {
       throw new Error("User not found");
     }
 
-    let budget = null;
+    let budgets = [];
     try {
-      budget = await db.budget.findFirst({
+      budgets = await db.budget.findMany({
         where: {
           userId: user.id,
         },
+        orderBy: { createdAt: "asc" },
       });
     } catch (error) {
-      console.error("Error fetching budget from database:", error.message);
-      // Continue with null budget
+      console.error("Error fetching budgets from database:", error.message);
+      // Continue with no budgets
     }
 
     // Get current month's expenses
-    let expenses = { _sum: { amount: null } };
+    let expenses = {
+      total: toDecimal(0),
+      byCategory: {},
+      currency: user.baseCurrency,
+      missing: [],
+    };
     try {
-      const currentDate = new Date();
-      const startOfMonth = new Date(
-        currentDate.getFullYear(),
-        currentDate.getMonth(),
-        1
-      );
-      const endOfMonth = new Date(
-        currentDate.getFullYear(),
-        currentDate.getMonth() + 1,
-        0
-      );
-
-      expenses = await db.transaction.aggregate({
-        where: {
-          userId: user.id,
-          type: "EXPENSE",
-          date: {
-            gte: startOfMonth,
-            lte: endOfMonth,
-          },
-          accountId,
-        },
-        _sum: {
-          amount: true,
-        },
-      });
+      expenses = await getMonthlyExpenses(user.id);
     } catch (error) {
       console.error("Error fetching expenses from database:", error.message);
       // Continue with default expenses object
     }
 
-    return {
-      budget: budget ? { ...budget, amount: budget.amount.toNumber() } : null,
-      currentExpenses: expenses._sum.amount
-        ? expenses._sum.amount.toNumber()
-        : 0,
-    };
+    const overallBudget = budgets.find((budget) => !budget.category);
+
+    return serializeMoney({
+      budget: overallBudget || null,
+      currentExpenses: expenses.total,
+      // Budgets and expenses are in the user's base currency
+      currency: expenses.currency,
+      missingRates: expenses.missing,
+      categoryBudgets: budgets
+        .filter((budget) => budget.category)
+        .map((budget) => ({
+          ...budget,
+          currentExpenses: expenses.byCategory[budget.category] || 0,
+        })),
+    });
   } catch (error) {
     console.error("Error fetching budget:", error);
     // Return safe fallback values
     return {
       budget: null,
       currentExpenses: 0,
+      currency: DEFAULT_CURRENCY,
+      missingRates: [],
+      categoryBudgets: [],
     };
   }
 }
 
-export async function updateBudget(amount) {
+// Create or update the overall budget, or a category budget when `category`
+// is given
+export async function updateBudget(amount, category = null, alertThreshold) {
   try {
     const { userId } = await auth();
     if (!userId) throw new Error("Unauthorized");
@@ -90,21 +90,57 @@ export async function updateBudget(amount) {
 
     if (!user) throw new Error("User not found");
 
-    // Update or create budget
+    if (category) {
+      const categories = await getCategoriesForUser(user.id);
+      if (!categories.some((c) => c.id === category && c.type === "EXPENSE")) {
+        throw new Error("Budgets can only be set for expense categories");
+      }
+    }
+
+    if (
+      alertThreshold !== undefined &&
+      (!Number.isInteger(alertThreshold) ||
+        alertThreshold < 1 ||
+        alertThreshold > 100)
+    ) {
+      throw new Error("Alert threshold must be between 1 and 100");
+    }
+
+    // Update or create budget. The overall budget has no category, which a
+    // compound unique upsert can't match on, so look it up first.
     let budget;
     try {
-      budget = await db.budget.upsert({
-        where: {
-          userId: user.id,
-        },
-        update: {
-          amount,
-        },
-        create: {
-          userId: user.id,
-          amount,
-        },
+      const existing = await db.budget.findFirst({
+        where: { userId: user.id, category },
       });
+
+      budget = existing
+        ? await db.budget.update({
+            where: { id: existing.id },
+            data: { amount, alertThreshold },
+          })
+        : await db.budget.create({
+            data: {
+              userId: user.id,
+              amount,
+              category,
+              alertThreshold,
+            },
+          });
+
+      await recordAudit(
+        db,
+        buildAuditEntry({
+          entityType: "BUDGET",
+          entityId: budget.id,
+          action: existing ? "UPDATE" : "CREATE",
+          source: "UI",
+          userId: user.id,
+          actorId: user.id,
+          before: existing,
+          after: budget,
+        })
+      );
     } catch (error) {
       console.error("Error updating budget in database:", error.message);
       throw new Error("Failed to update budget. Database connection issue.");
@@ -113,10 +149,49 @@ export async function updateBudget(amount) {
     revalidatePath("/dashboard");
     return {
       success: true,
-      data: { ...budget, amount: budget.amount.toNumber() },
+      data: serializeMoney(budget),
     };
   } catch (error) {
     console.error("Error updating budget:", error);
     return { success: false, error: error.message };
   }
-}
\ No newline at end of file
+}
+
+export async function deleteBudget(budgetId) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const budget = await db.budget.delete({
+      where: {
+        id: budgetId,
+        userId: user.id,
+      },
+    });
+
+    await recordAudit(
+      db,
+      buildAuditEntry({
+        entityType: "BUDGET",
+        entityId: budget.id,
+        action: "DELETE",
+        source: "UI",
+        userId: user.id,
+        actorId: user.id,
+        before: budget,
+      })
+    );
+
+    revalidatePath("/dashboard");
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting budget:", error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,270 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { categorySchema } from "@/app/lib/schema";
+import {
+  generateCategoryKey,
+  getCategoriesForUser,
+  serializeCategory,
+} from "@/lib/categories";
+import {
+  buildAuditEntry,
+  recordAudit,
+  transactionAuditEntry,
+} from "@/lib/audit";
+
+export async function getUserCategories() {
+  const user = await getCurrentUser();
+  return getCategoriesForUser(user.id);
+}
+
+export async function createCategory(data) {
+  try {
+    const user = await getCurrentUser();
+
+    const result = categorySchema.safeParse(data);
+    if (!result.success) throw new Error(result.error.issues[0].message);
+
+    const category = await db.category.create({
+      data: {
+        ...result.data,
+        subcategories: uniqueSubcategories(result.data.subcategories),
+        key: await generateCategoryKey(user.id, result.data.name),
+        userId: user.id,
+      },
+    });
+
+    revalidateCategoryPaths();
+    return { success: true, data: serializeCategory(category) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Rename, recolor, re-icon or change the subcategories of a category. The
+// key and type stay the same so existing transactions keep pointing at it.
+export async function updateCategory(key, data) {
+  try {
+    const user = await getCurrentUser();
+    const existing = await getEditableCategory(user.id, key);
+
+    const result = categorySchema.omit({ type: true }).safeParse(data);
+    if (!result.success) throw new Error(result.error.issues[0].message);
+
+    const category = await db.category.update({
+      where: { id: existing.id },
+      data: {
+        ...result.data,
+        subcategories: uniqueSubcategories(result.data.subcategories),
+      },
+    });
+
+    revalidateCategoryPaths();
+    return { success: true, data: serializeCategory(category) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Archived categories can't be picked for new transactions but still label
+// the transactions that use them
+export async function archiveCategory(key, isArchived = true) {
+  try {
+    const user = await getCurrentUser();
+    const existing = await getEditableCategory(user.id, key);
+
+    const category = await db.category.update({
+      where: { id: existing.id },
+      data: { isArchived },
+    });
+
+    revalidateCategoryPaths();
+    return { success: true, data: serializeCategory(category) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Move everything filed under one category, including rules, to another of
+// the same type and delete the merged category. Its name is kept as a
+// subcategory of the target. Reconciled transactions are locked, so a
+// category they use can't be merged until they're unlocked.
+export async function mergeCategories(sourceKey, targetKey) {
+  try {
+    const user = await getCurrentUser();
+
+    if (sourceKey === targetKey) {
+      throw new Error("Cannot merge a category into itself");
+    }
+
+    const source = await getEditableCategory(user.id, sourceKey);
+    const target = await getEditableCategory(user.id, targetKey);
+
+    if (source.type !== target.type) {
+      throw new Error("Categories must be of the same type to merge");
+    }
+
+    const result = await db.$transaction(async (tx) => {
+      const locked = await tx.transaction.count({
+        where: {
+          userId: user.id,
+          reconciliationId: { not: null },
+          OR: [
+            { category: source.key },
+            { splits: { some: { category: source.key } } },
+          ],
+        },
+      });
+      if (locked > 0) {
+        throw new Error(
+          `${locked} reconciled transactions use ${source.name}. Unlock them before merging.`
+        );
+      }
+
+      const affected = await tx.transaction.findMany({
+        where: { userId: user.id, category: source.key },
+        select: {
+          id: true,
+          userId: true,
+          accountId: true,
+          category: true,
+          subcategory: true,
+        },
+      });
+
+      // Transactions without a subcategory take the merged category's name
+      // so the distinction isn't lost
+      const renamed = await tx.transaction.updateMany({
+        where: { userId: user.id, category: source.key, subcategory: null },
+        data: { category: target.key, subcategory: source.name },
+      });
+      const moved = await tx.transaction.updateMany({
+        where: { userId: user.id, category: source.key },
+        data: { category: target.key },
+      });
+      await tx.transactionSplit.updateMany({
+        where: { category: source.key, transaction: { userId: user.id } },
+        data: { category: target.key },
+      });
+      // Rules would stop categorizing once their category is gone
+      await tx.rule.updateMany({
+        where: { userId: user.id, category: source.key },
+        data: { category: target.key, subcategory: null },
+      });
+
+      // A budget on the merged category moves over unless the target
+      // already has one
+      const sourceBudget = await tx.budget.findFirst({
+        where: { userId: user.id, category: source.key },
+      });
+      if (sourceBudget) {
+        const targetBudget = await tx.budget.findFirst({
+          where: { userId: user.id, category: target.key },
+        });
+        let movedBudget = null;
+        if (targetBudget) {
+          await tx.budget.delete({ where: { id: sourceBudget.id } });
+        } else {
+          movedBudget = await tx.budget.update({
+            where: { id: sourceBudget.id },
+            data: { category: target.key },
+          });
+        }
+
+        await recordAudit(
+          tx,
+          buildAuditEntry({
+            entityType: "BUDGET",
+            entityId: sourceBudget.id,
+            action: movedBudget ? "UPDATE" : "DELETE",
+            source: "UI",
+            userId: user.id,
+            actorId: user.id,
+            before: sourceBudget,
+            after: movedBudget,
+          })
+        );
+      }
+
+      await recordAudit(
+        tx,
+        affected.map((transaction) =>
+          transactionAuditEntry("UPDATE", "UI", {
+            before: transaction,
+            after: {
+              ...transaction,
+              category: target.key,
+              subcategory: transaction.subcategory ?? source.name,
+            },
+            actorId: user.id,
+          })
+        )
+      );
+
+      const updated = await tx.category.update({
+        where: { id: target.id },
+        data: {
+          subcategories: uniqueSubcategories([
+            ...target.subcategories,
+            source.name,
+            ...source.subcategories,
+          ]),
+        },
+      });
+      await tx.category.delete({ where: { id: source.id } });
+
+      return { category: updated, moved: renamed.count + moved.count };
+    });
+
+    revalidateCategoryPaths();
+    revalidatePath("/account/[id]", "page");
+    revalidatePath("/rules");
+    return {
+      success: true,
+      data: {
+        category: serializeCategory(result.category),
+        moved: result.moved,
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
+
+// Transfers use a fixed system category that can't be changed
+async function getEditableCategory(userId, key) {
+  const category = await db.category.findUnique({
+    where: { userId_key: { userId, key } },
+  });
+
+  if (!category) throw new Error("Category not found");
+  if (category.type === "TRANSFER") {
+    throw new Error("The transfer category can't be changed");
+  }
+
+  return category;
+}
+
+function uniqueSubcategories(subcategories) {
+  return [...new Set(subcategories.map((name) => name.trim()).filter(Boolean))];
+}
+
+function revalidateCategoryPaths() {
+  revalidatePath("/categories");
+  revalidatePath("/dashboard");
+}
@@ -0,0 +1,170 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { parse } from "date-fns";
+import { exchangeRateSchema } from "@/app/lib/schema";
+import { CURRENCY_CODES } from "@/lib/currency";
+import { parseCsv } from "@/lib/csv";
+import { getExchangeRates } from "@/lib/exchange-rates";
+import { serializeMoney, toDecimal } from "@/lib/money";
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 5000;
+
+export async function getCurrencySettings() {
+  const user = await getCurrentUser();
+  const rates = await getExchangeRates(user.id);
+
+  return {
+    baseCurrency: user.baseCurrency,
+    rates: serializeMoney(rates),
+  };
+}
+
+// Set the currency that totals across accounts are converted into
+export async function updateBaseCurrency(currency) {
+  try {
+    const user = await getCurrentUser();
+
+    if (!CURRENCY_CODES.includes(currency)) {
+      throw new Error("Unsupported currency");
+    }
+
+    await db.user.update({
+      where: { id: user.id },
+      data: { baseCurrency: currency },
+    });
+
+    revalidateCurrencyPaths();
+    return { success: true, data: { baseCurrency: currency } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Save a rate, replacing any rate already entered for the pair on that date
+export async function saveExchangeRate(data) {
+  try {
+    const user = await getCurrentUser();
+
+    const result = exchangeRateSchema.safeParse(data);
+    if (!result.success) throw new Error(result.error.issues[0].message);
+
+    const rate = await upsertRate(user.id, result.data, "MANUAL");
+
+    revalidateCurrencyPaths();
+    return { success: true, data: serializeMoney(rate) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function deleteExchangeRate(id) {
+  try {
+    const user = await getCurrentUser();
+
+    const { count } = await db.exchangeRate.deleteMany({
+      where: { id, userId: user.id },
+    });
+    if (count === 0) throw new Error("Exchange rate not found");
+
+    revalidateCurrencyPaths();
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Import rates from a CSV file with date, from, to and rate columns, e.g.
+// "2026-10-01,EUR,USD,1.0842". A header row is optional; dates are
+// yyyy-MM-dd.
+export async function importExchangeRates(formData) {
+  try {
+    const user = await getCurrentUser();
+
+    const file = formData.get("file");
+    if (!file) throw new Error("No file provided");
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error("File size should be less than 5MB");
+    }
+
+    const rows = parseCsv(await file.text());
+    const hasHeader = rows.length > 0 && isNaN(parseFloat(rows[0][3]));
+    if (hasHeader) rows.shift();
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const errors = [];
+    const rates = [];
+    rows.forEach(([date, fromCurrency, toCurrency, rate], index) => {
+      const result = exchangeRateSchema.safeParse({
+        date: parse(date || "", "yyyy-MM-dd", new Date()),
+        fromCurrency: fromCurrency?.toUpperCase(),
+        toCurrency: toCurrency?.toUpperCase(),
+        rate: rate || "",
+      });
+
+      if (!result.success) {
+        errors.push(
+          `Row ${index + (hasHeader ? 2 : 1)}: ${result.error.issues[0].message}`
+        );
+      } else {
+        rates.push(result.data);
+      }
+    });
+
+    await db.$transaction(
+      async (tx) => {
+        for (const rate of rates) {
+          await upsertRate(user.id, rate, "IMPORT", tx);
+        }
+      },
+      { timeout: 30000 } // Long rate histories take longer than the 5s default
+    );
+
+    revalidateCurrencyPaths();
+    return {
+      success: true,
+      data: { imported: rates.length, failed: errors.length, errors },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+function upsertRate(userId, data, source, client = db) {
+  const key = {
+    userId,
+    fromCurrency: data.fromCurrency,
+    toCurrency: data.toCurrency,
+    date: data.date,
+  };
+  const rate = toDecimal(data.rate);
+
+  return client.exchangeRate.upsert({
+    where: { userId_fromCurrency_toCurrency_date: key },
+    update: { rate, source },
+    create: { ...key, rate, source },
+  });
+}
+
+function revalidateCurrencyPaths() {
+  revalidatePath("/currencies");
+  revalidatePath("/dashboard");
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
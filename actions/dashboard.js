@@ -5,19 +5,14 @@ import { db } from "@/lib/prisma";
 import { request } from "@arcjet/next";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
-
-const serializeTransaction = (obj) => {
-  const serialized = { ...obj };
-  if (obj.balance) {
-    serialized.balance = obj.balance.toNumber();
-  }
-  if (obj.amount) {
-    serialized.amount = obj.amount.toNumber();
-  }
-  return serialized;
-};
-
-export async function getUserAccounts() {
+import { buildAuditEntry, recordAudit } from "@/lib/audit";
+import { serializeMoney, sumAmounts } from "@/lib/money";
+import { accountSchema } from "@/app/lib/schema";
+import { getAccountTypeFields, toStoredBalance } from "@/lib/accounts";
+import { getCurrencyConverter } from "@/lib/exchange-rates";
+
+// The user's open accounts, or their archived ones with `archived`
+export async function getUserAccounts({ archived = false } = {}) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -32,19 +27,22 @@ export async function getUserAccounts() {
 
     try {
       const accounts = await db.account.findMany({
-        where: { userId: user.id },
+        where: {
+          userId: user.id,
+          archivedAt: archived ? { not: null } : null,
+        },
         orderBy: { createdAt: "desc" },
         include: {
           _count: {
             select: {
-              transactions: true,
+              transactions: { where: { deletedAt: null } },
             },
           },
         },
       });
 
       // Serialize accounts before sending to client
-      const serializedAccounts = accounts.map(serializeTransaction);
+      const serializedAccounts = serializeMoney(accounts);
 
       return serializedAccounts;
     } catch (error) {
@@ -98,11 +96,15 @@ export async function createAccount(data) {
       throw new Error("User not found");
     }
 
-    // Convert balance to float before saving
-    const balanceFloat = parseFloat(data.balance);
+    const parsed = accountSchema.safeParse(data);
+    if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+
+    // Parse the balance, then keep it exact as a Decimal
+    const balanceFloat = parseFloat(parsed.data.balance);
     if (isNaN(balanceFloat)) {
       throw new Error("Invalid balance amount");
     }
+    const balance = toStoredBalance(parsed.data.type, balanceFloat);
 
     // Check if this is the user's first account
     let existingAccounts = [];
@@ -118,7 +120,7 @@ export async function createAccount(data) {
     // If it's the first account, make it default regardless of user input
     // If not, use the user's preference
     const shouldBeDefault =
-      existingAccounts.length === 0 ? true : data.isDefault;
+      existingAccounts.length === 0 ? true : parsed.data.isDefault;
 
     // If this account should be default, unset other default accounts
     if (shouldBeDefault) {
@@ -138,8 +140,12 @@ export async function createAccount(data) {
     try {
       account = await db.account.create({
         data: {
-          ...data,
-          balance: balanceFloat,
+          name: parsed.data.name,
+          type: parsed.data.type,
+          currency: parsed.data.currency,
+          ...getAccountTypeFields(parsed.data),
+          balance,
+          openingBalance: balance,
           userId: user.id,
           isDefault: shouldBeDefault, // Override the isDefault based on our logic
         },
@@ -149,8 +155,21 @@ export async function createAccount(data) {
       throw new Error("Failed to create account. Database connection issue.");
     }
 
+    await recordAudit(
+      db,
+      buildAuditEntry({
+        entityType: "ACCOUNT",
+        entityId: account.id,
+        action: "CREATE",
+        source: "UI",
+        userId: user.id,
+        actorId: user.id,
+        after: account,
+      })
+    );
+
     // Serialize the account before returning
-    const serializedAccount = serializeTransaction(account);
+    const serializedAccount = serializeMoney(account);
 
     revalidatePath("/dashboard");
     return { success: true, data: serializedAccount };
@@ -159,6 +178,41 @@ export async function createAccount(data) {
   }
 }
 
+// Total balance of all accounts in the user's base currency. Accounts in a
+// currency without an exchange rate are left out and listed in `missing`.
+export async function getBalanceSummary() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const [accounts, converter] = await Promise.all([
+    db.account.findMany({
+      where: { userId: user.id, archivedAt: null },
+      select: { balance: true, currency: true },
+    }),
+    getCurrencyConverter(user.id),
+  ]);
+
+  const total = sumAmounts(
+    accounts.map((account) =>
+      converter.convert(account.balance, account.currency)
+    )
+  );
+
+  return serializeMoney({
+    total,
+    currency: converter.baseCurrency,
+    missing: [...converter.missing],
+  });
+}
+
 export async function getDashboardData() {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
@@ -176,7 +230,8 @@ export async function getDashboardData() {
     let transactions = [];
     try {
       transactions = await db.transaction.findMany({
-        where: { userId: user.id },
+        where: { userId: user.id, deletedAt: null },
+        include: { splits: true },
         orderBy: { date: "desc" },
       });
     } catch (error) {
@@ -185,7 +240,7 @@ export async function getDashboardData() {
       return [];
     }
 
-    return transactions.map(serializeTransaction);
+    return serializeMoney(transactions);
   } catch (error) {
     console.error("Database connection error:", error.message);
     // Return empty array as fallback when database is not accessible
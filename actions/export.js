@@ -0,0 +1,48 @@
+"use server";
+
+import { format } from "date-fns";
+import { getAccountWithTransactions } from "@/actions/account";
+import { filterAndSortTransactions } from "@/lib/transaction-filters";
+import { toCsv, toJson, toOfx } from "@/lib/export";
+import { getCategoryNames } from "@/lib/categories";
+
+const EXPORT_FORMATS = {
+  csv: { serialize: toCsv, mimeType: "text/csv" },
+  json: { serialize: toJson, mimeType: "application/json" },
+  ofx: { serialize: toOfx, mimeType: "application/x-ofx" },
+};
+
+// Export an account's transactions using the same search, filters and sort as
+// the transaction table
+export async function exportTransactions(
+  accountId,
+  exportFormat,
+  filters = {}
+) {
+  try {
+    const exporter = EXPORT_FORMATS[exportFormat];
+    if (!exporter) throw new Error("Unsupported export format");
+
+    const accountData = await getAccountWithTransactions(accountId);
+    if (!accountData) throw new Error("Account not found");
+
+    const { transactions, ...account } = accountData;
+    const categoryNames = await getCategoryNames(account.userId);
+    const filtered = filterAndSortTransactions(transactions, filters);
+
+    const fileName = `${account.name}-${format(new Date(), "yyyy-MM-dd")}`
+      .replace(/[^\w-]+/g, "-")
+      .concat(`.${exportFormat}`);
+
+    return {
+      success: true,
+      data: {
+        fileName,
+        mimeType: exporter.mimeType,
+        content: exporter.serialize(filtered, account, categoryNames),
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
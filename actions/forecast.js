@@ -0,0 +1,26 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { getCashFlowForecast } from "@/lib/forecast";
+import { serializeMoney } from "@/lib/money";
+
+export async function getForecast() {
+  const user = await getCurrentUser();
+  const forecast = await getCashFlowForecast(user.id);
+
+  return serializeMoney(forecast);
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
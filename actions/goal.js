@@ -0,0 +1,119 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { goalSchema } from "@/app/lib/schema";
+import { getGoalsProgress } from "@/lib/goals";
+import { serializeMoney, toDecimal } from "@/lib/money";
+import { normalizeTagName } from "@/lib/tags";
+
+export async function getGoals() {
+  const user = await getCurrentUser();
+  const goals = await getGoalsProgress(user.id);
+
+  return serializeMoney(goals);
+}
+
+export async function createGoal(data) {
+  try {
+    const user = await getCurrentUser();
+    const goalData = await parseGoal(data, user.id);
+
+    const goal = await db.goal.create({
+      data: { ...goalData, userId: user.id },
+    });
+
+    revalidatePath("/dashboard");
+    return { success: true, data: serializeMoney(goal) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Editing a goal starts its notifications over, so a raised target can be
+// reached again
+export async function updateGoal(id, data) {
+  try {
+    const user = await getCurrentUser();
+    const goalData = await parseGoal(data, user.id);
+
+    const goal = await db.goal.update({
+      where: { id, userId: user.id },
+      data: { ...goalData, reachedAt: null, lastAlertSent: null },
+    });
+
+    revalidatePath("/dashboard");
+    return { success: true, data: serializeMoney(goal) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function deleteGoal(id) {
+  try {
+    const user = await getCurrentUser();
+
+    const { count } = await db.goal.deleteMany({
+      where: { id, userId: user.id },
+    });
+    if (count === 0) throw new Error("Goal not found");
+
+    revalidatePath("/dashboard");
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Validate goal form data and resolve what it's linked to: one of the user's
+// open savings accounts, or a tag, created if it's new
+async function parseGoal(data, userId) {
+  const result = goalSchema.safeParse(data);
+  if (!result.success) throw new Error(result.error.issues[0].message);
+
+  const { name, targetAmount, targetDate, accountId, tag } = result.data;
+  const goal = {
+    name,
+    targetAmount: toDecimal(targetAmount),
+    targetDate,
+    accountId: null,
+    tagId: null,
+  };
+
+  if (accountId) {
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId, archivedAt: null },
+    });
+    if (!account) throw new Error("Account not found");
+    if (account.type !== "SAVINGS") {
+      throw new Error("Goals can only be linked to savings accounts");
+    }
+    goal.accountId = account.id;
+  } else {
+    const tagName = normalizeTagName(tag);
+    if (!tagName) throw new Error("Invalid tag");
+
+    const { id } = await db.tag.upsert({
+      where: { userId_name: { userId, name: tagName } },
+      update: {},
+      create: { userId, name: tagName },
+    });
+    goal.tagId = id;
+  }
+
+  return goal;
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
@@ -0,0 +1,245 @@
+"use server";
+
+import aj from "@/lib/arcjet";
+import { db } from "@/lib/prisma";
+import { request } from "@arcjet/next";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import {
+  findCategory,
+  getFallbackCategory,
+  toCategoryMap,
+} from "@/data/categories";
+import { importTransactionSchema } from "@/app/lib/schema";
+import { assignImportIds, commitImportedTransactions } from "@/lib/import";
+import { getCategoriesForUser } from "@/lib/categories";
+import { evaluateRules, getActiveRules, isUncategorized } from "@/lib/rules";
+import { parseOfx } from "@/lib/ofx";
+import { parseQif } from "@/lib/qif";
+
+const MAX_IMPORT_ROWS = 5000;
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Import parsed CSV rows into an account
+export async function importTransactions(accountId, rows) {
+  try {
+    const { user, account } = await getImportAccount(accountId);
+
+    if (!rows?.length) throw new Error("No transactions to import");
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const categories = await getActiveCategories(user.id);
+
+    // Validate every row again on the server before writing anything
+    const transactions = rows.map((row, index) => {
+      const result = importTransactionSchema.safeParse(row);
+      if (!result.success) {
+        throw new Error(`Row ${index + 1}: ${result.error.issues[0].message}`);
+      }
+
+      const isKnownCategory = categories.some(
+        (category) =>
+          category.id === result.data.category &&
+          category.type === result.data.type
+      );
+      if (!isKnownCategory) {
+        throw new Error(`Row ${index + 1}: Unknown category`);
+      }
+
+      return result.data;
+    });
+
+    const result = await commitImportedTransactions({
+      userId: user.id,
+      accountId: account.id,
+      transactions: applyRules(
+        assignImportIds(transactions),
+        await getActiveRules(user.id),
+        categories
+      ),
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${account.id}`);
+
+    return { success: true, data: result };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Import OFX/QFX and QIF statement files into an account, returning a
+// created/skipped/failed summary for each file
+export async function importStatementFiles(accountId, formData) {
+  try {
+    const { user, account } = await getImportAccount(accountId);
+
+    const files = formData.getAll("files");
+    if (files.length === 0) throw new Error("No files provided");
+
+    const categories = await getActiveCategories(user.id);
+    const rules = await getActiveRules(user.id);
+
+    const summaries = [];
+    for (const file of files) {
+      const summary = { fileName: file.name, created: 0, skipped: 0 };
+
+      if (file.size > MAX_FILE_SIZE) {
+        summaries.push({
+          ...summary,
+          failed: 0,
+          errors: ["File size should be less than 5MB"],
+        });
+        continue;
+      }
+
+      const { transactions, errors } = parseStatement(
+        file.name,
+        await file.text()
+      );
+
+      // Statements carry no categories we know about beyond QIF's own, so
+      // fall back to the user's "other" categories
+      let failed = errors.length;
+      const valid = [];
+      for (const transaction of transactions) {
+        const category = (
+          findCategory(categories, transaction.category, transaction.type) ||
+          getFallbackCategory(categories, transaction.type)
+        )?.id;
+
+        const result = importTransactionSchema.safeParse({
+          ...transaction,
+          category,
+        });
+        if (result.success) {
+          valid.push(result.data);
+        } else {
+          errors.push(
+            `${transaction.description || "Transaction"}: ${result.error.issues[0].message}`
+          );
+          failed++;
+        }
+      }
+
+      if (valid.length > MAX_IMPORT_ROWS) {
+        errors.push(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+        failed += valid.length;
+        valid.length = 0;
+      }
+
+      const result =
+        valid.length > 0
+          ? await commitImportedTransactions({
+              userId: user.id,
+              accountId: account.id,
+              transactions: applyRules(
+                assignImportIds(valid),
+                rules,
+                categories
+              ),
+            })
+          : { created: 0, skipped: 0 };
+
+      summaries.push({
+        ...summary,
+        ...result,
+        failed,
+        errors,
+      });
+    }
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${account.id}`);
+
+    return { success: true, data: summaries };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Categories new transactions can be filed under
+async function getActiveCategories(userId) {
+  const categories = await getCategoriesForUser(userId);
+  return categories.filter((category) => !category.isArchived);
+}
+
+// Let the user's rules tag imported rows and categorize those that only got
+// the catch-all category
+function applyRules(transactions, rules, categories) {
+  const categoryMap = toCategoryMap(categories);
+
+  return transactions.map((transaction) => {
+    const result = evaluateRules(rules, transaction, categoryMap);
+    const useRuleCategory =
+      result.category && isUncategorized(transaction, categories);
+
+    return {
+      ...transaction,
+      ...(useRuleCategory && {
+        category: result.category,
+        subcategory: result.subcategory,
+      }),
+      tags: result.tags,
+    };
+  });
+}
+
+function parseStatement(fileName, text) {
+  if (/\.qif$/i.test(fileName) || text.trimStart().startsWith("!Type:")) {
+    return parseQif(text);
+  }
+  return parseOfx(text);
+}
+
+// Authenticate, rate limit and load the account being imported into
+async function getImportAccount(accountId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  // Get request data for ArcJet
+  const req = await request();
+
+  // Check rate limit
+  const decision = await aj.protect(req, {
+    userId,
+    requested: 1, // One import counts as a single request
+  });
+
+  if (decision.isDenied()) {
+    if (decision.reason.isRateLimit()) {
+      const { remaining, reset } = decision.reason;
+      console.error({
+        code: "RATE_LIMIT_EXCEEDED",
+        details: {
+          remaining,
+          resetInSeconds: reset,
+        },
+      });
+
+      throw new Error("Too many requests. Please try again later.");
+    }
+
+    throw new Error("Request blocked");
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const account = await db.account.findUnique({
+    where: {
+      id: accountId,
+      userId: user.id,
+      archivedAt: null,
+    },
+  });
+
+  if (!account) throw new Error("Account not found");
+
+  return { user, account };
+}
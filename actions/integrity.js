@@ -0,0 +1,55 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { findBalanceMismatches, repairBalances } from "@/lib/integrity";
+import { serializeMoney } from "@/lib/money";
+
+// Accounts across all users whose stored balance doesn't match their
+// transactions. Null for anyone but an admin.
+export async function getBalanceMismatches() {
+  const admin = await getAdminUser();
+  if (!admin) return null;
+
+  const mismatches = await findBalanceMismatches();
+  return serializeMoney(mismatches);
+}
+
+// Re-check the given accounts and repair the ones that are still off
+export async function repairAccountBalances(accountIds) {
+  try {
+    const admin = await getAdminUser();
+    if (!admin) throw new Error("Unauthorized");
+
+    const mismatches = await repairBalances(
+      { id: { in: accountIds } },
+      { source: "UI", actorId: admin.id }
+    );
+
+    revalidatePath("/admin/balances");
+    revalidatePath("/dashboard");
+    for (const { accountId } of mismatches) {
+      revalidatePath(`/account/${accountId}`);
+    }
+
+    return { success: true, data: { repaired: mismatches.length } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Admins are listed by Clerk user id in ADMIN_USER_IDS, comma separated
+async function getAdminUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const adminIds = (process.env.ADMIN_USER_IDS || "")
+    .split(",")
+    .map((id) => id.trim());
+  if (!adminIds.includes(userId)) return null;
+
+  return db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+}
@@ -0,0 +1,41 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { serializeMoney } from "@/lib/money";
+import { backfillBalanceSnapshots, getNetWorthHistory } from "@/lib/net-worth";
+
+export async function getNetWorth() {
+  const user = await getCurrentUser();
+  const history = await getNetWorthHistory(user.id);
+
+  return serializeMoney(history);
+}
+
+// Rebuild the net worth history from the user's transactions, e.g. after
+// importing older statements
+export async function rebuildNetWorthHistory() {
+  try {
+    const user = await getCurrentUser();
+    const snapshots = await backfillBalanceSnapshots(user.id);
+
+    revalidatePath("/net-worth");
+    return { success: true, data: { snapshots } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
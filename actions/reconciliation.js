@@ -0,0 +1,227 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { reconciliationSchema } from "@/app/lib/schema";
+import {
+  getClearedBalance,
+  getReconciliationDifference,
+  isOnStatement,
+} from "@/lib/reconciliation";
+import { recordAudit, transactionAuditEntry } from "@/lib/audit";
+import { serializeMoney, toDecimal } from "@/lib/money";
+import { formatMoney } from "@/lib/currency";
+
+// Unreconciled transactions that moved money in or out of the account
+const openTransactionsWhere = (accountId, userId) => ({
+  userId,
+  OR: [{ accountId }, { transferAccountId: accountId }],
+  deletedAt: null,
+  reconciliationId: null,
+  status: { not: "FAILED" },
+});
+
+export async function getReconciliationData(accountId) {
+  const user = await getCurrentUser();
+
+  const account = await db.account.findUnique({
+    where: { id: accountId, userId: user.id },
+    include: {
+      reconciliations: {
+        include: { _count: { select: { transactions: true } } },
+        orderBy: { statementDate: "desc" },
+      },
+    },
+  });
+
+  if (!account) return null;
+
+  const transactions = await db.transaction.findMany({
+    where: openTransactionsWhere(account.id, user.id),
+    include: {
+      account: { select: { id: true, name: true } },
+      transferAccount: { select: { id: true, name: true } },
+    },
+    orderBy: { date: "asc" },
+  });
+
+  const { reconciliations, ...rest } = account;
+
+  return {
+    account: serializeMoney(rest),
+    reconciliations: serializeMoney(reconciliations),
+    transactions: serializeMoney(transactions),
+  };
+}
+
+// Tick transactions off as cleared, or untick them. Saved as they're ticked so
+// a reconciliation can be finished later.
+export async function setTransactionsCleared(transactionIds, cleared) {
+  try {
+    const user = await getCurrentUser();
+
+    const { count } = await db.transaction.updateMany({
+      where: {
+        id: { in: transactionIds },
+        userId: user.id,
+        deletedAt: null,
+        reconciliationId: null,
+      },
+      data: { cleared },
+    });
+
+    return { success: true, data: { updated: count } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Reconcile the account against a statement. Every cleared transaction up to
+// the statement date is locked, which only works when the cleared balance
+// matches the statement's closing balance.
+export async function reconcileAccount(accountId, data) {
+  try {
+    const user = await getCurrentUser();
+
+    const parsed = reconciliationSchema.safeParse(data);
+    if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+    const { statementDate } = parsed.data;
+    const statementBalance = toDecimal(parsed.data.statementBalance);
+
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId: user.id },
+    });
+
+    if (!account) throw new Error("Account not found");
+
+    const transactions = await db.transaction.findMany({
+      where: openTransactionsWhere(account.id, user.id),
+    });
+
+    const difference = getReconciliationDifference(
+      statementBalance,
+      getClearedBalance(
+        account.balance,
+        transactions,
+        statementDate,
+        account.id
+      )
+    );
+
+    if (!difference.isZero()) {
+      throw new Error(
+        `Cleared transactions are ${formatMoney(difference.abs(), account.currency)} off the statement balance`
+      );
+    }
+
+    const reconciled = transactions.filter(
+      (transaction) =>
+        transaction.cleared && isOnStatement(transaction, statementDate)
+    );
+
+    const reconciliation = await db.$transaction(async (tx) => {
+      const created = await tx.reconciliation.create({
+        data: {
+          statementDate,
+          statementBalance,
+          accountId: account.id,
+          userId: user.id,
+        },
+      });
+
+      await tx.transaction.updateMany({
+        where: {
+          id: { in: reconciled.map((transaction) => transaction.id) },
+          userId: user.id,
+        },
+        data: { reconciliationId: created.id },
+      });
+
+      await recordAudit(
+        tx,
+        reconciled.map((transaction) =>
+          transactionAuditEntry("UPDATE", "UI", {
+            before: transaction,
+            after: { ...transaction, reconciliationId: created.id },
+            actorId: user.id,
+          })
+        )
+      );
+
+      return created;
+    });
+
+    revalidatePath(`/account/${account.id}`);
+    revalidatePath(`/account/${account.id}/reconcile`);
+
+    return {
+      success: true,
+      data: {
+        ...serializeMoney(reconciliation),
+        reconciled: reconciled.length,
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Unlock a reconciled transaction so it can be edited or deleted again. It
+// stays cleared, ready for the next reconciliation.
+export async function unlockTransaction(id) {
+  try {
+    const user = await getCurrentUser();
+
+    const transaction = await db.transaction.findUnique({
+      where: { id, userId: user.id, deletedAt: null },
+    });
+
+    if (!transaction) throw new Error("Transaction not found");
+    if (!transaction.reconciliationId) {
+      throw new Error("Transaction isn't reconciled");
+    }
+
+    const updated = await db.$transaction(async (tx) => {
+      const unlocked = await tx.transaction.update({
+        where: { id: transaction.id, userId: user.id },
+        data: { reconciliationId: null },
+      });
+
+      await recordAudit(
+        tx,
+        transactionAuditEntry("UPDATE", "UI", {
+          before: transaction,
+          after: unlocked,
+          actorId: user.id,
+        })
+      );
+
+      return unlocked;
+    });
+
+    for (const accountId of [
+      transaction.accountId,
+      transaction.transferAccountId,
+    ]) {
+      if (accountId) revalidatePath(`/account/${accountId}`);
+    }
+
+    return { success: true, data: serializeMoney(updated) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
@@ -0,0 +1,169 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { endOfDay, subDays } from "date-fns";
+import { upcomingOccurrencesSchema } from "@/app/lib/schema";
+import { recordAudit, transactionAuditEntry } from "@/lib/audit";
+import { serializeMoney, toDecimal } from "@/lib/money";
+import { passOccurrencesUntil } from "@/lib/recurring";
+
+// Stop a series creating occurrences until it's resumed
+export async function pauseRecurringTransaction(id) {
+  try {
+    const user = await getCurrentUser();
+    const series = await getSeries(id, user.id);
+    if (series.recurringPausedAt) throw new Error("Series is already paused");
+
+    const transaction = await updateSeries(series, user.id, {
+      recurringPausedAt: new Date(),
+    });
+
+    return { success: true, data: transaction };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Start a paused series again. Occurrences that fell due while it was paused
+// are dropped rather than created late, and count as skipped; the series
+// picks up from today.
+export async function resumeRecurringTransaction(id) {
+  try {
+    const user = await getCurrentUser();
+    const series = await getSeries(id, user.id);
+    if (!series.recurringPausedAt) throw new Error("Series isn't paused");
+
+    const resumedAfter = endOfDay(subDays(new Date(), 1));
+    const transaction = await updateSeries(series, user.id, {
+      ...passOccurrencesUntil(series, resumedAfter),
+      recurringPausedAt: null,
+      lastProcessed: resumedAfter,
+    });
+
+    return { success: true, data: transaction };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Skip the series' next occurrence. Like the ones dropped while a series is
+// paused, it still counts towards the series' number of occurrences, so a
+// series with a fixed count ends on schedule.
+export async function skipRecurringOccurrence(id) {
+  try {
+    const user = await getCurrentUser();
+    const series = await getSeries(id, user.id);
+    if (series.recurringPausedAt) {
+      throw new Error("Resume the series before skipping an occurrence");
+    }
+
+    const skippedDate = series.nextRecurringDate;
+    const transaction = await updateSeries(series, user.id, {
+      ...passOccurrencesUntil(series, skippedDate),
+      lastProcessed: skippedDate,
+    });
+
+    return { success: true, data: transaction };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Change the amount and description of the series from its next occurrence
+// on, e.g. for a rent increase. The original transaction and the occurrences
+// already created keep theirs. Setting them back to the original's values
+// clears the change.
+export async function updateUpcomingOccurrences(id, data) {
+  try {
+    const result = upcomingOccurrencesSchema.safeParse(data);
+    if (!result.success) throw new Error(result.error.issues[0].message);
+
+    const user = await getCurrentUser();
+    const series = await getSeries(id, user.id);
+
+    const amount = toDecimal(result.data.amount);
+    const description = result.data.description || null;
+    const amountChanged = !amount.equals(series.amount);
+
+    // Split lines are copied to each occurrence and have to add up to its
+    // amount
+    if (amountChanged && series.splits.length > 0) {
+      throw new Error(
+        "The amount of a split series can't change for upcoming occurrences"
+      );
+    }
+
+    const transaction = await updateSeries(series, user.id, {
+      recurringAmount: amountChanged ? amount : null,
+      recurringDescription:
+        description !== series.description ? description : null,
+    });
+
+    return { success: true, data: transaction };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// A recurring series of the user's that hasn't ended and isn't locked by a
+// reconciliation
+async function getSeries(id, userId) {
+  const series = await db.transaction.findUnique({
+    where: { id, userId, deletedAt: null },
+    include: { splits: true },
+  });
+
+  if (!series || !series.isRecurring) {
+    throw new Error("Recurring transaction not found");
+  }
+  if (!series.nextRecurringDate) throw new Error("This series has ended");
+  if (series.reconciliationId) {
+    throw new Error(
+      "This transaction has been reconciled. Unlock it before editing."
+    );
+  }
+
+  return series;
+}
+
+async function updateSeries(series, userId, data) {
+  const transaction = await db.$transaction(async (tx) => {
+    const updated = await tx.transaction.update({
+      where: { id: series.id, userId, reconciliationId: null },
+      data,
+    });
+
+    await recordAudit(
+      tx,
+      transactionAuditEntry("UPDATE", "UI", {
+        before: series,
+        after: updated,
+        actorId: userId,
+      })
+    );
+
+    return updated;
+  });
+
+  revalidatePath(`/account/${series.accountId}`);
+  if (series.transferAccountId) {
+    revalidatePath(`/account/${series.transferAccountId}`);
+  }
+
+  return serializeMoney(transaction);
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
@@ -0,0 +1,311 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { ruleSchema } from "@/app/lib/schema";
+import { toCategoryMap } from "@/data/categories";
+import { getCategoriesForUser } from "@/lib/categories";
+import { evaluateRules, getActiveRules } from "@/lib/rules";
+import { connectTags, normalizeTags } from "@/lib/tags";
+import { recordAudit, transactionAuditEntry } from "@/lib/audit";
+import { serializeMoney, toDecimal } from "@/lib/money";
+
+const PREVIEW_LIMIT = 100;
+
+export async function getRules() {
+  const user = await getCurrentUser();
+
+  const rules = await db.rule.findMany({
+    where: { userId: user.id },
+    orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+  });
+
+  return serializeMoney(rules);
+}
+
+export async function createRule(data) {
+  try {
+    const user = await getCurrentUser();
+    const ruleData = await parseRuleData(user.id, data);
+
+    // New rules run after the existing ones
+    const last = await db.rule.findFirst({
+      where: { userId: user.id },
+      orderBy: { priority: "desc" },
+    });
+
+    const rule = await db.rule.create({
+      data: {
+        ...ruleData,
+        priority: last ? last.priority + 1 : 1,
+        userId: user.id,
+      },
+    });
+
+    revalidatePath("/rules");
+    return { success: true, data: serializeMoney(rule) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function updateRule(id, data) {
+  try {
+    const user = await getCurrentUser();
+    const ruleData = await parseRuleData(user.id, data);
+
+    const rule = await db.rule.update({
+      where: { id, userId: user.id },
+      data: ruleData,
+    });
+
+    revalidatePath("/rules");
+    return { success: true, data: serializeMoney(rule) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function toggleRule(id, isActive) {
+  try {
+    const user = await getCurrentUser();
+
+    const rule = await db.rule.update({
+      where: { id, userId: user.id },
+      data: { isActive },
+    });
+
+    revalidatePath("/rules");
+    return { success: true, data: serializeMoney(rule) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function deleteRule(id) {
+  try {
+    const user = await getCurrentUser();
+
+    await db.rule.delete({
+      where: { id, userId: user.id },
+    });
+
+    revalidatePath("/rules");
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Swap a rule's priority with the rule before ("up") or after ("down") it
+export async function moveRule(id, direction) {
+  try {
+    const user = await getCurrentUser();
+
+    const rules = await db.rule.findMany({
+      where: { userId: user.id },
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+    });
+
+    const index = rules.findIndex((rule) => rule.id === id);
+    if (index === -1) throw new Error("Rule not found");
+
+    const otherIndex = direction === "up" ? index - 1 : index + 1;
+    if (otherIndex < 0 || otherIndex >= rules.length) {
+      return { success: true };
+    }
+
+    // Renumber everything so rules created with equal priorities still move
+    const reordered = [...rules];
+    [reordered[index], reordered[otherIndex]] = [
+      reordered[otherIndex],
+      reordered[index],
+    ];
+
+    await db.$transaction(
+      reordered.map((rule, position) =>
+        db.rule.update({
+          where: { id: rule.id },
+          data: { priority: position + 1 },
+        })
+      )
+    );
+
+    revalidatePath("/rules");
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Dry run of applying one rule, or all active rules, to existing
+// transactions. Returns how many would change and the first of them.
+export async function previewRuleChanges(ruleId = null) {
+  try {
+    const user = await getCurrentUser();
+    const changes = await getRuleChanges(user.id, ruleId);
+
+    return {
+      success: true,
+      data: {
+        total: changes.length,
+        changes: changes.slice(0, PREVIEW_LIMIT),
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Apply one rule, or all active rules, to existing transactions
+export async function applyRuleChanges(ruleId = null) {
+  try {
+    const user = await getCurrentUser();
+    const changes = await getRuleChanges(user.id, ruleId);
+
+    await db.$transaction(
+      async (tx) => {
+        for (const change of changes) {
+          const updated = await tx.transaction.update({
+            where: { id: change.id, reconciliationId: null },
+            data: {
+              ...(change.toCategory && {
+                category: change.toCategory,
+                subcategory: change.toSubcategory,
+              }),
+              tags: { connectOrCreate: connectTags(change.addTags, user.id) },
+            },
+            include: { tags: true },
+          });
+
+          await recordAudit(
+            tx,
+            transactionAuditEntry("UPDATE", "RULE", {
+              before: {
+                category: change.fromCategory,
+                subcategory: change.fromSubcategory,
+                tags: change.fromTags,
+              },
+              after: updated,
+              actorId: user.id,
+            })
+          );
+        }
+      },
+      { timeout: 30000 } // Large histories take longer than the 5s default
+    );
+
+    revalidatePath("/dashboard");
+    revalidatePath("/account/[id]", "page");
+
+    return { success: true, data: { updated: changes.length } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
+
+// Validate rule form data and convert it to what we store
+async function parseRuleData(userId, data) {
+  const result = ruleSchema.safeParse(data);
+  if (!result.success) throw new Error(result.error.issues[0].message);
+
+  const { minAmount, maxAmount, category, subcategory, tags, ...rest } =
+    result.data;
+
+  if (category) {
+    const categories = await getCategoriesForUser(userId);
+    const match = categories.find((c) => c.id === category);
+    if (!match || match.type === "TRANSFER") {
+      throw new Error("Unknown category");
+    }
+  }
+
+  return {
+    ...rest,
+    minAmount: minAmount ? toDecimal(minAmount) : null,
+    maxAmount: maxAmount ? toDecimal(maxAmount) : null,
+    category: category || null,
+    subcategory: (category && subcategory) || null,
+    tags: normalizeTags(tags),
+  };
+}
+
+// What running the rules would change on existing transactions. Unlike new
+// transactions, existing ones get the rule's category even if they already
+// have one, since the user asked for it and has seen the preview. Split
+// transactions only get tags, and reconciled ones are locked and left alone.
+async function getRuleChanges(userId, ruleId) {
+  let rules;
+  if (ruleId) {
+    const rule = await db.rule.findUnique({ where: { id: ruleId, userId } });
+    if (!rule) throw new Error("Rule not found");
+    rules = [rule];
+  } else {
+    rules = await getActiveRules(userId);
+  }
+
+  const categoryMap = toCategoryMap(await getCategoriesForUser(userId));
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId,
+      type: { not: "TRANSFER" },
+      deletedAt: null,
+      reconciliationId: null,
+    },
+    include: {
+      account: { select: { name: true, currency: true } },
+      tags: { select: { name: true } },
+      _count: { select: { splits: true } },
+    },
+    orderBy: { date: "desc" },
+  });
+
+  const changes = [];
+  for (const transaction of transactions) {
+    const result = evaluateRules(rules, transaction, categoryMap);
+
+    const changesCategory =
+      result.category &&
+      transaction._count.splits === 0 &&
+      (result.category !== transaction.category ||
+        result.subcategory !== transaction.subcategory);
+    const addTags = result.tags.filter(
+      (name) => !transaction.tags.some((tag) => tag.name === name)
+    );
+
+    if (!changesCategory && addTags.length === 0) continue;
+
+    changes.push({
+      id: transaction.id,
+      date: transaction.date,
+      description: transaction.description,
+      type: transaction.type,
+      amount: serializeMoney(transaction.amount),
+      accountName: transaction.account.name,
+      currency: transaction.account.currency,
+      fromCategory: transaction.category,
+      fromSubcategory: transaction.subcategory,
+      fromTags: transaction.tags.map((tag) => tag.name),
+      toCategory: changesCategory ? result.category : null,
+      toSubcategory: changesCategory ? result.subcategory : null,
+      addTags,
+    });
+  }
+
+  return changes;
+}
@@ -0,0 +1,149 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { recordAudit, transactionAuditEntry } from "@/lib/audit";
+import { getCurrencyConverter } from "@/lib/exchange-rates";
+import { serializeMoney, sumAmounts } from "@/lib/money";
+import { getNextRecurringDate, getRecurringFields } from "@/lib/recurring";
+import { detectSubscriptions, getAnnualCost } from "@/lib/subscriptions";
+
+// Detected subscriptions, costliest first, with what each costs a year and
+// the yearly total in the user's base currency
+export async function getSubscriptions() {
+  const user = await getCurrentUser();
+
+  const [subscriptions, converter] = await Promise.all([
+    db.subscription.findMany({
+      where: { userId: user.id, status: "DETECTED" },
+      include: { account: { select: { name: true, currency: true } } },
+    }),
+    getCurrencyConverter(user.id),
+  ]);
+
+  const withCost = subscriptions
+    .map((subscription) => ({
+      ...subscription,
+      annualCost: getAnnualCost(subscription),
+    }))
+    .sort((a, b) => b.annualCost.comparedTo(a.annualCost));
+
+  const annualTotal = sumAmounts(
+    withCost.map((s) => converter.convert(s.annualCost, s.account.currency))
+  );
+
+  return serializeMoney({
+    subscriptions: withCost,
+    annualTotal,
+    currency: converter.baseCurrency,
+    missing: [...converter.missing],
+  });
+}
+
+// Scan for subscriptions now rather than waiting for the weekly job
+export async function scanSubscriptions() {
+  try {
+    const user = await getCurrentUser();
+    const detected = await detectSubscriptions(user.id);
+
+    revalidatePath("/subscriptions");
+    return { success: true, data: { detected } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+export async function dismissSubscription(id) {
+  try {
+    const user = await getCurrentUser();
+
+    await db.subscription.update({
+      where: { id, userId: user.id },
+      data: { status: "DISMISSED" },
+    });
+
+    revalidatePath("/subscriptions");
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Turn a subscription into a recurring series. Its latest charge becomes the
+// series' original transaction, so the charges already recorded stay as they
+// are and the next one is created on schedule.
+export async function convertSubscription(id) {
+  try {
+    const user = await getCurrentUser();
+
+    const subscription = await db.subscription.findUnique({
+      where: { id, userId: user.id },
+      include: { lastTransaction: true },
+    });
+    if (!subscription) throw new Error("Subscription not found");
+
+    const original = subscription.lastTransaction;
+    if (!original || original.deletedAt) {
+      throw new Error("The latest charge has been deleted. Scan again first.");
+    }
+    if (original.isRecurring) {
+      throw new Error("The latest charge is already recurring");
+    }
+
+    const recurring = getRecurringFields({
+      isRecurring: true,
+      recurringInterval: subscription.interval,
+    });
+
+    const transaction = await db.$transaction(async (tx) => {
+      const updated = await tx.transaction.update({
+        where: { id: original.id, userId: user.id },
+        data: {
+          ...recurring,
+          occurrenceCount: 1,
+          nextRecurringDate: getNextRecurringDate({
+            ...original,
+            ...recurring,
+            occurrenceCount: 1,
+          }),
+        },
+      });
+
+      await tx.subscription.update({
+        where: { id: subscription.id },
+        data: { status: "CONVERTED" },
+      });
+
+      await recordAudit(
+        tx,
+        transactionAuditEntry("UPDATE", "UI", {
+          before: original,
+          after: updated,
+          actorId: user.id,
+        })
+      );
+
+      return updated;
+    });
+
+    revalidatePath("/subscriptions");
+    revalidatePath(`/account/${transaction.accountId}`);
+    return { success: true, data: serializeMoney(transaction) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
@@ -0,0 +1,23 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+
+// Tags the user has created, for autocomplete and filtering
+export async function getUserTags() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const tags = await db.tag.findMany({
+    where: { userId: user.id },
+    orderBy: { name: "asc" },
+  });
+
+  return tags.map((tag) => tag.name);
+}
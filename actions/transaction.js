@@ -6,14 +6,28 @@ import { revalidatePath } from "next/cache";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import aj from "@/lib/arcjet";
 import { request } from "@arcjet/next";
+import {
+  applyBalanceChanges,
+  getBalanceChanges,
+  mergeBalanceChanges,
+  reverseBalanceChanges,
+} from "@/lib/balance";
+import { normalizeSplits } from "@/lib/splits";
+import { connectTags, normalizeTags } from "@/lib/tags";
+import { getCategoriesForUser } from "@/lib/categories";
+import { getFallbackCategory, toCategoryMap } from "@/data/categories";
+import { evaluateRules, getActiveRules, isUncategorized } from "@/lib/rules";
+import { bulkEditSchema } from "@/app/lib/schema";
+import { recordAudit, transactionAuditEntry } from "@/lib/audit";
+import { serializeMoney } from "@/lib/money";
+import {
+  getNextRecurringDate,
+  getRecurringFields,
+  isMonthlyInterval,
+} from "@/lib/recurring";
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
-const serializeAmount = (obj) => ({
-  ...obj,
-  amount: obj.amount.toNumber(),
-});
-
 // Create Transaction
 export async function createTransaction(data) {
   try {
@@ -58,6 +72,7 @@ export async function createTransaction(data) {
       where: {
         id: data.accountId,
         userId: user.id,
+        archivedAt: null,
       },
     });
 
@@ -65,35 +80,88 @@ export async function createTransaction(data) {
       throw new Error("Account not found");
     }
 
-    // Calculate new balance
-    const balanceChange = data.type === "EXPENSE" ? -data.amount : data.amount;
-    const newBalance = account.balance.toNumber() + balanceChange;
-
-    // Create transaction and update account balance
+    const {
+      splits: splitLines,
+      tags = [],
+      fromReceiptScan = false,
+      ...transactionData
+    } = await normalizeTransferData(
+      withoutServerFields(data),
+      user.id,
+      account
+    );
+    const { category: chosenCategory, splits } = normalizeSplits(
+      transactionData,
+      splitLines
+    );
+    const categories = await getCategoriesForUser(user.id);
+
+    // Run the user's rules: they add tags, and pick the category when none
+    // (or only the catch-all one) was chosen
+    const ruleResult = evaluateRules(
+      await getActiveRules(user.id),
+      transactionData,
+      toCategoryMap(categories)
+    );
+    const useRuleCategory =
+      splits.length === 0 &&
+      ruleResult.category &&
+      isUncategorized(transactionData, categories);
+
+    const category = useRuleCategory
+      ? ruleResult.category
+      : chosenCategory ||
+        getFallbackCategory(categories, transactionData.type)?.id;
+    const subcategory = useRuleCategory
+      ? ruleResult.subcategory
+      : getSubcategory(transactionData, splits);
+    checkCategories(categories, [category, ...splits.map((s) => s.category)]);
+    const balanceChanges = getBalanceChanges(transactionData);
+    const recurring = getRecurringFields(transactionData);
+
+    // Create transaction and update account balances
     const transaction = await db.$transaction(async (tx) => {
       const newTransaction = await tx.transaction.create({
         data: {
-          ...data,
+          ...transactionData,
+          category,
+          subcategory,
+          splits: { create: splits },
+          tags: {
+            connectOrCreate: connectTags(
+              [...tags, ...ruleResult.tags],
+              user.id
+            ),
+          },
+          ...recurring,
           userId: user.id,
-          nextRecurringDate:
-            data.isRecurring && data.recurringInterval
-              ? calculateNextRecurringDate(data.date, data.recurringInterval)
-              : null,
+          nextRecurringDate: getNextRecurringDate({
+            ...transactionData,
+            ...recurring,
+          }),
         },
+        include: { splits: true, tags: true },
       });
 
-      await tx.account.update({
-        where: { id: data.accountId },
-        data: { balance: newBalance },
-      });
+      await applyBalanceChanges(tx, balanceChanges);
+      await recordAudit(
+        tx,
+        transactionAuditEntry(
+          "CREATE",
+          fromReceiptScan ? "RECEIPT_SCAN" : "UI",
+          { after: newTransaction, actorId: user.id }
+        )
+      );
 
       return newTransaction;
     });
 
     revalidatePath("/dashboard");
-    revalidatePath(`/account/${transaction.accountId}`);
+    for (const accountId of Object.keys(balanceChanges)) {
+      revalidatePath(`/account/${accountId}`);
+    }
 
-    return { success: true, data: serializeAmount(transaction) };
+    return { success: true, data: serializeMoney(transaction) };
   } catch (error) {
     throw new Error(error.message);
   }
@@ -113,12 +181,17 @@ export async function getTransaction(id) {
     where: {
       id,
       userId: user.id,
+      deletedAt: null,
+    },
+    include: {
+      splits: { orderBy: { createdAt: "asc" } },
+      tags: { orderBy: { name: "asc" } },
     },
   });
 
   if (!transaction) throw new Error("Transaction not found");
 
-  return serializeAmount(transaction);
+  return serializeMoney(transaction);
 }
 
 export async function updateTransaction(id, data) {
@@ -137,26 +210,77 @@ export async function updateTransaction(id, data) {
       where: {
         id,
         userId: user.id,
+        deletedAt: null,
       },
       include: {
         account: true,
+        splits: true,
+        tags: true,
       },
     });
 
     if (!originalTransaction) throw new Error("Transaction not found");
+    if (originalTransaction.reconciliationId) {
+      throw new Error(
+        "This transaction has been reconciled. Unlock it before editing."
+      );
+    }
+
+    const account = await db.account.findUnique({
+      where: { id: data.accountId, userId: user.id },
+    });
+
+    if (!account) throw new Error("Account not found");
+    // Transactions already in an archived account can still be edited
+    if (account.archivedAt && account.id !== originalTransaction.accountId) {
+      throw new Error("Account not found");
+    }
 
-    // Calculate balance changes
-    const oldBalanceChange =
-      originalTransaction.type === "EXPENSE"
-        ? -originalTransaction.amount.toNumber()
-        : originalTransaction.amount.toNumber();
+    // Amounts are in the account's currency, so they can't simply move to an
+    // account in another one
+    if (account.currency !== originalTransaction.account.currency) {
+      throw new Error(
+        "Transactions can't be moved to an account in a different currency"
+      );
+    }
 
-    const newBalanceChange =
-      data.type === "EXPENSE" ? -data.amount : data.amount;
+    const {
+      splits: splitLines,
+      tags = [],
+      ...transactionData
+    } = await normalizeTransferData(
+      withoutServerFields(data),
+      user.id,
+      account,
+      originalTransaction.transferAccountId
+    );
+    const { category: chosenCategory, splits } = normalizeSplits(
+      transactionData,
+      splitLines
+    );
+    const categories = await getCategoriesForUser(user.id);
+    const category =
+      chosenCategory ||
+      getFallbackCategory(categories, transactionData.type)?.id;
+    checkCategories(
+      categories,
+      [category, ...splits.map((s) => s.category)],
+      // Archived categories can stay on transactions already using them
+      [originalTransaction.category]
+    );
 
-    const netBalanceChange = newBalanceChange - oldBalanceChange;
+    // Undo the original balance effect and apply the updated one, which also
+    // covers moving the transaction to a different account
+    const balanceChanges = mergeBalanceChanges(
+      reverseBalanceChanges(getBalanceChanges(originalTransaction)),
+      getBalanceChanges({
+        ...transactionData,
+        status: originalTransaction.status,
+      })
+    );
+    const recurring = getRecurringFields(transactionData);
 
-    // Update transaction and account balance in a transaction
+    // Update transaction and account balances in a transaction
     const transaction = await db.$transaction(async (tx) => {
       const updated = await tx.transaction.update({
         where: {
@@ -164,31 +288,226 @@ export async function updateTransaction(id, data) {
           userId: user.id,
         },
         data: {
-          ...data,
-          nextRecurringDate:
-            data.isRecurring && data.recurringInterval
-              ? calculateNextRecurringDate(data.date, data.recurringInterval)
-              : null,
+          ...transactionData,
+          category,
+          subcategory: getSubcategory(transactionData, splits),
+          // Replace the split lines wholesale; removing them all un-splits
+          splits: { deleteMany: {}, create: splits },
+          tags: { set: [], connectOrCreate: connectTags(tags, user.id) },
+          ...recurring,
+          // Occurrences the job already created aren't created again
+          nextRecurringDate: getNextRecurringDate(
+            {
+              ...transactionData,
+              ...recurring,
+              occurrenceCount: originalTransaction.occurrenceCount,
+            },
+            originalTransaction.lastProcessed
+          ),
         },
+        include: { splits: true, tags: true },
       });
 
-      // Update account balance
-      await tx.account.update({
-        where: { id: data.accountId },
-        data: {
-          balance: {
-            increment: netBalanceChange,
-          },
-        },
-      });
+      await applyBalanceChanges(tx, balanceChanges);
+      await recordAudit(
+        tx,
+        transactionAuditEntry("UPDATE", "UI", {
+          before: originalTransaction,
+          after: updated,
+          actorId: user.id,
+        })
+      );
 
       return updated;
     });
 
     revalidatePath("/dashboard");
-    revalidatePath(`/account/${data.accountId}`);
+    for (const accountId of Object.keys(balanceChanges)) {
+      revalidatePath(`/account/${accountId}`);
+    }
 
-    return { success: true, data: serializeAmount(transaction) };
+    return { success: true, data: serializeMoney(transaction) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Apply the same changes to many transactions in one go. Rows a change doesn't
+// fit are left alone: a category only applies to unsplit transactions of its
+// own type, a transfer can't move into its own destination account, rows only
+// move to accounts in their own currency, and reconciled transactions are
+// locked.
+export async function bulkUpdateTransactions(transactionIds, changes) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const parsed = bulkEditSchema.safeParse(changes);
+    if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+    const {
+      category: categoryKey,
+      subcategory,
+      accountId,
+      date,
+      addTags = [],
+      removeTags = [],
+      isRecurring,
+      recurringInterval,
+      status,
+    } = parsed.data;
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        id: { in: transactionIds },
+        userId: user.id,
+        deletedAt: null,
+      },
+      include: {
+        tags: true,
+        account: { select: { currency: true } },
+        _count: { select: { splits: true } },
+      },
+    });
+
+    if (transactions.length === 0) throw new Error("No transactions selected");
+
+    let category = null;
+    if (categoryKey) {
+      const categories = await getCategoriesForUser(user.id);
+      checkCategories(categories, [categoryKey]);
+      category = toCategoryMap(categories)[categoryKey];
+    }
+
+    let account;
+    if (accountId) {
+      account = await db.account.findUnique({
+        where: { id: accountId, userId: user.id, archivedAt: null },
+      });
+
+      if (!account) throw new Error("Account not found");
+    }
+
+    // Tags can only be removed if they exist
+    const tagsToRemove = removeTags.length
+      ? await db.tag.findMany({
+          where: { userId: user.id, name: { in: normalizeTags(removeTags) } },
+          select: { id: true },
+        })
+      : [];
+
+    const updates = [];
+    const balanceChanges = [];
+    for (const transaction of transactions) {
+      if (transaction.reconciliationId) continue;
+
+      const data = {};
+
+      if (
+        category &&
+        transaction._count.splits === 0 &&
+        transaction.type === category.type
+      ) {
+        data.category = category.id;
+        data.subcategory = subcategory?.trim() || null;
+      }
+
+      if (
+        account &&
+        account.id !== transaction.accountId &&
+        account.id !== transaction.transferAccountId &&
+        account.currency === transaction.account.currency
+      ) {
+        data.accountId = accountId;
+      }
+
+      if (date) data.date = date;
+
+      if (isRecurring === false) {
+        Object.assign(data, getRecurringFields({ isRecurring: false }));
+      } else if (isRecurring) {
+        data.isRecurring = true;
+        data.recurringInterval = recurringInterval;
+        // A day of the month only applies to monthly-based intervals
+        if (!isMonthlyInterval(recurringInterval)) data.recurringDay = null;
+      }
+
+      // The next occurrence follows the (possibly new) date and interval
+      if (date || isRecurring !== undefined) {
+        data.nextRecurringDate = getNextRecurringDate(
+          { ...transaction, ...data },
+          transaction.lastProcessed
+        );
+      }
+
+      if (status) data.status = status;
+
+      if (addTags.length || tagsToRemove.length) {
+        data.tags = {
+          disconnect: tagsToRemove,
+          connectOrCreate: connectTags(addTags, user.id),
+        };
+      }
+
+      if (Object.keys(data).length === 0) continue;
+
+      updates.push({ transaction, data });
+
+      // Moving accounts or changing status changes where the money went
+      balanceChanges.push(
+        reverseBalanceChanges(getBalanceChanges(transaction)),
+        getBalanceChanges({ ...transaction, ...data })
+      );
+    }
+
+    const accountBalanceChanges = mergeBalanceChanges(...balanceChanges);
+
+    await db.$transaction(
+      async (tx) => {
+        for (const { transaction, data } of updates) {
+          const updated = await tx.transaction.update({
+            where: { id: transaction.id, userId: user.id },
+            data,
+            include: { tags: true },
+          });
+
+          await recordAudit(
+            tx,
+            transactionAuditEntry("UPDATE", "UI", {
+              before: transaction,
+              after: updated,
+              actorId: user.id,
+            })
+          );
+        }
+
+        await applyBalanceChanges(tx, accountBalanceChanges);
+      },
+      { timeout: 30000 } // Large selections take longer than the 5s default
+    );
+
+    const accountIds = new Set([
+      ...transactions.flatMap((t) => [t.accountId, t.transferAccountId]),
+      accountId,
+    ]);
+
+    revalidatePath("/dashboard");
+    for (const id of accountIds) {
+      if (id) revalidatePath(`/account/${id}`);
+    }
+
+    return {
+      success: true,
+      data: {
+        updated: updates.length,
+        skipped: transactions.length - updates.length,
+      },
+    };
   } catch (error) {
     throw new Error(error.message);
   }
@@ -211,10 +530,14 @@ export async function getUserTransactions(query = {}) {
     const transactions = await db.transaction.findMany({
       where: {
         userId: user.id,
+        deletedAt: null,
         ...query,
       },
       include: {
         account: true,
+        transferAccount: true,
+        splits: true,
+        tags: true,
       },
       orderBy: {
         date: "desc",
@@ -271,12 +594,25 @@ export async function scanReceipt(formData) {
       throw new Error("GEMINI_API_KEY is not configured in environment variables");
     }
 
-    // Get the list of valid categories from the data file
-    const { defaultCategories } = await import('@/data/categories');
-    const validExpenseCategories = defaultCategories
-      .filter(cat => cat.type === 'EXPENSE')
-      .map(cat => cat.id)
-      .join(',');
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    // Get the list of valid categories from the user's category set
+    const expenseCategories = (await getCategoriesForUser(user.id)).filter(
+      (cat) => cat.type === "EXPENSE" && !cat.isArchived
+    );
+    const validExpenseCategories = expenseCategories
+      .map((cat) => cat.id)
+      .join(",");
+    const categoryList = expenseCategories
+      .map((cat) => `${cat.id} (${cat.name})`)
+      .join(", ");
 
     // Simplified prompt for better compatibility
     const prompt = `Extract receipt information in this JSON format:
@@ -288,7 +624,7 @@ export async function scanReceipt(formData) {
   "category": "groceries"
 }
 
-Use these categories: ${validExpenseCategories}
+Use one of these category ids (names in brackets): ${categoryList}
 
 If not a receipt, return:
 {
@@ -491,24 +827,83 @@ export async function testGeminiAPI() {
   }
 }
 
-// Helper function to calculate next recurring date
-function calculateNextRecurringDate(startDate, interval) {
-  const date = new Date(startDate);
-
-  switch (interval) {
-    case "DAILY":
-      date.setDate(date.getDate() + 1);
-      break;
-    case "WEEKLY":
-      date.setDate(date.getDate() + 7);
-      break;
-    case "MONTHLY":
-      date.setMonth(date.getMonth() + 1);
-      break;
-    case "YEARLY":
-      date.setFullYear(date.getFullYear() + 1);
-      break;
+// Transfers need a destination account owned by the same user, and always use
+// the transfer category. Other transaction types never carry a destination.
+// Archived accounts can't receive new transfers, only keep existing ones.
+async function normalizeTransferData(
+  data,
+  userId,
+  account,
+  previousTransferAccountId = null
+) {
+  if (data.type !== "TRANSFER") {
+    return { ...data, transferAccountId: null };
+  }
+
+  if (!data.transferAccountId || data.transferAccountId === data.accountId) {
+    throw new Error("Transfers need a different destination account");
   }
 
-  return date;
+  const destination = await db.account.findUnique({
+    where: {
+      id: data.transferAccountId,
+      userId,
+    },
+  });
+
+  if (
+    !destination ||
+    (destination.archivedAt && destination.id !== previousTransferAccountId)
+  ) {
+    throw new Error("Destination account not found");
+  }
+
+  // The amount leaves one account and arrives in the other unchanged
+  if (destination.currency !== account.currency) {
+    throw new Error("Transfers need accounts in the same currency");
+  }
+
+  return { ...data, category: "transfer" };
+}
+
+// Categories must be ones the user has. Archived categories can't be picked
+// unless listed in `allowArchived`.
+function checkCategories(categories, keys, allowArchived = []) {
+  const categoryMap = toCategoryMap(categories);
+
+  for (const key of keys) {
+    const category = categoryMap[key];
+    if (!category || (category.isArchived && !allowArchived.includes(key))) {
+      throw new Error(`Unknown category "${key}"`);
+    }
+  }
+}
+
+// Fields only the server sets. Reconciling, deleting and the recurring job
+// have their own actions, so a form can't lock, unlock, trash or re-schedule
+// a transaction by sending them.
+const SERVER_FIELDS = [
+  "id",
+  "userId",
+  "importId",
+  "reconciliationId",
+  "deletedAt",
+  "recurringParentId",
+  "recurringDate",
+  "occurrenceCount",
+  "lastProcessed",
+  "createdAt",
+  "updatedAt",
+];
+
+function withoutServerFields(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([field]) => !SERVER_FIELDS.includes(field))
+  );
+}
+
+// Split transactions and transfers have no subcategory
+function getSubcategory(data, splits) {
+  if (data.type === "TRANSFER" || splits.length > 0) return null;
+  return data.subcategory?.trim() || null;
 }
@@ -0,0 +1,142 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import {
+  applyBalanceChanges,
+  getBalanceChanges,
+  mergeBalanceChanges,
+} from "@/lib/balance";
+import { getPurgeDate } from "@/lib/trash";
+import { recordAudit, transactionAuditEntry } from "@/lib/audit";
+import { serializeMoney } from "@/lib/money";
+
+export async function getDeletedTransactions() {
+  const user = await getCurrentUser();
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId: user.id,
+      deletedAt: { not: null },
+    },
+    include: {
+      account: { select: { id: true, name: true, currency: true } },
+      transferAccount: { select: { id: true, name: true } },
+    },
+    orderBy: { deletedAt: "desc" },
+  });
+
+  return transactions.map((transaction) => ({
+    ...serializeMoney(transaction),
+    purgeDate: getPurgeDate(transaction.deletedAt),
+  }));
+}
+
+// Take transactions out of the trash and re-apply their balance changes
+export async function restoreTransactions(transactionIds) {
+  try {
+    const user = await getCurrentUser();
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        id: { in: transactionIds },
+        userId: user.id,
+        deletedAt: { not: null },
+      },
+      include: { splits: true, tags: true },
+    });
+
+    const accountBalanceChanges = mergeBalanceChanges(
+      ...transactions.map(getBalanceChanges)
+    );
+
+    await db.$transaction(async (tx) => {
+      await tx.transaction.updateMany({
+        where: {
+          id: { in: transactions.map((transaction) => transaction.id) },
+          userId: user.id,
+        },
+        data: { deletedAt: null },
+      });
+
+      await applyBalanceChanges(tx, accountBalanceChanges);
+
+      await recordAudit(
+        tx,
+        transactions.map((transaction) =>
+          transactionAuditEntry("RESTORE", "UI", {
+            before: transaction,
+            after: { ...transaction, deletedAt: null },
+            actorId: user.id,
+          })
+        )
+      );
+    });
+
+    revalidatePath("/trash");
+    revalidatePath("/dashboard");
+    for (const accountId of Object.keys(accountBalanceChanges)) {
+      revalidatePath(`/account/${accountId}`);
+    }
+
+    return { success: true, data: { restored: transactions.length } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Permanently delete transactions from the trash. Their balance changes were
+// already reversed when they were deleted.
+export async function purgeTransactions(transactionIds) {
+  try {
+    const user = await getCurrentUser();
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        id: { in: transactionIds },
+        userId: user.id,
+        deletedAt: { not: null },
+      },
+      include: { splits: true, tags: true },
+    });
+
+    await db.$transaction(async (tx) => {
+      await tx.transaction.deleteMany({
+        where: {
+          id: { in: transactions.map((transaction) => transaction.id) },
+          userId: user.id,
+        },
+      });
+
+      await recordAudit(
+        tx,
+        transactions.map((transaction) =>
+          transactionAuditEntry("PURGE", "UI", {
+            before: transaction,
+            actorId: user.id,
+          })
+        )
+      );
+    });
+
+    revalidatePath("/trash");
+
+    return { success: true, data: { purged: transactions.length } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
@@ -0,0 +1,45 @@
+import { notFound } from "next/navigation";
+import { getAccountHistory } from "@/actions/audit";
+import { getUserCategories } from "@/actions/category";
+import { getUserAccounts } from "@/actions/dashboard";
+import { Card, CardContent } from "@/components/ui/card";
+import { AuditLogList } from "../../_components/audit-log-list";
+
+export default async function AccountHistoryPage({ params }) {
+  const [history, categories, openAccounts, archivedAccounts] =
+    await Promise.all([
+      getAccountHistory(params.id),
+      getUserCategories(),
+      getUserAccounts(),
+      getUserAccounts({ archived: true }),
+    ]);
+
+  if (!history) {
+    notFound();
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-5 space-y-8">
+      <div>
+        <h1 className="text-5xl gradient-title capitalize">
+          {history.account.name} History
+        </h1>
+        <p className="text-muted-foreground">
+          Changes to this account and its transactions
+        </p>
+      </div>
+
+      <Card>
+        <CardContent className="pt-2">
+          <AuditLogList
+            entries={history.entries}
+            accounts={[...openAccounts, ...archivedAccounts]}
+            categories={categories}
+            currency={history.account.currency}
+            showLabels
+          />
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -1,12 +1,31 @@
 import { Suspense } from "react";
+import Link from "next/link";
+import { CheckCheck, History, Trash2 } from "lucide-react";
 import { getAccountWithTransactions } from "@/actions/account";
+import { getUserCategories } from "@/actions/category";
+import { getUserAccounts } from "@/actions/dashboard";
 import { BarLoader } from "react-spinners";
+import { Button } from "@/components/ui/button";
 import { TransactionTable } from "../_components/transaction-table";
 import { notFound } from "next/navigation";
 import { AccountChart } from "../_components/account-chart";
+import { ImportTransactionsDrawer } from "../_components/import-transactions-drawer";
+import { AccountSettingsDrawer } from "../_components/account-settings-drawer";
+import { Badge } from "@/components/ui/badge";
+import { formatMoney } from "@/lib/currency";
+import {
+  getAccountTypeLabel,
+  getAmountOwed,
+  isLiability,
+} from "@/lib/accounts";
+import { LiabilitySummary } from "@/components/liability-summary";
 
 export default async function AccountPage({ params }) {
-  const accountData = await getAccountWithTransactions(params.id);
+  const [accountData, categories, accounts] = await Promise.all([
+    getAccountWithTransactions(params.id),
+    getUserCategories(),
+    getUserAccounts(),
+  ]);
 
   if (!accountData) {
     notFound();
@@ -22,18 +41,52 @@ export default async function AccountPage({ params }) {
             {account.name}
           </h1>
           <p className="text-muted-foreground">
-            {account.type.charAt(0) + account.type.slice(1).toLowerCase()}{" "}
-            Account
+            {getAccountTypeLabel(account.type)} Account
+            {account.institution && ` · ${account.institution}`}
+            {account.archivedAt && (
+              <Badge variant="outline" className="ml-2">
+                Archived
+              </Badge>
+            )}
           </p>
         </div>
 
         <div className="text-right pb-2">
           <div className="text-xl sm:text-2xl font-bold">
-            ${parseFloat(account.balance).toFixed(2)}
+            {isLiability(account.type)
+              ? `${formatMoney(getAmountOwed(account), account.currency)} owed`
+              : formatMoney(account.balance, account.currency)}
           </div>
+          <LiabilitySummary account={account} className="my-2" />
           <p className="text-sm text-muted-foreground">
             {account._count.transactions} Transactions
           </p>
+          <div className="mt-2 flex justify-end gap-2">
+            <Link href={`/account/${account.id}/reconcile`}>
+              <Button variant="ghost" size="sm">
+                <CheckCheck className="h-4 w-4 mr-2" />
+                Reconcile
+              </Button>
+            </Link>
+            <Link href={`/account/${account.id}/history`}>
+              <Button variant="ghost" size="sm">
+                <History className="h-4 w-4 mr-2" />
+                History
+              </Button>
+            </Link>
+            <Link href="/trash">
+              <Button variant="ghost" size="sm">
+                <Trash2 className="h-4 w-4 mr-2" />
+                Trash
+              </Button>
+            </Link>
+            <AccountSettingsDrawer account={account} accounts={accounts} />
+            <ImportTransactionsDrawer
+              accountId={account.id}
+              currency={account.currency}
+              categories={categories}
+            />
+          </div>
         </div>
       </div>
 
@@ -41,14 +94,20 @@ export default async function AccountPage({ params }) {
       <Suspense
         fallback={<BarLoader className="mt-4" width={"100%"} color="#9333ea" />}
       >
-        <AccountChart transactions={transactions} />
+        <AccountChart transactions={transactions} currency={account.currency} />
       </Suspense>
 
       {/* Transactions Table */}
       <Suspense
         fallback={<BarLoader className="mt-4" width={"100%"} color="#9333ea" />}
       >
-        <TransactionTable transactions={transactions} />
+        <TransactionTable
+          transactions={transactions}
+          accountId={account.id}
+          accounts={accounts}
+          categories={categories}
+          currency={account.currency}
+        />
       </Suspense>
     </div>
   );
@@ -0,0 +1,63 @@
+import { format } from "date-fns";
+import { notFound } from "next/navigation";
+import { getReconciliationData } from "@/actions/reconciliation";
+import { formatMoney } from "@/lib/currency";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { ReconcileForm } from "../../_components/reconcile-form";
+
+export default async function ReconcilePage({ params }) {
+  const data = await getReconciliationData(params.id);
+
+  if (!data) {
+    notFound();
+  }
+
+  const { account, reconciliations, transactions } = data;
+
+  return (
+    <div className="max-w-3xl mx-auto px-5 space-y-8">
+      <div>
+        <h1 className="text-5xl gradient-title capitalize">
+          Reconcile {account.name}
+        </h1>
+        <p className="text-muted-foreground">
+          Match your transactions against a bank statement. Reconciled
+          transactions are locked until you unlock them.
+        </p>
+      </div>
+
+      <ReconcileForm account={account} transactions={transactions} />
+
+      {reconciliations.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Past Reconciliations</CardTitle>
+          </CardHeader>
+          <CardContent className="divide-y">
+            {reconciliations.map((reconciliation) => (
+              <div
+                key={reconciliation.id}
+                className="flex items-center justify-between py-3 text-sm"
+              >
+                <div>
+                  <div className="font-medium">
+                    {format(new Date(reconciliation.statementDate), "PPP")}
+                  </div>
+                  <div className="text-muted-foreground">
+                    {reconciliation._count.transactions} transactions
+                  </div>
+                </div>
+                <div className="font-medium">
+                  {formatMoney(
+                    reconciliation.statementBalance,
+                    account.currency
+                  )}
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,279 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Archive,
+  ArchiveRestore,
+  Loader2,
+  Settings,
+  Trash,
+} from "lucide-react";
+import { useRouter } from "next/navigation";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { AccountTypeFields } from "@/components/account-type-fields";
+import {
+  deleteAccount,
+  setAccountArchived,
+  updateAccount,
+} from "@/actions/account";
+import { accountSettingsSchema } from "@/app/lib/schema";
+import { ACCOUNT_TYPES } from "@/lib/accounts";
+import useFetch from "@/hooks/use-fetch";
+
+const DELETE_TRANSACTIONS = "delete";
+
+const toFormValue = (value) =>
+  value === null || value === undefined ? "" : String(value);
+
+// Edit, archive or delete an account
+export function AccountSettingsDrawer({ account, accounts }) {
+  const router = useRouter();
+  const [open, setOpen] = useState(false);
+  const [moveToAccountId, setMoveToAccountId] = useState(DELETE_TRANSACTIONS);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+  } = useForm({
+    resolver: zodResolver(accountSettingsSchema),
+    defaultValues: {
+      name: account.name,
+      type: account.type,
+      institution: toFormValue(account.institution),
+      creditLimit: toFormValue(account.creditLimit),
+      interestRate: toFormValue(account.interestRate),
+      statementDay: toFormValue(account.statementDay),
+      paymentDueDay: toFormValue(account.paymentDueDay),
+    },
+  });
+
+  const type = watch("type");
+
+  // Transactions can only move to another open account in the same currency
+  const moveTargets = accounts.filter(
+    (a) => a.id !== account.id && a.currency === account.currency
+  );
+
+  const {
+    loading: updateLoading,
+    fn: updateFn,
+    data: updated,
+  } = useFetch(updateAccount);
+
+  const {
+    loading: archiveLoading,
+    fn: archiveFn,
+    data: archived,
+  } = useFetch(setAccountArchived);
+
+  const {
+    loading: deleteLoading,
+    fn: deleteFn,
+    data: deleted,
+  } = useFetch(deleteAccount);
+
+  const handleDelete = () => {
+    const moveTo = moveTargets.find((a) => a.id === moveToAccountId);
+    const message = moveTo
+      ? `Delete "${account.name}" and move its transactions to "${moveTo.name}"?`
+      : `Delete "${account.name}" and all of its transactions? This can't be undone.`;
+    if (!window.confirm(message)) return;
+
+    deleteFn(account.id, { moveToAccountId: moveTo?.id });
+  };
+
+  useEffect(() => {
+    if (updated?.success && !updateLoading) {
+      toast.success("Account updated");
+      setOpen(false);
+    } else if (updated?.error) {
+      toast.error(updated.error);
+    }
+  }, [updated, updateLoading]);
+
+  useEffect(() => {
+    if (archived?.success && !archiveLoading) {
+      toast.success(
+        archived.data.archivedAt ? "Account archived" : "Account restored"
+      );
+      setOpen(false);
+    } else if (archived?.error) {
+      toast.error(archived.error);
+    }
+  }, [archived, archiveLoading]);
+
+  useEffect(() => {
+    if (deleted?.success && !deleteLoading) {
+      toast.success("Account deleted");
+      router.push("/dashboard");
+    } else if (deleted?.error) {
+      toast.error(deleted.error);
+    }
+  }, [deleted, deleteLoading, router]);
+
+  const busy = updateLoading || archiveLoading || deleteLoading;
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>
+        <Button variant="ghost" size="sm">
+          <Settings className="h-4 w-4 mr-2" />
+          Settings
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Account Settings</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 max-h-[75vh] overflow-y-auto space-y-8">
+          <form
+            onSubmit={handleSubmit((data) => updateFn(account.id, data))}
+            className="space-y-4"
+          >
+            <div className="space-y-2">
+              <label htmlFor="settings-name" className="text-sm font-medium">
+                Account Name
+              </label>
+              <Input id="settings-name" {...register("name")} />
+              {errors.name && (
+                <p className="text-sm text-red-500">{errors.name.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="settings-type" className="text-sm font-medium">
+                Account Type
+              </label>
+              <Select
+                value={type}
+                onValueChange={(value) => setValue("type", value)}
+              >
+                <SelectTrigger id="settings-type">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(ACCOUNT_TYPES).map(([value, { label }]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                The balance stays as it is; credit cards and loans show a
+                negative balance as the amount owed.
+              </p>
+            </div>
+
+            <AccountTypeFields
+              type={type}
+              register={register}
+              errors={errors}
+            />
+
+            <Button type="submit" className="w-full" disabled={busy}>
+              {updateLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                "Save Changes"
+              )}
+            </Button>
+          </form>
+
+          <div className="space-y-2 rounded-lg border p-3">
+            <p className="text-sm font-medium">
+              {account.archivedAt ? "Archived Account" : "Archive Account"}
+            </p>
+            <p className="text-sm text-muted-foreground">
+              Archived accounts are hidden from the dashboard and account lists
+              and stop recurring transactions. Their transactions stay in
+              history and reports.
+            </p>
+            <Button
+              variant="outline"
+              className="w-full"
+              onClick={() => archiveFn(account.id, !account.archivedAt)}
+              disabled={busy}
+            >
+              {account.archivedAt ? (
+                <>
+                  <ArchiveRestore className="mr-2 h-4 w-4" />
+                  Restore Account
+                </>
+              ) : (
+                <>
+                  <Archive className="mr-2 h-4 w-4" />
+                  Archive Account
+                </>
+              )}
+            </Button>
+          </div>
+
+          <div className="space-y-2 rounded-lg border border-red-200 p-3">
+            <p className="text-sm font-medium text-red-600">Delete Account</p>
+            <label className="text-sm text-muted-foreground">
+              Its transactions
+            </label>
+            <Select value={moveToAccountId} onValueChange={setMoveToAccountId}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={DELETE_TRANSACTIONS}>
+                  Delete them with the account
+                </SelectItem>
+                {moveTargets.map((target) => (
+                  <SelectItem key={target.id} value={target.id}>
+                    Move them to {target.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-muted-foreground">
+              Transfers to or from other accounts stay on those accounts as
+              income or expenses.
+            </p>
+            <Button
+              variant="destructive"
+              className="w-full"
+              onClick={handleDelete}
+              disabled={busy}
+            >
+              {deleteLoading ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Trash className="mr-2 h-4 w-4" />
+              )}
+              Delete Account
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,196 @@
+import { format } from "date-fns";
+import { Badge } from "@/components/ui/badge";
+import { toCategoryMap } from "@/data/categories";
+import { formatMoney } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+import { LAST_BUSINESS_DAY } from "@/lib/recurring";
+
+const ACTION_LABELS = {
+  CREATE: "Created",
+  UPDATE: "Updated",
+  DELETE: "Deleted",
+  RESTORE: "Restored",
+  PURGE: "Permanently deleted",
+};
+
+const ACTION_COLORS = {
+  CREATE: "text-green-700",
+  UPDATE: "text-blue-700",
+  DELETE: "text-red-600",
+  RESTORE: "text-purple-700",
+  PURGE: "text-red-600",
+};
+
+const SOURCE_LABELS = {
+  UI: "You",
+  IMPORT: "Statement import",
+  RECURRING: "Recurring job",
+  RECEIPT_SCAN: "Receipt scan",
+  RULE: "Categorization rule",
+  SYSTEM: "System",
+};
+
+const FIELD_LABELS = {
+  type: "Type",
+  amount: "Amount",
+  currency: "Currency",
+  balance: "Balance",
+  openingBalance: "Opening balance",
+  description: "Description",
+  date: "Date",
+  category: "Category",
+  subcategory: "Subcategory",
+  accountId: "Account",
+  transferAccountId: "Transfer to",
+  status: "Status",
+  isRecurring: "Recurring",
+  recurringInterval: "Interval",
+  recurringEvery: "Repeat every",
+  recurringDay: "Day of month",
+  recurringEndDate: "Ends",
+  recurringMaxOccurrences: "Occurrences",
+  recurringPausedAt: "Paused",
+  recurringAmount: "Upcoming amount",
+  recurringDescription: "Upcoming description",
+  nextRecurringDate: "Next occurrence",
+  splits: "Split",
+  tags: "Tags",
+  deletedAt: "Deleted",
+  reconciliationId: "Reconciled",
+  name: "Name",
+  isDefault: "Default account",
+  institution: "Institution",
+  creditLimit: "Credit limit",
+  interestRate: "Interest rate",
+  statementDay: "Statement day",
+  paymentDueDay: "Payment due day",
+  archivedAt: "Archived",
+  alertThreshold: "Alert at",
+};
+
+// List of audit log entries with the fields each one changed. `accounts` and
+// `categories` turn stored ids into names; amounts are shown in `currency`.
+export function AuditLogList({
+  entries,
+  accounts = [],
+  categories = [],
+  currency,
+  showLabels = false,
+}) {
+  const categoryMap = toCategoryMap(categories);
+  const accountNames = Object.fromEntries(
+    accounts.map((account) => [account.id, account.name])
+  );
+
+  const formatValue = (field, value) => {
+    if (field === "reconciliationId") return value ? "Yes" : "No";
+    if (value === null || value === undefined || value === "") return "—";
+
+    switch (field) {
+      case "amount":
+      case "balance":
+      case "openingBalance":
+      case "creditLimit":
+      case "recurringAmount":
+        return formatMoney(value, currency);
+      case "date":
+      case "deletedAt":
+      case "archivedAt":
+      case "recurringEndDate":
+      case "recurringPausedAt":
+      case "nextRecurringDate":
+        return format(new Date(value), "PP");
+      case "category":
+        return categoryMap[value]?.name || value;
+      case "accountId":
+      case "transferAccountId":
+        return accountNames[value] || "Another account";
+      case "splits":
+        return value.length === 0
+          ? "—"
+          : value
+              .map(
+                (split) =>
+                  `${categoryMap[split.category]?.name || split.category} ${formatMoney(split.amount, currency)}`
+              )
+              .join(", ");
+      case "tags":
+        return value.length === 0 ? "—" : value.join(", ");
+      case "recurringDay":
+        return value === LAST_BUSINESS_DAY
+          ? "Last business day"
+          : String(value);
+      case "alertThreshold":
+      case "interestRate":
+        return `${value}%`;
+      case "type":
+      case "status":
+      case "recurringInterval":
+        return (
+          value.charAt(0) + value.slice(1).toLowerCase().replace(/_/g, " ")
+        );
+      default:
+        if (typeof value === "boolean") return value ? "Yes" : "No";
+        return String(value);
+    }
+  };
+
+  if (entries.length === 0) {
+    return (
+      <p className="text-center text-muted-foreground py-8">
+        No changes recorded yet
+      </p>
+    );
+  }
+
+  return (
+    <div className="divide-y">
+      {entries.map((entry) => {
+        const fields = Object.keys({
+          ...entry.oldValues,
+          ...entry.newValues,
+        });
+
+        return (
+          <div key={entry.id} className="py-3 space-y-1">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className={cn("font-medium", ACTION_COLORS[entry.action])}>
+                {ACTION_LABELS[entry.action]}
+              </span>
+              {showLabels && <span className="font-medium">{entry.label}</span>}
+              <Badge variant="outline" className="font-normal">
+                {SOURCE_LABELS[entry.source]}
+              </Badge>
+              <span className="ml-auto text-xs text-muted-foreground">
+                {format(new Date(entry.createdAt), "PPp")}
+              </span>
+            </div>
+
+            {/* Updates show old → new; other entries show the values */}
+            {entry.action === "UPDATE" && (
+              <ul className="text-sm text-muted-foreground">
+                {fields.map((field) => (
+                  <li key={field}>
+                    {FIELD_LABELS[field] || field}:{" "}
+                    <span className="line-through">
+                      {formatValue(field, entry.oldValues?.[field])}
+                    </span>{" "}
+                    → {formatValue(field, entry.newValues?.[field])}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {entry.action === "CREATE" && entry.newValues && (
+              <p className="text-sm text-muted-foreground">
+                {["amount", "balance", "category", "date"]
+                  .filter((field) => field in entry.newValues)
+                  .map((field) => formatValue(field, entry.newValues[field]))
+                  .join(" · ")}
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,410 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { CalendarIcon, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from "@/components/ui/drawer";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { TagInput } from "@/components/tag-input";
+import { bulkUpdateTransactions } from "@/actions/transaction";
+import useFetch from "@/hooks/use-fetch";
+import { cn } from "@/lib/utils";
+import { formatMoney } from "@/lib/currency";
+import { RECURRING_INTERVALS } from "@/lib/recurring";
+
+const BULK_ACTIONS = {
+  category: "Change category",
+  account: "Move to account",
+  date: "Change date",
+  tags: "Add or remove tags",
+  recurring: "Mark recurring / non-recurring",
+  status: "Change status",
+};
+
+// Select items can't have an empty value
+const NO_SUBCATEGORY = "none";
+
+const initialChanges = {
+  category: "",
+  subcategory: "",
+  accountId: "",
+  date: null,
+  addTags: [],
+  removeTags: [],
+  isRecurring: true,
+  recurringInterval: "",
+  status: "",
+};
+
+// Edit every selected transaction at once. Only the fields of the chosen
+// action are sent, so one apply makes one kind of change.
+export function BulkEditDrawer({
+  transactionIds,
+  accountId,
+  accounts,
+  categories,
+  tags,
+  onComplete,
+  children,
+}) {
+  const [open, setOpen] = useState(false);
+  const [action, setAction] = useState("category");
+  const [changes, setChanges] = useState(initialChanges);
+
+  const setChange = (field, value) =>
+    setChanges((current) => ({ ...current, [field]: value }));
+
+  const activeCategories = categories.filter(
+    (category) => category.type !== "TRANSFER" && !category.isArchived
+  );
+  const subcategories =
+    categories.find((category) => category.id === changes.category)
+      ?.subcategories || [];
+  const otherAccounts = accounts.filter((account) => account.id !== accountId);
+
+  const {
+    loading: updateLoading,
+    fn: updateFn,
+    data: updated,
+  } = useFetch(bulkUpdateTransactions);
+
+  const getChanges = () => {
+    switch (action) {
+      case "category":
+        return (
+          changes.category && {
+            category: changes.category,
+            subcategory: changes.subcategory,
+          }
+        );
+      case "account":
+        return changes.accountId && { accountId: changes.accountId };
+      case "date":
+        return changes.date && { date: changes.date };
+      case "tags":
+        return (
+          (changes.addTags.length > 0 || changes.removeTags.length > 0) && {
+            addTags: changes.addTags,
+            removeTags: changes.removeTags,
+          }
+        );
+      case "recurring":
+        return (
+          (!changes.isRecurring || changes.recurringInterval) && {
+            isRecurring: changes.isRecurring,
+            ...(changes.isRecurring && {
+              recurringInterval: changes.recurringInterval,
+            }),
+          }
+        );
+      case "status":
+        return changes.status && { status: changes.status };
+    }
+  };
+
+  const selectedChanges = getChanges();
+
+  const handleApply = () => {
+    if (!selectedChanges) return;
+    updateFn(transactionIds, selectedChanges);
+  };
+
+  useEffect(() => {
+    if (updated?.success && !updateLoading) {
+      const { updated: count, skipped } = updated.data;
+      toast.success(
+        skipped > 0
+          ? `${count} transactions updated, ${skipped} skipped`
+          : `${count} transactions updated`
+      );
+      setChanges(initialChanges);
+      setOpen(false);
+      onComplete?.();
+    }
+  }, [updated, updateLoading, onComplete]);
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>
+            Edit {transactionIds.length} Selected Transactions
+          </DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 space-y-4">
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Action</label>
+            <Select value={action} onValueChange={setAction}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(BULK_ACTIONS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {action === "category" && (
+            <div className="grid gap-4 grid-cols-2">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Category</label>
+                <Select
+                  value={changes.category}
+                  onValueChange={(value) => {
+                    setChange("category", value);
+                    setChange("subcategory", "");
+                  }}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select category" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {activeCategories.map((category) => (
+                      <SelectItem key={category.id} value={category.id}>
+                        {`${category.name} (${
+                          category.type === "INCOME" ? "Income" : "Expense"
+                        })`}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-muted-foreground">
+                  Only applies to unsplit transactions of the same type
+                </p>
+              </div>
+
+              {subcategories.length > 0 && (
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Subcategory</label>
+                  <Select
+                    value={changes.subcategory || NO_SUBCATEGORY}
+                    onValueChange={(value) =>
+                      setChange(
+                        "subcategory",
+                        value === NO_SUBCATEGORY ? "" : value
+                      )
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select subcategory" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NO_SUBCATEGORY}>
+                        No subcategory
+                      </SelectItem>
+                      {subcategories.map((subcategory) => (
+                        <SelectItem key={subcategory} value={subcategory}>
+                          {subcategory}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+            </div>
+          )}
+
+          {action === "account" && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Account</label>
+              <Select
+                value={changes.accountId}
+                onValueChange={(value) => setChange("accountId", value)}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Select account" />
+                </SelectTrigger>
+                <SelectContent>
+                  {otherAccounts.map((account) => (
+                    <SelectItem key={account.id} value={account.id}>
+                      {account.name} (
+                      {formatMoney(account.balance, account.currency)})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                Both account balances are adjusted
+              </p>
+            </div>
+          )}
+
+          {action === "date" && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Date</label>
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button
+                    variant="outline"
+                    className={cn(
+                      "w-full pl-3 text-left font-normal",
+                      !changes.date && "text-muted-foreground"
+                    )}
+                  >
+                    {changes.date ? (
+                      format(changes.date, "PPP")
+                    ) : (
+                      <span>Pick a date</span>
+                    )}
+                    <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0" align="start">
+                  <Calendar
+                    mode="single"
+                    selected={changes.date}
+                    onSelect={(date) => setChange("date", date)}
+                    disabled={(date) =>
+                      date > new Date() || date < new Date("1900-01-01")
+                    }
+                    initialFocus
+                  />
+                </PopoverContent>
+              </Popover>
+            </div>
+          )}
+
+          {action === "tags" && (
+            <>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Add Tags</label>
+                <TagInput
+                  value={changes.addTags}
+                  onChange={(value) => setChange("addTags", value)}
+                  suggestions={tags}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Remove Tags</label>
+                <TagInput
+                  value={changes.removeTags}
+                  onChange={(value) => setChange("removeTags", value)}
+                  suggestions={tags}
+                />
+              </div>
+            </>
+          )}
+
+          {action === "recurring" && (
+            <>
+              <div className="flex flex-row items-center justify-between rounded-lg border p-4">
+                <div className="space-y-0.5">
+                  <label className="text-base font-medium">
+                    Recurring Transactions
+                  </label>
+                  <div className="text-sm text-muted-foreground">
+                    Turn off to stop the selected transactions repeating
+                  </div>
+                </div>
+                <Switch
+                  checked={changes.isRecurring}
+                  onCheckedChange={(checked) =>
+                    setChange("isRecurring", checked)
+                  }
+                />
+              </div>
+              {changes.isRecurring && (
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">
+                    Recurring Interval
+                  </label>
+                  <Select
+                    value={changes.recurringInterval}
+                    onValueChange={(value) =>
+                      setChange("recurringInterval", value)
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select interval" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(RECURRING_INTERVALS).map(
+                        ([value, { label }]) => (
+                          <SelectItem key={value} value={value}>
+                            {label}
+                          </SelectItem>
+                        )
+                      )}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+            </>
+          )}
+
+          {action === "status" && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Status</label>
+              <Select
+                value={changes.status}
+                onValueChange={(value) => setChange("status", value)}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Select status" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="COMPLETED">Completed</SelectItem>
+                  <SelectItem value="PENDING">Pending</SelectItem>
+                  <SelectItem value="FAILED">Failed</SelectItem>
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                Failed transactions don&apos;t count towards account balances
+              </p>
+            </div>
+          )}
+
+          <div className="flex gap-4 pt-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              className="flex-1"
+              disabled={!selectedChanges || updateLoading}
+              onClick={handleApply}
+            >
+              {updateLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Applying...
+                </>
+              ) : (
+                "Apply"
+              )}
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,383 @@
+"use client";
+
+import { useState, useEffect, useMemo } from "react";
+import { FileUp, Loader2 } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { cn } from "@/lib/utils";
+import { formatMoney } from "@/lib/currency";
+import { toCategoryMap } from "@/data/categories";
+import {
+  CSV_DATE_FORMATS,
+  CSV_DECIMAL_SEPARATORS,
+  detectDecimalSeparator,
+  mapCsvRow,
+  parseCsv,
+} from "@/lib/csv";
+import { importTransactions } from "@/actions/import";
+import useFetch from "@/hooks/use-fetch";
+import { StatementImport } from "./statement-import";
+
+const PREVIEW_ROWS = 50;
+
+// Fields from transactionSchema that can be mapped to CSV columns
+const IMPORT_FIELDS = [
+  { key: "date", label: "Date", required: true, match: /date/i },
+  {
+    key: "amount",
+    label: "Amount",
+    required: true,
+    match: /amount|value|sum/i,
+  },
+  {
+    key: "description",
+    label: "Description",
+    match: /desc|memo|payee|narration|details/i,
+  },
+  { key: "type", label: "Type", match: /type|dr\/cr|credit\/debit/i },
+  { key: "category", label: "Category", match: /categ/i },
+];
+
+const NOT_MAPPED = "none";
+
+// Guess the column for each field from the CSV header names
+function guessMapping(headers) {
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = headers.findIndex((header) => field.match.test(header));
+    if (index !== -1) mapping[field.key] = index;
+    return mapping;
+  }, {});
+}
+
+export function ImportTransactionsDrawer({ accountId, currency, categories }) {
+  const [open, setOpen] = useState(false);
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState(CSV_DATE_FORMATS[0]);
+  const [decimalSeparator, setDecimalSeparator] = useState(".");
+
+  const {
+    loading: importLoading,
+    fn: importFn,
+    data: importResult,
+  } = useFetch(importTransactions);
+
+  const handleFileChange = async (file) => {
+    if (!file) return;
+
+    const parsed = parseCsv(await file.text());
+    if (parsed.length < 2) {
+      toast.error("The file has no transactions to import");
+      return;
+    }
+
+    setFileName(file.name);
+    setHeaders(parsed[0]);
+    setRows(parsed.slice(1));
+
+    const guessed = guessMapping(parsed[0]);
+    setMapping(guessed);
+    if (guessed.amount !== undefined) {
+      setDecimalSeparator(
+        detectDecimalSeparator(
+          parsed.slice(1).map((row) => row[guessed.amount])
+        )
+      );
+    }
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping((current) => {
+      const next = { ...current };
+      if (value === NOT_MAPPED) {
+        delete next[field];
+      } else {
+        next[field] = parseInt(value);
+      }
+      return next;
+    });
+  };
+
+  const isMappingComplete = IMPORT_FIELDS.every(
+    (field) => !field.required || mapping[field.key] !== undefined
+  );
+
+  // Archived categories can't be used for new transactions
+  const activeCategories = useMemo(
+    () => categories.filter((category) => !category.isArchived),
+    [categories]
+  );
+  const categoryMap = toCategoryMap(categories);
+
+  // Parse and validate every row with the current mapping
+  const parsedRows = useMemo(() => {
+    if (!isMappingComplete) return [];
+    return rows.map((row) =>
+      mapCsvRow(row, mapping, {
+        dateFormat,
+        decimalSeparator,
+        categories: activeCategories,
+      })
+    );
+  }, [
+    rows,
+    mapping,
+    dateFormat,
+    decimalSeparator,
+    isMappingComplete,
+    activeCategories,
+  ]);
+
+  const validRows = parsedRows.filter((row) => row.errors.length === 0);
+  const invalidCount = parsedRows.length - validRows.length;
+
+  const handleImport = async () => {
+    await importFn(
+      accountId,
+      validRows.map((row) => row.data)
+    );
+  };
+
+  useEffect(() => {
+    if (importResult?.success && !importLoading) {
+      const { created, skipped } = importResult.data;
+      toast.success(
+        skipped > 0
+          ? `Imported ${created} transactions, skipped ${skipped} duplicates`
+          : `Imported ${created} transactions`
+      );
+      setFileName("");
+      setHeaders([]);
+      setRows([]);
+      setMapping({});
+      setOpen(false);
+    }
+  }, [importResult, importLoading]);
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>
+        <Button variant="outline" size="sm">
+          <FileUp className="h-4 w-4 mr-2" />
+          Import
+        </Button>
+      </DrawerTrigger>
+      <DrawerContent className="max-h-[90vh]">
+        <DrawerHeader>
+          <DrawerTitle>Import Transactions</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4 space-y-4 overflow-y-auto">
+          <StatementImport accountId={accountId} />
+
+          {/* File */}
+          <div className="space-y-2">
+            <label className="text-sm font-medium">CSV File</label>
+            <Input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => handleFileChange(e.target.files?.[0])}
+            />
+            {fileName && (
+              <p className="text-sm text-muted-foreground">
+                {fileName} ({rows.length} rows)
+              </p>
+            )}
+          </div>
+
+          {/* Column Mapping */}
+          {headers.length > 0 && (
+            <div className="grid gap-4 md:grid-cols-3">
+              {IMPORT_FIELDS.map((field) => (
+                <div key={field.key} className="space-y-2">
+                  <label className="text-sm font-medium">
+                    {field.label}
+                    {field.required && " *"}
+                  </label>
+                  <Select
+                    value={
+                      mapping[field.key] !== undefined
+                        ? mapping[field.key].toString()
+                        : NOT_MAPPED
+                    }
+                    onValueChange={(value) =>
+                      handleMappingChange(field.key, value)
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select column" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NOT_MAPPED}>Not mapped</SelectItem>
+                      {headers.map((header, index) => (
+                        <SelectItem key={index} value={index.toString()}>
+                          {header || `Column ${index + 1}`}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Date Format</label>
+                <Select value={dateFormat} onValueChange={setDateFormat}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select format" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CSV_DATE_FORMATS.map((dateFormat) => (
+                      <SelectItem key={dateFormat} value={dateFormat}>
+                        {dateFormat}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Number Format</label>
+                <Select
+                  value={decimalSeparator}
+                  onValueChange={setDecimalSeparator}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select format" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(CSV_DECIMAL_SEPARATORS).map(
+                      ([separator, example]) => (
+                        <SelectItem key={separator} value={separator}>
+                          {example}
+                        </SelectItem>
+                      )
+                    )}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+          )}
+
+          {headers.length > 0 && mapping.type === undefined && (
+            <p className="text-sm text-muted-foreground">
+              Without a type column, negative amounts are imported as expenses
+              and positive amounts as income.
+            </p>
+          )}
+
+          {/* Preview */}
+          {parsedRows.length > 0 && (
+            <div className="space-y-2">
+              <p className="text-sm">
+                {validRows.length} valid rows
+                {invalidCount > 0 && (
+                  <span className="text-red-500">
+                    , {invalidCount} with errors will be skipped
+                  </span>
+                )}
+              </p>
+              <div className="rounded-md border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Date</TableHead>
+                      <TableHead>Description</TableHead>
+                      <TableHead>Category</TableHead>
+                      <TableHead className="text-right">Amount</TableHead>
+                      <TableHead>Errors</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {parsedRows.slice(0, PREVIEW_ROWS).map((row, index) => (
+                      <TableRow
+                        key={index}
+                        className={cn(row.errors.length > 0 && "bg-red-50")}
+                      >
+                        <TableCell>
+                          {row.data.date ? format(row.data.date, "PP") : "-"}
+                        </TableCell>
+                        <TableCell>{row.data.description}</TableCell>
+                        <TableCell>
+                          {categoryMap[row.data.category]?.name ||
+                            row.data.category}
+                        </TableCell>
+                        <TableCell
+                          className={cn(
+                            "text-right font-medium",
+                            row.data.type === "EXPENSE"
+                              ? "text-red-500"
+                              : "text-green-500"
+                          )}
+                        >
+                          {row.data.type === "EXPENSE" ? "-" : "+"}
+                          {isNaN(row.data.amount)
+                            ? "-"
+                            : formatMoney(row.data.amount, currency)}
+                        </TableCell>
+                        <TableCell className="text-sm text-red-500">
+                          {row.errors.join(", ")}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+              {parsedRows.length > PREVIEW_ROWS && (
+                <p className="text-xs text-muted-foreground text-right">
+                  Showing first {PREVIEW_ROWS} of {parsedRows.length} rows
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-4 pt-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              className="flex-1"
+              onClick={handleImport}
+              disabled={importLoading || validRows.length === 0}
+            >
+              {importLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Importing...
+                </>
+              ) : (
+                `Import ${validRows.length} Transactions`
+              )}
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -52,13 +52,7 @@ import { bulkDeleteTransactions } from "@/actions/account";
 import useFetch from "@/hooks/use-fetch";
 import { BarLoader } from "react-spinners";
 import { useRouter } from "next/navigation";
-
-const RECURRING_INTERVALS = {
-  DAILY: "Daily",
-  WEEKLY: "Weekly",
-  MONTHLY: "Monthly",
-  YEARLY: "Yearly",
-};
+import { RECURRING_INTERVALS } from "@/lib/recurring";
 
 export function NoPaginationTransactionTable({ transactions }) {
   const [selectedIds, setSelectedIds] = useState([]);
@@ -362,7 +356,7 @@ export function NoPaginationTransactionTable({ transactions }) {
                               {
                                 RECURRING_INTERVALS[
                                   transaction.recurringInterval
-                                ]
+                                ]?.label
                               }
                             </Badge>
                           </TooltipTrigger>
@@ -0,0 +1,323 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { format } from "date-fns";
+import { CalendarIcon, Loader2 } from "lucide-react";
+import { useRouter } from "next/navigation";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  reconcileAccount,
+  setTransactionsCleared,
+} from "@/actions/reconciliation";
+import { reconciliationSchema } from "@/app/lib/schema";
+import {
+  getAccountEffect,
+  getClearedBalance,
+  getReconciliationDifference,
+  isOnStatement,
+} from "@/lib/reconciliation";
+import useFetch from "@/hooks/use-fetch";
+import { cn } from "@/lib/utils";
+import { formatMoney } from "@/lib/currency";
+
+export function ReconcileForm({ account, transactions }) {
+  const router = useRouter();
+  const [clearedIds, setClearedIds] = useState(() =>
+    transactions.filter((t) => t.cleared).map((t) => t.id)
+  );
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    watch,
+    setValue,
+  } = useForm({
+    resolver: zodResolver(reconciliationSchema),
+    defaultValues: {
+      statementDate: new Date(),
+      statementBalance: "",
+    },
+  });
+
+  const statementDate = watch("statementDate");
+  const statementBalance = watch("statementBalance");
+
+  const {
+    loading: reconcileLoading,
+    fn: reconcileFn,
+    data: reconciled,
+  } = useFetch(reconcileAccount);
+
+  // Only transactions up to the statement date can appear on it
+  const statementTransactions = transactions.filter((transaction) =>
+    isOnStatement(transaction, statementDate)
+  );
+
+  const clearedBalance = getClearedBalance(
+    account.balance,
+    transactions.map((transaction) => ({
+      ...transaction,
+      cleared: clearedIds.includes(transaction.id),
+    })),
+    statementDate,
+    account.id
+  );
+  const difference = isNaN(parseFloat(statementBalance))
+    ? null
+    : getReconciliationDifference(parseFloat(statementBalance), clearedBalance);
+
+  // Ticks are saved straight away and rolled back if saving fails
+  const setCleared = async (ids, cleared) => {
+    const update = (current) =>
+      cleared
+        ? [...new Set([...current, ...ids])]
+        : current.filter((id) => !ids.includes(id));
+    const revert = (current) =>
+      cleared
+        ? current.filter((id) => !ids.includes(id))
+        : [...new Set([...current, ...ids])];
+
+    setClearedIds(update);
+    try {
+      await setTransactionsCleared(ids, cleared);
+    } catch (error) {
+      setClearedIds(revert);
+      toast.error(error.message);
+    }
+  };
+
+  const allCleared =
+    statementTransactions.length > 0 &&
+    statementTransactions.every((t) => clearedIds.includes(t.id));
+
+  const onSubmit = (data) => {
+    reconcileFn(account.id, data);
+  };
+
+  useEffect(() => {
+    if (reconciled?.success && !reconcileLoading) {
+      toast.success(`Reconciled ${reconciled.data.reconciled} transactions`);
+      router.push(`/account/${account.id}`);
+    }
+  }, [reconciled, reconcileLoading, router, account.id]);
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Bank Statement</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-6 md:grid-cols-2">
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Statement Date</label>
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button
+                  variant="outline"
+                  className={cn(
+                    "w-full pl-3 text-left font-normal",
+                    !statementDate && "text-muted-foreground"
+                  )}
+                >
+                  {statementDate ? (
+                    format(statementDate, "PPP")
+                  ) : (
+                    <span>Pick a date</span>
+                  )}
+                  <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent className="w-auto p-0" align="start">
+                <Calendar
+                  mode="single"
+                  selected={statementDate}
+                  onSelect={(date) => setValue("statementDate", date)}
+                  disabled={(date) =>
+                    date > new Date() || date < new Date("1900-01-01")
+                  }
+                  initialFocus
+                />
+              </PopoverContent>
+            </Popover>
+            {errors.statementDate && (
+              <p className="text-sm text-red-500">
+                {errors.statementDate.message}
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Closing Balance</label>
+            <Input
+              type="number"
+              step="0.01"
+              placeholder="0.00"
+              {...register("statementBalance")}
+            />
+            {errors.statementBalance && (
+              <p className="text-sm text-red-500">
+                {errors.statementBalance.message}
+              </p>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">
+            Tick off the transactions on your statement
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {statementTransactions.length === 0 ? (
+            <p className="text-center text-muted-foreground py-8">
+              No unreconciled transactions up to this date
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-[50px]">
+                    <Checkbox
+                      checked={allCleared}
+                      onCheckedChange={() =>
+                        setCleared(
+                          statementTransactions.map((t) => t.id),
+                          !allCleared
+                        )
+                      }
+                    />
+                  </TableHead>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Description</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {statementTransactions.map((transaction) => {
+                  const effect = getAccountEffect(transaction, account.id);
+                  const isCleared = clearedIds.includes(transaction.id);
+
+                  return (
+                    <TableRow key={transaction.id}>
+                      <TableCell>
+                        <Checkbox
+                          checked={isCleared}
+                          onCheckedChange={() =>
+                            setCleared([transaction.id], !isCleared)
+                          }
+                        />
+                      </TableCell>
+                      <TableCell>
+                        {format(new Date(transaction.date), "PP")}
+                      </TableCell>
+                      <TableCell>
+                        {transaction.description}
+                        {transaction.status === "PENDING" && (
+                          <span className="ml-2 text-xs text-yellow-600">
+                            Pending
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell
+                        className={cn(
+                          "text-right font-medium",
+                          effect.isNegative()
+                            ? "text-red-500"
+                            : "text-green-500"
+                        )}
+                      >
+                        {effect.isNegative() ? "-" : "+"}
+                        {formatMoney(effect.abs(), account.currency)}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="pt-6 grid gap-4 sm:grid-cols-3">
+          <div>
+            <p className="text-sm text-muted-foreground">Cleared Balance</p>
+            <p className="text-2xl font-bold">
+              {formatMoney(clearedBalance, account.currency)}
+            </p>
+          </div>
+          <div>
+            <p className="text-sm text-muted-foreground">Statement Balance</p>
+            <p className="text-2xl font-bold">
+              {difference === null
+                ? "—"
+                : formatMoney(statementBalance, account.currency)}
+            </p>
+          </div>
+          <div>
+            <p className="text-sm text-muted-foreground">Difference</p>
+            <p
+              className={cn(
+                "text-2xl font-bold",
+                difference?.isZero() ? "text-green-600" : "text-red-500"
+              )}
+            >
+              {difference === null
+                ? "—"
+                : formatMoney(difference, account.currency)}
+            </p>
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="flex gap-4">
+        <Button
+          type="button"
+          variant="outline"
+          className="w-full"
+          onClick={() => router.back()}
+        >
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          className="w-full"
+          disabled={reconcileLoading || !difference?.isZero()}
+        >
+          {reconcileLoading ? (
+            <>
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Reconciling...
+            </>
+          ) : (
+            "Finish Reconciliation"
+          )}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,284 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { format } from "date-fns";
+import {
+  Loader2,
+  Pause,
+  Pencil,
+  Play,
+  RefreshCw,
+  SkipForward,
+} from "lucide-react";
+import { toast } from "sonner";
+
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Tooltip,
+  TooltipContent,
+  TooltipProvider,
+  TooltipTrigger,
+} from "@/components/ui/tooltip";
+import {
+  pauseRecurringTransaction,
+  resumeRecurringTransaction,
+  skipRecurringOccurrence,
+  updateUpcomingOccurrences,
+} from "@/actions/recurring";
+import { upcomingOccurrencesSchema } from "@/app/lib/schema";
+import { formatMoney } from "@/lib/currency";
+import { RECURRING_INTERVALS, describeSchedule } from "@/lib/recurring";
+import useFetch from "@/hooks/use-fetch";
+
+// Badge for a recurring transaction. Its tooltip shows the schedule and lets
+// the series be paused, resumed, skipped ahead or changed from the next
+// occurrence on.
+export function RecurringSeriesBadge({ transaction, currency }) {
+  const [editing, setEditing] = useState(false);
+  const paused = Boolean(transaction.recurringPausedAt);
+  const ended = !transaction.nextRecurringDate;
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(upcomingOccurrencesSchema),
+    defaultValues: {
+      amount: String(transaction.recurringAmount ?? transaction.amount),
+      description:
+        transaction.recurringDescription ?? transaction.description ?? "",
+    },
+  });
+
+  const {
+    loading: pauseLoading,
+    fn: pauseFn,
+    data: pauseResult,
+  } = useFetch(pauseRecurringTransaction);
+
+  const {
+    loading: resumeLoading,
+    fn: resumeFn,
+    data: resumeResult,
+  } = useFetch(resumeRecurringTransaction);
+
+  const {
+    loading: skipLoading,
+    fn: skipFn,
+    data: skipResult,
+  } = useFetch(skipRecurringOccurrence);
+
+  const {
+    loading: updateLoading,
+    fn: updateFn,
+    data: updateResult,
+  } = useFetch(updateUpcomingOccurrences);
+
+  useEffect(() => {
+    if (pauseResult?.success && !pauseLoading) toast.success("Series paused");
+  }, [pauseResult, pauseLoading]);
+
+  useEffect(() => {
+    if (resumeResult?.success && !resumeLoading) {
+      toast.success("Series resumed");
+    }
+  }, [resumeResult, resumeLoading]);
+
+  useEffect(() => {
+    if (skipResult?.success && !skipLoading) {
+      const next = skipResult.data.nextRecurringDate;
+      toast.success(
+        next
+          ? `Occurrence skipped. Next one on ${format(new Date(next), "PPP")}`
+          : "Occurrence skipped. The series has ended"
+      );
+    }
+  }, [skipResult, skipLoading]);
+
+  useEffect(() => {
+    if (updateResult?.success && !updateLoading) {
+      toast.success("Upcoming occurrences updated");
+      setEditing(false);
+    }
+  }, [updateResult, updateLoading]);
+
+  const busy = pauseLoading || resumeLoading || skipLoading || updateLoading;
+
+  return (
+    <>
+      <TooltipProvider>
+        <Tooltip>
+          <TooltipTrigger>
+            {paused ? (
+              <Badge variant="outline" className="gap-1 text-muted-foreground">
+                <Pause className="h-3 w-3" />
+                Paused
+              </Badge>
+            ) : (
+              <Badge
+                variant="secondary"
+                className="gap-1 bg-purple-100 text-purple-700 hover:bg-purple-200"
+              >
+                <RefreshCw className="h-3 w-3" />
+                {RECURRING_INTERVALS[transaction.recurringInterval]?.label}
+              </Badge>
+            )}
+          </TooltipTrigger>
+          <TooltipContent>
+            <div className="text-sm space-y-1">
+              <div className="font-medium">{describeSchedule(transaction)}</div>
+              <div>
+                {ended
+                  ? "Series ended"
+                  : paused
+                    ? `Paused since ${format(new Date(transaction.recurringPausedAt), "PPP")}`
+                    : `Next: ${format(new Date(transaction.nextRecurringDate), "PPP")}`}
+              </div>
+              {transaction.recurringAmount && (
+                <div>
+                  Upcoming amount:{" "}
+                  {formatMoney(transaction.recurringAmount, currency)}
+                </div>
+              )}
+              {transaction.recurringDescription && (
+                <div>
+                  Upcoming description: {transaction.recurringDescription}
+                </div>
+              )}
+              {transaction.recurringEndDate && (
+                <div className="text-muted-foreground">
+                  Ends {format(new Date(transaction.recurringEndDate), "PPP")}
+                </div>
+              )}
+              {transaction.recurringMaxOccurrences && (
+                <div className="text-muted-foreground">
+                  {transaction.occurrenceCount} of{" "}
+                  {transaction.recurringMaxOccurrences} occurrences
+                </div>
+              )}
+
+              {!ended && (
+                <div className="flex gap-1 pt-1">
+                  {paused ? (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="h-7"
+                      onClick={() => resumeFn(transaction.id)}
+                      disabled={busy}
+                    >
+                      <Play className="h-3 w-3 mr-1" />
+                      Resume
+                    </Button>
+                  ) : (
+                    <>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="h-7"
+                        onClick={() => pauseFn(transaction.id)}
+                        disabled={busy}
+                      >
+                        <Pause className="h-3 w-3 mr-1" />
+                        Pause
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="h-7"
+                        onClick={() => skipFn(transaction.id)}
+                        disabled={busy}
+                      >
+                        <SkipForward className="h-3 w-3 mr-1" />
+                        Skip next
+                      </Button>
+                    </>
+                  )}
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="h-7"
+                    onClick={() => setEditing(true)}
+                    disabled={busy}
+                  >
+                    <Pencil className="h-3 w-3 mr-1" />
+                    Edit upcoming
+                  </Button>
+                </div>
+              )}
+            </div>
+          </TooltipContent>
+        </Tooltip>
+      </TooltipProvider>
+
+      <Drawer open={editing} onOpenChange={setEditing}>
+        <DrawerContent>
+          <DrawerHeader>
+            <DrawerTitle>Edit Upcoming Occurrences</DrawerTitle>
+          </DrawerHeader>
+          <form
+            onSubmit={handleSubmit((data) => updateFn(transaction.id, data))}
+            className="px-4 pb-4 space-y-4"
+          >
+            <p className="text-sm text-muted-foreground">
+              Changes apply from the next occurrence on. This transaction and
+              the occurrences already created keep their amount and description.
+            </p>
+
+            <div className="space-y-2">
+              <label htmlFor="upcoming-amount" className="text-sm font-medium">
+                Amount
+              </label>
+              <Input
+                id="upcoming-amount"
+                type="number"
+                step="0.01"
+                {...register("amount")}
+              />
+              {errors.amount && (
+                <p className="text-sm text-red-500">{errors.amount.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <label
+                htmlFor="upcoming-description"
+                className="text-sm font-medium"
+              >
+                Description
+              </label>
+              <Input id="upcoming-description" {...register("description")} />
+              {errors.description && (
+                <p className="text-sm text-red-500">
+                  {errors.description.message}
+                </p>
+              )}
+            </div>
+
+            <Button type="submit" className="w-full" disabled={busy}>
+              {updateLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                "Save Changes"
+              )}
+            </Button>
+          </form>
+        </DrawerContent>
+      </Drawer>
+    </>
+  );
+}
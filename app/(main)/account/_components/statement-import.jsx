@@ -0,0 +1,94 @@
+"use client";
+
+import { useRef } from "react";
+import { FileText, Loader2 } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+import { importStatementFiles } from "@/actions/import";
+import useFetch from "@/hooks/use-fetch";
+
+// Upload OFX/QFX or QIF statements, which are parsed on the server
+export function StatementImport({ accountId }) {
+  const fileInputRef = useRef(null);
+
+  const {
+    loading: importLoading,
+    fn: importFn,
+    data: importResult,
+  } = useFetch(importStatementFiles);
+
+  const handleFilesChange = async (files) => {
+    if (!files?.length) return;
+
+    const formData = new FormData();
+    for (const file of files) {
+      formData.append("files", file);
+    }
+
+    await importFn(accountId, formData);
+    fileInputRef.current.value = "";
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="text-sm font-medium">OFX / QIF Statements</label>
+      <input
+        type="file"
+        ref={fileInputRef}
+        className="hidden"
+        accept=".ofx,.qfx,.qif"
+        multiple
+        onChange={(e) => handleFilesChange(e.target.files)}
+      />
+      <Button
+        type="button"
+        variant="outline"
+        className="w-full"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={importLoading}
+      >
+        {importLoading ? (
+          <>
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            Importing...
+          </>
+        ) : (
+          <>
+            <FileText className="mr-2 h-4 w-4" />
+            Choose Statement Files
+          </>
+        )}
+      </Button>
+      <p className="text-xs text-muted-foreground">
+        Transactions that were already imported are skipped.
+      </p>
+
+      {/* Per-file summary */}
+      {importResult?.success && (
+        <div className="rounded-md border divide-y text-sm">
+          {importResult.data.map((summary, index) => (
+            <div key={index} className="p-3 space-y-1">
+              <div className="flex justify-between">
+                <span className="font-medium">{summary.fileName}</span>
+                <span className="text-muted-foreground">
+                  <span className="text-green-500">
+                    {summary.created} created
+                  </span>
+                  , {summary.skipped} skipped,{" "}
+                  <span className={summary.failed > 0 ? "text-red-500" : ""}>
+                    {summary.failed} failed
+                  </span>
+                </span>
+              </div>
+              {summary.errors.map((error, errorIndex) => (
+                <p key={errorIndex} className="text-xs text-red-500">
+                  {error}
+                </p>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
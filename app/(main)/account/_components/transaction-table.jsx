@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect, useMemo } from "react";
+import { Fragment, useState, useEffect, useMemo, useCallback } from "react";
 import {
   ChevronDown,
   ChevronUp,
@@ -10,9 +10,15 @@ import {
   X,
   ChevronLeft,
   ChevronRight,
-  RefreshCw,
   Clock,
+  RefreshCw,
+  ArrowLeftRight,
+  Download,
+  Tag,
+  Pencil,
+  Lock,
 } from "lucide-react";
+import Link from "next/link";
 import { format } from "date-fns";
 import { toast } from "sonner";
 
@@ -41,31 +47,41 @@ import {
 } from "@/components/ui/dropdown-menu";
 import { Checkbox } from "@/components/ui/checkbox";
 import { Button } from "@/components/ui/button";
-import {
-  Tooltip,
-  TooltipContent,
-  TooltipProvider,
-  TooltipTrigger,
-} from "@/components/ui/tooltip";
 import { Badge } from "@/components/ui/badge";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+} from "@/components/ui/drawer";
 import { cn } from "@/lib/utils";
-import { categoryColors } from "@/data/categories";
+import { toCategoryMap } from "@/data/categories";
+import { formatMoney } from "@/lib/currency";
 import { bulkDeleteTransactions } from "@/actions/account";
+import { exportTransactions } from "@/actions/export";
+import { restoreTransactions } from "@/actions/trash";
+import { getTransactionHistory } from "@/actions/audit";
+import { unlockTransaction } from "@/actions/reconciliation";
+import { BulkEditDrawer } from "./bulk-edit-drawer";
+import { AuditLogList } from "./audit-log-list";
+import { RecurringSeriesBadge } from "./recurring-series-badge";
+import { filterAndSortTransactions } from "@/lib/transaction-filters";
 import useFetch from "@/hooks/use-fetch";
 import { BarLoader } from "react-spinners";
 import { useRouter } from "next/navigation";
 
 const ITEMS_PER_PAGE = 10;
 
-const RECURRING_INTERVALS = {
-  DAILY: "Daily",
-  WEEKLY: "Weekly",
-  MONTHLY: "Monthly",
-  YEARLY: "Yearly",
-};
-
-export function TransactionTable({ transactions }) {
+export function TransactionTable({
+  transactions,
+  accountId,
+  accounts,
+  categories,
+  currency,
+}) {
   const [selectedIds, setSelectedIds] = useState([]);
+  const [expandedIds, setExpandedIds] = useState([]);
+  const [historyOpen, setHistoryOpen] = useState(false);
   const [sortConfig, setSortConfig] = useState({
     field: "date",
     direction: "desc",
@@ -73,57 +89,42 @@ export function TransactionTable({ transactions }) {
   const [searchTerm, setSearchTerm] = useState("");
   const [typeFilter, setTypeFilter] = useState("");
   const [recurringFilter, setRecurringFilter] = useState("");
+  const [tagFilter, setTagFilter] = useState("");
   const [currentPage, setCurrentPage] = useState(1);
   const router = useRouter();
 
-  // Memoized filtered and sorted transactions
-  const filteredAndSortedTransactions = useMemo(() => {
-    let result = [...transactions];
-
-    // Apply search filter
-    if (searchTerm) {
-      const searchLower = searchTerm.toLowerCase();
-      result = result.filter((transaction) =>
-        transaction.description?.toLowerCase().includes(searchLower)
-      );
-    }
-
-    // Apply type filter
-    if (typeFilter) {
-      result = result.filter((transaction) => transaction.type === typeFilter);
-    }
+  const categoryMap = useMemo(() => toCategoryMap(categories), [categories]);
 
-    // Apply recurring filter
-    if (recurringFilter) {
-      result = result.filter((transaction) => {
-        if (recurringFilter === "recurring") return transaction.isRecurring;
-        return !transaction.isRecurring;
-      });
-    }
-
-    // Apply sorting
-    result.sort((a, b) => {
-      let comparison = 0;
-
-      switch (sortConfig.field) {
-        case "date":
-          comparison = new Date(a.date) - new Date(b.date);
-          break;
-        case "amount":
-          comparison = a.amount - b.amount;
-          break;
-        case "category":
-          comparison = a.category.localeCompare(b.category);
-          break;
-        default:
-          comparison = 0;
-      }
-
-      return sortConfig.direction === "asc" ? comparison : -comparison;
-    });
+  // Tags used on this account's transactions, for the tag filter
+  const availableTags = useMemo(
+    () =>
+      [
+        ...new Set(
+          transactions.flatMap((t) => (t.tags || []).map((tag) => tag.name))
+        ),
+      ].sort(),
+    [transactions]
+  );
 
-    return result;
-  }, [transactions, searchTerm, typeFilter, recurringFilter, sortConfig]);
+  // Memoized filtered and sorted transactions
+  const filteredAndSortedTransactions = useMemo(
+    () =>
+      filterAndSortTransactions(transactions, {
+        searchTerm,
+        typeFilter,
+        recurringFilter,
+        tagFilter,
+        sortConfig,
+      }),
+    [
+      transactions,
+      searchTerm,
+      typeFilter,
+      recurringFilter,
+      tagFilter,
+      sortConfig,
+    ]
+  );
 
   // Pagination calculations
   const totalPages = Math.ceil(
@@ -153,6 +154,14 @@ export function TransactionTable({ transactions }) {
     );
   };
 
+  const handleToggleExpanded = (id) => {
+    setExpandedIds((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id]
+    );
+  };
+
   const handleSelectAll = () => {
     setSelectedIds((current) =>
       current.length === paginatedTransactions.length
@@ -178,16 +187,89 @@ export function TransactionTable({ transactions }) {
     deleteFn(selectedIds);
   };
 
+  // Deleted transactions go to the trash, so offer to bring them straight back
   useEffect(() => {
     if (deleted && !deleteLoading) {
-      toast.error("Transactions deleted successfully");
+      if (!deleted.success) {
+        toast.error(deleted.error);
+        return;
+      }
+
+      const { deletedIds } = deleted.data;
+      setSelectedIds([]);
+      toast.success(`${deletedIds.length} transactions moved to trash`, {
+        action: {
+          label: "Undo",
+          onClick: () =>
+            toast.promise(restoreTransactions(deletedIds), {
+              loading: "Restoring transactions...",
+              success: "Transactions restored",
+              error: (error) => error.message,
+            }),
+        },
+      });
     }
   }, [deleted, deleteLoading]);
 
+  const {
+    loading: historyLoading,
+    fn: historyFn,
+    data: history,
+  } = useFetch(getTransactionHistory);
+
+  const handleShowHistory = (id) => {
+    setHistoryOpen(true);
+    historyFn(id);
+  };
+
+  const {
+    loading: unlockLoading,
+    fn: unlockFn,
+    data: unlocked,
+  } = useFetch(unlockTransaction);
+
+  useEffect(() => {
+    if (unlocked?.success && !unlockLoading) {
+      toast.success("Transaction unlocked");
+    }
+  }, [unlocked, unlockLoading]);
+
+  const handleBulkEditComplete = useCallback(() => setSelectedIds([]), []);
+
+  const {
+    loading: exportLoading,
+    fn: exportFn,
+    data: exported,
+  } = useFetch(exportTransactions);
+
+  const handleExport = (exportFormat) => {
+    exportFn(accountId, exportFormat, {
+      searchTerm,
+      typeFilter,
+      recurringFilter,
+      tagFilter,
+      sortConfig,
+    });
+  };
+
+  // Download the exported file once it is ready
+  useEffect(() => {
+    if (exported?.success && !exportLoading) {
+      const { fileName, mimeType, content } = exported.data;
+      const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+  }, [exported, exportLoading]);
+
   const handleClearFilters = () => {
     setSearchTerm("");
     setTypeFilter("");
     setRecurringFilter("");
+    setTagFilter("");
     setCurrentPage(1);
   };
 
@@ -229,6 +311,7 @@ export function TransactionTable({ transactions }) {
             <SelectContent>
               <SelectItem value="INCOME">Income</SelectItem>
               <SelectItem value="EXPENSE">Expense</SelectItem>
+              <SelectItem value="TRANSFER">Transfer</SelectItem>
             </SelectContent>
           </Select>
 
@@ -248,9 +331,43 @@ export function TransactionTable({ transactions }) {
             </SelectContent>
           </Select>
 
+          {availableTags.length > 0 && (
+            <Select
+              value={tagFilter}
+              onValueChange={(value) => {
+                setTagFilter(value);
+                setCurrentPage(1);
+              }}
+            >
+              <SelectTrigger className="w-[130px]">
+                <SelectValue placeholder="All Tags" />
+              </SelectTrigger>
+              <SelectContent>
+                {availableTags.map((tag) => (
+                  <SelectItem key={tag} value={tag}>
+                    {tag}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+
           {/* Bulk Actions */}
           {selectedIds.length > 0 && (
             <div className="flex items-center gap-2">
+              <BulkEditDrawer
+                transactionIds={selectedIds}
+                accountId={accountId}
+                accounts={accounts}
+                categories={categories}
+                tags={availableTags}
+                onComplete={handleBulkEditComplete}
+              >
+                <Button variant="outline" size="sm">
+                  <Pencil className="h-4 w-4 mr-2" />
+                  Edit Selected ({selectedIds.length})
+                </Button>
+              </BulkEditDrawer>
               <Button
                 variant="destructive"
                 size="sm"
@@ -262,7 +379,31 @@ export function TransactionTable({ transactions }) {
             </div>
           )}
 
-          {(searchTerm || typeFilter || recurringFilter) && (
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button
+                variant="outline"
+                size="icon"
+                title="Export transactions"
+                disabled={exportLoading}
+              >
+                <Download className="h-4 w-4" />
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem onClick={() => handleExport("csv")}>
+                Export as CSV
+              </DropdownMenuItem>
+              <DropdownMenuItem onClick={() => handleExport("json")}>
+                Export as JSON
+              </DropdownMenuItem>
+              <DropdownMenuItem onClick={() => handleExport("ofx")}>
+                Export as OFX
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+
+          {(searchTerm || typeFilter || recurringFilter || tagFilter) && (
             <Button
               variant="outline"
               size="icon"
@@ -347,105 +488,239 @@ export function TransactionTable({ transactions }) {
                 </TableCell>
               </TableRow>
             ) : (
-              paginatedTransactions.map((transaction) => (
-                <TableRow key={transaction.id}>
-                  <TableCell>
-                    <Checkbox
-                      checked={selectedIds.includes(transaction.id)}
-                      onCheckedChange={() => handleSelect(transaction.id)}
-                    />
-                  </TableCell>
-                  <TableCell>
-                    {format(new Date(transaction.date), "PP")}
-                  </TableCell>
-                  <TableCell>{transaction.description}</TableCell>
-                  <TableCell className="capitalize">
-                    <span
-                      style={{
-                        background: categoryColors[transaction.category],
-                      }}
-                      className="px-2 py-1 rounded text-white text-sm"
-                    >
-                      {transaction.category}
-                    </span>
-                  </TableCell>
-                  <TableCell
-                    className={cn(
-                      "text-right font-medium",
-                      transaction.type === "EXPENSE"
-                        ? "text-red-500"
-                        : "text-green-500"
-                    )}
-                  >
-                    {transaction.type === "EXPENSE" ? "-" : "+"}$
-                    {transaction.amount.toFixed(2)}
-                  </TableCell>
-                  <TableCell>
-                    {transaction.isRecurring ? (
-                      <TooltipProvider>
-                        <Tooltip>
-                          <TooltipTrigger>
+              paginatedTransactions.map((transaction) => {
+                // Transfers are listed on both accounts, so work out which
+                // side of the transfer this account is on
+                const isTransfer = transaction.type === "TRANSFER";
+                const isOutgoing = isTransfer
+                  ? transaction.accountId === accountId
+                  : transaction.type === "EXPENSE";
+                const linkedAccount = isOutgoing
+                  ? transaction.transferAccount
+                  : transaction.account;
+                const isSplit = transaction.splits?.length > 0;
+                const isExpanded = expandedIds.includes(transaction.id);
+
+                return (
+                  <Fragment key={transaction.id}>
+                    <TableRow>
+                      <TableCell>
+                        <Checkbox
+                          checked={selectedIds.includes(transaction.id)}
+                          onCheckedChange={() => handleSelect(transaction.id)}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        {format(new Date(transaction.date), "PP")}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex items-center gap-2">
+                          {transaction.description}
+                          {isTransfer && linkedAccount && (
+                            <Link href={`/account/${linkedAccount.id}`}>
+                              <Badge
+                                variant="outline"
+                                className="gap-1 text-purple-700 hover:bg-purple-50"
+                              >
+                                <ArrowLeftRight className="h-3 w-3" />
+                                {isOutgoing ? "To" : "From"}{" "}
+                                {linkedAccount.name}
+                              </Badge>
+                            </Link>
+                          )}
+                          {transaction.status !== "COMPLETED" && (
+                            <Badge
+                              variant="outline"
+                              className={cn(
+                                transaction.status === "FAILED"
+                                  ? "text-red-600"
+                                  : "text-yellow-600"
+                              )}
+                            >
+                              {transaction.status.charAt(0) +
+                                transaction.status.slice(1).toLowerCase()}
+                            </Badge>
+                          )}
+                          {transaction.reconciliationId && (
+                            <Lock
+                              className="h-3 w-3 text-muted-foreground"
+                              aria-label="Reconciled"
+                            />
+                          )}
+                        </div>
+                        {transaction.tags?.length > 0 && (
+                          <div className="mt-1 flex flex-wrap gap-1">
+                            {transaction.tags.map((tag) => (
+                              <Badge
+                                key={tag.id}
+                                variant="secondary"
+                                className="cursor-pointer gap-1 font-normal"
+                                onClick={() => {
+                                  setTagFilter(tag.name);
+                                  setCurrentPage(1);
+                                }}
+                              >
+                                <Tag className="h-3 w-3" />
+                                {tag.name}
+                              </Badge>
+                            ))}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="capitalize">
+                        {isSplit ? (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="h-7 px-2"
+                            onClick={() => handleToggleExpanded(transaction.id)}
+                          >
+                            {isExpanded ? (
+                              <ChevronDown className="mr-1 h-4 w-4" />
+                            ) : (
+                              <ChevronRight className="mr-1 h-4 w-4" />
+                            )}
+                            Split ({transaction.splits.length})
+                          </Button>
+                        ) : (
+                          <div className="flex flex-col items-start gap-1">
+                            <span
+                              style={{
+                                background:
+                                  categoryMap[transaction.category]?.color,
+                              }}
+                              className="px-2 py-1 rounded text-white text-sm"
+                            >
+                              {categoryMap[transaction.category]?.name ||
+                                transaction.category}
+                            </span>
+                            {transaction.subcategory && (
+                              <span className="text-xs text-muted-foreground">
+                                {transaction.subcategory}
+                              </span>
+                            )}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell
+                        className={cn(
+                          "text-right font-medium",
+                          isTransfer
+                            ? "text-purple-500"
+                            : isOutgoing
+                              ? "text-red-500"
+                              : "text-green-500"
+                        )}
+                      >
+                        {isOutgoing ? "-" : "+"}
+                        {formatMoney(transaction.amount, currency)}
+                      </TableCell>
+                      <TableCell>
+                        {transaction.isRecurring ? (
+                          <RecurringSeriesBadge
+                            transaction={transaction}
+                            currency={currency}
+                          />
+                        ) : transaction.recurringParentId ? (
+                          // Generated by a series; links to the series itself
+                          <Link
+                            href={`/transaction/create?edit=${transaction.recurringParentId}`}
+                            title="Edit the recurring series"
+                          >
                             <Badge
-                              variant="secondary"
-                              className="gap-1 bg-purple-100 text-purple-700 hover:bg-purple-200"
+                              variant="outline"
+                              className="gap-1 text-purple-700"
                             >
                               <RefreshCw className="h-3 w-3" />
-                              {
-                                RECURRING_INTERVALS[
-                                  transaction.recurringInterval
-                                ]
-                              }
+                              Occurrence
                             </Badge>
-                          </TooltipTrigger>
-                          <TooltipContent>
-                            <div className="text-sm">
-                              <div className="font-medium">Next Date:</div>
-                              <div>
-                                {format(
-                                  new Date(transaction.nextRecurringDate),
-                                  "PPP"
-                                )}
-                              </div>
-                            </div>
-                          </TooltipContent>
-                        </Tooltip>
-                      </TooltipProvider>
-                    ) : (
-                      <Badge variant="outline" className="gap-1">
-                        <Clock className="h-3 w-3" />
-                        One-time
-                      </Badge>
-                    )}
-                  </TableCell>
-                  <TableCell>
-                    <DropdownMenu>
-                      <DropdownMenuTrigger asChild>
-                        <Button variant="ghost" className="h-8 w-8 p-0">
-                          <MoreHorizontal className="h-4 w-4" />
-                        </Button>
-                      </DropdownMenuTrigger>
-                      <DropdownMenuContent align="end">
-                        <DropdownMenuItem
-                          onClick={() =>
-                            router.push(
-                              `/transaction/create?edit=${transaction.id}`
-                            )
-                          }
-                        >
-                          Edit
-                        </DropdownMenuItem>
-                        <DropdownMenuSeparator />
-                        <DropdownMenuItem
-                          className="text-destructive"
-                          onClick={() => deleteFn([transaction.id])}
-                        >
-                          Delete
-                        </DropdownMenuItem>
-                      </DropdownMenuContent>
-                    </DropdownMenu>
-                  </TableCell>
-                </TableRow>
-              ))
+                          </Link>
+                        ) : (
+                          <Badge variant="outline" className="gap-1">
+                            <Clock className="h-3 w-3" />
+                            One-time
+                          </Badge>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <Button variant="ghost" className="h-8 w-8 p-0">
+                              <MoreHorizontal className="h-4 w-4" />
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent align="end">
+                            {/* Reconciled transactions are locked until unlocked */}
+                            {transaction.reconciliationId ? (
+                              <DropdownMenuItem
+                                disabled={unlockLoading}
+                                onClick={() => unlockFn(transaction.id)}
+                              >
+                                Unlock
+                              </DropdownMenuItem>
+                            ) : (
+                              <DropdownMenuItem
+                                onClick={() =>
+                                  router.push(
+                                    `/transaction/create?edit=${transaction.id}`
+                                  )
+                                }
+                              >
+                                Edit
+                              </DropdownMenuItem>
+                            )}
+                            <DropdownMenuItem
+                              onClick={() => handleShowHistory(transaction.id)}
+                            >
+                              History
+                            </DropdownMenuItem>
+                            <DropdownMenuSeparator />
+                            <DropdownMenuItem
+                              className="text-destructive"
+                              onClick={() => deleteFn([transaction.id])}
+                            >
+                              Delete
+                            </DropdownMenuItem>
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                      </TableCell>
+                    </TableRow>
+
+                    {/* Split lines */}
+                    {isSplit &&
+                      isExpanded &&
+                      transaction.splits.map((split) => (
+                        <TableRow key={split.id} className="bg-muted/50">
+                          <TableCell colSpan={2} />
+                          <TableCell className="text-sm text-muted-foreground">
+                            {split.description}
+                          </TableCell>
+                          <TableCell className="capitalize">
+                            <span
+                              style={{
+                                background: categoryMap[split.category]?.color,
+                              }}
+                              className="px-2 py-1 rounded text-white text-sm"
+                            >
+                              {categoryMap[split.category]?.name ||
+                                split.category}
+                            </span>
+                          </TableCell>
+                          <TableCell
+                            className={cn(
+                              "text-right text-sm",
+                              isOutgoing ? "text-red-500" : "text-green-500"
+                            )}
+                          >
+                            {isOutgoing ? "-" : "+"}
+                            {formatMoney(split.amount, currency)}
+                          </TableCell>
+                          <TableCell colSpan={2} />
+                        </TableRow>
+                      ))}
+                  </Fragment>
+                );
+              })
             )}
           </TableBody>
         </Table>
@@ -475,6 +750,27 @@ export function TransactionTable({ transactions }) {
           </Button>
         </div>
       )}
+
+      {/* Change history of one transaction */}
+      <Drawer open={historyOpen} onOpenChange={setHistoryOpen}>
+        <DrawerContent>
+          <DrawerHeader>
+            <DrawerTitle>Transaction History</DrawerTitle>
+          </DrawerHeader>
+          <div className="px-4 pb-4 max-h-[60vh] overflow-y-auto">
+            {historyLoading || !history?.data ? (
+              <BarLoader width={"100%"} color="#9333ea" />
+            ) : (
+              <AuditLogList
+                entries={history.data}
+                accounts={accounts}
+                categories={categories}
+                currency={currency}
+              />
+            )}
+          </div>
+        </DrawerContent>
+      </Drawer>
     </div>
   );
 }
@@ -0,0 +1,120 @@
+"use client";
+
+import { useEffect } from "react";
+import { Wrench } from "lucide-react";
+import { BarLoader } from "react-spinners";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { repairAccountBalances } from "@/actions/integrity";
+import useFetch from "@/hooks/use-fetch";
+import { formatMoney } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+
+export function BalanceMismatchTable({ mismatches }) {
+  const {
+    loading: repairLoading,
+    fn: repairFn,
+    data: repaired,
+  } = useFetch(repairAccountBalances);
+
+  useEffect(() => {
+    if (repaired?.success && !repairLoading) {
+      toast.success(`${repaired.data.repaired} account balances repaired`);
+    }
+  }, [repaired, repairLoading]);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base font-normal">
+          {mismatches.length} accounts out of balance
+        </CardTitle>
+        {mismatches.length > 0 && (
+          <Button
+            size="sm"
+            disabled={repairLoading}
+            onClick={() => repairFn(mismatches.map((m) => m.accountId))}
+          >
+            <Wrench className="h-4 w-4 mr-2" />
+            Repair All
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent>
+        {repairLoading && (
+          <BarLoader className="mb-4" width={"100%"} color="#9333ea" />
+        )}
+        {mismatches.length === 0 ? (
+          <p className="text-center text-muted-foreground py-8">
+            Every account balance matches its transactions
+          </p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Account</TableHead>
+                <TableHead className="text-right">Stored</TableHead>
+                <TableHead className="text-right">Expected</TableHead>
+                <TableHead className="text-right">Difference</TableHead>
+                <TableHead className="w-[50px]" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {mismatches.map((mismatch) => (
+                <TableRow key={mismatch.accountId}>
+                  <TableCell>
+                    <div className="font-medium">{mismatch.name}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {mismatch.accountId}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {formatMoney(mismatch.storedBalance, mismatch.currency)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {formatMoney(mismatch.expectedBalance, mismatch.currency)}
+                  </TableCell>
+                  <TableCell
+                    className={cn(
+                      "text-right font-medium",
+                      mismatch.difference < 0
+                        ? "text-red-500"
+                        : "text-green-500"
+                    )}
+                  >
+                    {mismatch.difference < 0 ? "-" : "+"}
+                    {formatMoney(
+                      Math.abs(mismatch.difference),
+                      mismatch.currency
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Button
+                      variant="ghost"
+                      className="h-8 w-8 p-0"
+                      title="Repair"
+                      disabled={repairLoading}
+                      onClick={() => repairFn([mismatch.accountId])}
+                    >
+                      <Wrench className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,24 @@
+import { notFound } from "next/navigation";
+import { getBalanceMismatches } from "@/actions/integrity";
+import { BalanceMismatchTable } from "./_components/balance-mismatch-table";
+
+export default async function BalancesPage() {
+  const mismatches = await getBalanceMismatches();
+
+  if (!mismatches) {
+    notFound();
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-5 space-y-8">
+      <div>
+        <h1 className="text-5xl gradient-title">Balance Check</h1>
+        <p className="text-muted-foreground">
+          Accounts whose stored balance doesn&apos;t match their opening balance
+          plus their transactions
+        </p>
+      </div>
+      <BalanceMismatchTable mismatches={mismatches} />
+    </div>
+  );
+}
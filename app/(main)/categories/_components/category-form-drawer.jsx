@@ -0,0 +1,212 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { CATEGORY_ICONS, CategoryIcon } from "@/components/category-icon";
+import { createCategory, updateCategory } from "@/actions/category";
+import { categorySchema } from "@/app/lib/schema";
+import useFetch from "@/hooks/use-fetch";
+
+// Create a category, or edit `category` when given
+export function CategoryFormDrawer({ category = null, children }) {
+  const [open, setOpen] = useState(false);
+  const isEdit = !!category;
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+    reset,
+  } = useForm({
+    resolver: zodResolver(categorySchema),
+    defaultValues: {
+      name: category?.name || "",
+      type: category?.type || "EXPENSE",
+      color: category?.color || "#64748b",
+      icon: category?.icon || "Tag",
+      subcategories: category?.subcategories || [],
+    },
+  });
+
+  const {
+    loading: saveLoading,
+    fn: saveFn,
+    data: saved,
+  } = useFetch(isEdit ? updateCategory : createCategory);
+
+  const onSubmit = async (data) => {
+    if (isEdit) {
+      await saveFn(category.id, data);
+    } else {
+      await saveFn(data);
+    }
+  };
+
+  useEffect(() => {
+    if (saved?.success) {
+      toast.success(isEdit ? "Category updated" : "Category created");
+      reset(isEdit ? saved.data : undefined);
+      setOpen(false);
+    }
+  }, [saved, isEdit, reset]);
+
+  const icon = watch("icon");
+  const color = watch("color");
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>{isEdit ? "Edit Category" : "New Category"}</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="space-y-2">
+              <label htmlFor="name" className="text-sm font-medium">
+                Name
+              </label>
+              <Input id="name" placeholder="e.g., Pets" {...register("name")} />
+              {errors.name && (
+                <p className="text-sm text-red-500">{errors.name.message}</p>
+              )}
+            </div>
+
+            {/* Type can't change once transactions use the category */}
+            {!isEdit && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Type</label>
+                <Select
+                  onValueChange={(value) => setValue("type", value)}
+                  defaultValue={watch("type")}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select type" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="EXPENSE">Expense</SelectItem>
+                    <SelectItem value="INCOME">Income</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            <div className="grid gap-4 grid-cols-2">
+              <div className="space-y-2">
+                <label htmlFor="color" className="text-sm font-medium">
+                  Color
+                </label>
+                <Input
+                  id="color"
+                  type="color"
+                  className="h-10 p-1"
+                  {...register("color")}
+                />
+                {errors.color && (
+                  <p className="text-sm text-red-500">{errors.color.message}</p>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Icon</label>
+                <Select
+                  onValueChange={(value) => setValue("icon", value)}
+                  defaultValue={icon}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select icon">
+                      <span className="flex items-center gap-2">
+                        <CategoryIcon
+                          name={icon}
+                          className="h-4 w-4"
+                          style={{ color }}
+                        />
+                        {icon}
+                      </span>
+                    </SelectValue>
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.keys(CATEGORY_ICONS).map((name) => (
+                      <SelectItem key={name} value={name}>
+                        <span className="flex items-center gap-2">
+                          <CategoryIcon name={name} className="h-4 w-4" />
+                          {name}
+                        </span>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="subcategories" className="text-sm font-medium">
+                Subcategories
+              </label>
+              <Input
+                id="subcategories"
+                placeholder="e.g., Food, Vet, Grooming"
+                defaultValue={watch("subcategories").join(", ")}
+                onChange={(e) =>
+                  setValue(
+                    "subcategories",
+                    e.target.value
+                      .split(",")
+                      .map((name) => name.trim())
+                      .filter(Boolean)
+                  )
+                }
+              />
+              <p className="text-xs text-muted-foreground">
+                Separate subcategories with commas
+              </p>
+            </div>
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={saveLoading}>
+                {saveLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : isEdit ? (
+                  "Save Changes"
+                ) : (
+                  "Create Category"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,175 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import {
+  Archive,
+  ArchiveRestore,
+  Merge,
+  MoreHorizontal,
+  Pencil,
+} from "lucide-react";
+import { toast } from "sonner";
+
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { CategoryIcon } from "@/components/category-icon";
+import { archiveCategory, mergeCategories } from "@/actions/category";
+import useFetch from "@/hooks/use-fetch";
+import { cn } from "@/lib/utils";
+import { CategoryFormDrawer } from "./category-form-drawer";
+
+export function CategoryList({ title, categories }) {
+  const [showArchived, setShowArchived] = useState(false);
+
+  const visibleCategories = showArchived
+    ? categories
+    : categories.filter((category) => !category.isArchived);
+  const archivedCount = categories.length - visibleCategories.length;
+
+  const {
+    loading: archiveLoading,
+    fn: archiveFn,
+    data: archived,
+  } = useFetch(archiveCategory);
+
+  const {
+    loading: mergeLoading,
+    fn: mergeFn,
+    data: merged,
+  } = useFetch(mergeCategories);
+
+  const handleMerge = (source, target) => {
+    if (
+      !window.confirm(
+        `Merge "${source.name}" into "${target.name}"? All of its transactions and budgets will move to "${target.name}" and "${source.name}" will be deleted.`
+      )
+    )
+      return;
+
+    mergeFn(source.id, target.id);
+  };
+
+  useEffect(() => {
+    if (archived?.success && !archiveLoading) {
+      toast.success(
+        archived.data.isArchived ? "Category archived" : "Category restored"
+      );
+    }
+  }, [archived, archiveLoading]);
+
+  useEffect(() => {
+    if (merged?.success && !mergeLoading) {
+      toast.success(
+        `Categories merged, ${merged.data.moved} transactions moved`
+      );
+    }
+  }, [merged, mergeLoading]);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base font-normal">{title}</CardTitle>
+        {(archivedCount > 0 || showArchived) && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => setShowArchived(!showArchived)}
+          >
+            {showArchived
+              ? "Hide archived"
+              : `Show archived (${archivedCount})`}
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent className="divide-y">
+        {visibleCategories.map((category) => (
+          <div
+            key={category.id}
+            className={cn(
+              "flex items-center justify-between py-3",
+              category.isArchived && "opacity-60"
+            )}
+          >
+            <div className="flex items-center gap-3">
+              <div
+                className="rounded-full p-2 text-white"
+                style={{ background: category.color }}
+              >
+                <CategoryIcon name={category.icon} className="h-4 w-4" />
+              </div>
+              <div>
+                <div className="flex items-center gap-2 font-medium">
+                  {category.name}
+                  {category.isArchived && (
+                    <Badge variant="outline">Archived</Badge>
+                  )}
+                </div>
+                {category.subcategories.length > 0 && (
+                  <p className="text-xs text-muted-foreground">
+                    {category.subcategories.join(", ")}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex items-center gap-1">
+              <CategoryFormDrawer category={category}>
+                <Button variant="ghost" className="h-8 w-8 p-0" title="Edit">
+                  <Pencil className="h-4 w-4" />
+                </Button>
+              </CategoryFormDrawer>
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="ghost" className="h-8 w-8 p-0">
+                    <MoreHorizontal className="h-4 w-4" />
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end">
+                  <DropdownMenuItem
+                    onClick={() => archiveFn(category.id, !category.isArchived)}
+                  >
+                    {category.isArchived ? (
+                      <>
+                        <ArchiveRestore className="mr-2 h-4 w-4" />
+                        Restore
+                      </>
+                    ) : (
+                      <>
+                        <Archive className="mr-2 h-4 w-4" />
+                        Archive
+                      </>
+                    )}
+                  </DropdownMenuItem>
+                  <DropdownMenuSeparator />
+                  <DropdownMenuLabel className="flex items-center text-xs font-normal text-muted-foreground">
+                    <Merge className="mr-2 h-4 w-4" />
+                    Merge into
+                  </DropdownMenuLabel>
+                  {categories
+                    .filter((target) => target.id !== category.id)
+                    .map((target) => (
+                      <DropdownMenuItem
+                        key={target.id}
+                        onClick={() => handleMerge(category, target)}
+                      >
+                        {target.name}
+                      </DropdownMenuItem>
+                    ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,32 @@
+import { Plus } from "lucide-react";
+import { getUserCategories } from "@/actions/category";
+import { Button } from "@/components/ui/button";
+import { CategoryList } from "./_components/category-list";
+import { CategoryFormDrawer } from "./_components/category-form-drawer";
+
+export default async function CategoriesPage() {
+  const categories = await getUserCategories();
+
+  return (
+    <div className="max-w-3xl mx-auto px-5 space-y-8">
+      <div className="flex items-end justify-between">
+        <h1 className="text-5xl gradient-title">Categories</h1>
+        <CategoryFormDrawer>
+          <Button>
+            <Plus className="mr-2 h-4 w-4" />
+            New Category
+          </Button>
+        </CategoryFormDrawer>
+      </div>
+
+      <CategoryList
+        title="Expense Categories"
+        categories={categories.filter((c) => c.type === "EXPENSE")}
+      />
+      <CategoryList
+        title="Income Categories"
+        categories={categories.filter((c) => c.type === "INCOME")}
+      />
+    </div>
+  );
+}
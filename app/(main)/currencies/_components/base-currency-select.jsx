@@ -0,0 +1,60 @@
+"use client";
+
+import { useEffect } from "react";
+import { toast } from "sonner";
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { updateBaseCurrency } from "@/actions/currency";
+import { CURRENCIES } from "@/lib/currency";
+import useFetch from "@/hooks/use-fetch";
+
+export function BaseCurrencySelect({ baseCurrency }) {
+  const {
+    loading: updateLoading,
+    fn: updateFn,
+    data: updated,
+  } = useFetch(updateBaseCurrency);
+
+  useEffect(() => {
+    if (updated?.success && !updateLoading) {
+      toast.success(`Totals are now shown in ${updated.data.baseCurrency}`);
+    }
+  }, [updated, updateLoading]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">Base Currency</CardTitle>
+      </CardHeader>
+      <CardContent className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+        <p className="text-sm text-muted-foreground">
+          Dashboard totals, budgets and monthly reports add up every account in
+          this currency.
+        </p>
+        <Select
+          value={baseCurrency}
+          onValueChange={(value) => updateFn(value)}
+          disabled={updateLoading}
+        >
+          <SelectTrigger className="sm:w-[240px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(CURRENCIES).map(([code, name]) => (
+              <SelectItem key={code} value={code}>
+                {code} – {name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,167 @@
+"use client";
+
+import { useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { format } from "date-fns";
+import { CalendarIcon, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { saveExchangeRate } from "@/actions/currency";
+import { exchangeRateSchema } from "@/app/lib/schema";
+import { CURRENCY_CODES } from "@/lib/currency";
+import useFetch from "@/hooks/use-fetch";
+import { cn } from "@/lib/utils";
+
+// Enter a rate by hand. A rate for the same pair and date replaces the old one.
+export function ExchangeRateForm({ baseCurrency }) {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    watch,
+    setValue,
+    getValues,
+    reset,
+  } = useForm({
+    resolver: zodResolver(exchangeRateSchema),
+    defaultValues: {
+      fromCurrency: CURRENCY_CODES.find((code) => code !== baseCurrency),
+      toCurrency: baseCurrency,
+      rate: "",
+      date: new Date(),
+    },
+  });
+
+  const fromCurrency = watch("fromCurrency");
+  const toCurrency = watch("toCurrency");
+  const date = watch("date");
+
+  const {
+    loading: saveLoading,
+    fn: saveFn,
+    data: saved,
+  } = useFetch(saveExchangeRate);
+
+  useEffect(() => {
+    if (saved?.success && !saveLoading) {
+      toast.success("Exchange rate saved");
+      // Keep the pair for entering the next date's rate
+      reset({ ...getValues(), rate: "", date: new Date() });
+    }
+  }, [saved, saveLoading, reset, getValues]);
+
+  const currencySelect = (field) => (
+    <Select
+      value={watch(field)}
+      onValueChange={(value) => setValue(field, value)}
+    >
+      <SelectTrigger>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {CURRENCY_CODES.map((code) => (
+          <SelectItem key={code} value={code}>
+            {code}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">Add Exchange Rate</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form
+          onSubmit={handleSubmit((data) => saveFn(data))}
+          className="grid gap-4 md:grid-cols-5 md:items-end"
+        >
+          <div className="space-y-2">
+            <label className="text-sm font-medium">From</label>
+            {currencySelect("fromCurrency")}
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">To</label>
+            {currencySelect("toCurrency")}
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">
+              1 {fromCurrency} = ? {toCurrency}
+            </label>
+            <Input
+              type="number"
+              step="any"
+              placeholder="0.00"
+              {...register("rate")}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">From Date</label>
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button
+                  variant="outline"
+                  className={cn(
+                    "w-full pl-3 text-left font-normal",
+                    !date && "text-muted-foreground"
+                  )}
+                >
+                  {date ? format(date, "PP") : <span>Pick a date</span>}
+                  <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent className="w-auto p-0" align="start">
+                <Calendar
+                  mode="single"
+                  selected={date}
+                  onSelect={(date) => setValue("date", date)}
+                  disabled={(date) => date < new Date("1900-01-01")}
+                  initialFocus
+                />
+              </PopoverContent>
+            </Popover>
+          </div>
+
+          <Button type="submit" disabled={saveLoading}>
+            {saveLoading ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              "Save Rate"
+            )}
+          </Button>
+        </form>
+
+        {Object.values(errors).map((error) => (
+          <p key={error.message} className="mt-2 text-sm text-red-500">
+            {error.message}
+          </p>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,153 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import { format } from "date-fns";
+import { FileText, Loader2, Trash } from "lucide-react";
+import { toast } from "sonner";
+
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { deleteExchangeRate, importExchangeRates } from "@/actions/currency";
+import useFetch from "@/hooks/use-fetch";
+
+export function ExchangeRateList({ rates }) {
+  const fileInputRef = useRef(null);
+
+  const {
+    loading: deleteLoading,
+    fn: deleteFn,
+    data: deleted,
+  } = useFetch(deleteExchangeRate);
+
+  const {
+    loading: importLoading,
+    fn: importFn,
+    data: importResult,
+  } = useFetch(importExchangeRates);
+
+  const handleFileChange = async (file) => {
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append("file", file);
+
+    await importFn(formData);
+    fileInputRef.current.value = "";
+  };
+
+  useEffect(() => {
+    if (deleted?.success && !deleteLoading) {
+      toast.success("Exchange rate deleted");
+    }
+  }, [deleted, deleteLoading]);
+
+  useEffect(() => {
+    if (importResult?.success && !importLoading) {
+      toast.success(`Imported ${importResult.data.imported} exchange rates`);
+    }
+  }, [importResult, importLoading]);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base">Exchange Rates</CardTitle>
+        <input
+          type="file"
+          ref={fileInputRef}
+          className="hidden"
+          accept=".csv,text/csv"
+          onChange={(e) => handleFileChange(e.target.files?.[0])}
+        />
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={importLoading}
+        >
+          {importLoading ? (
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          ) : (
+            <FileText className="mr-2 h-4 w-4" />
+          )}
+          Import CSV
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Each rate applies from its date until the next rate for the same pair,
+          and works in both directions. CSV files have date (yyyy-MM-dd), from,
+          to and rate columns.
+        </p>
+
+        {importResult?.success && importResult.data.failed > 0 && (
+          <div className="rounded-md border p-3 space-y-1">
+            <p className="text-sm text-red-500">
+              {importResult.data.failed} rows failed
+            </p>
+            {importResult.data.errors.map((error, index) => (
+              <p key={index} className="text-xs text-red-500">
+                {error}
+              </p>
+            ))}
+          </div>
+        )}
+
+        {rates.length === 0 ? (
+          <p className="text-center text-muted-foreground py-8">
+            No exchange rates yet
+          </p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Pair</TableHead>
+                <TableHead className="text-right">Rate</TableHead>
+                <TableHead>Source</TableHead>
+                <TableHead className="w-[50px]" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {rates.map((rate) => (
+                <TableRow key={rate.id}>
+                  <TableCell>{format(new Date(rate.date), "PP")}</TableCell>
+                  <TableCell>
+                    {rate.fromCurrency} → {rate.toCurrency}
+                  </TableCell>
+                  <TableCell className="text-right font-medium">
+                    {rate.rate}
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant="outline">
+                      {rate.source === "IMPORT" ? "Imported" : "Manual"}
+                    </Badge>
+                  </TableCell>
+                  <TableCell>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-8 w-8 text-destructive"
+                      onClick={() => deleteFn(rate.id)}
+                      disabled={deleteLoading}
+                    >
+                      <Trash className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
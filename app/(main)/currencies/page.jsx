@@ -0,0 +1,18 @@
+import { getCurrencySettings } from "@/actions/currency";
+import { BaseCurrencySelect } from "./_components/base-currency-select";
+import { ExchangeRateForm } from "./_components/exchange-rate-form";
+import { ExchangeRateList } from "./_components/exchange-rate-list";
+
+export default async function CurrenciesPage() {
+  const { baseCurrency, rates } = await getCurrencySettings();
+
+  return (
+    <div className="max-w-5xl mx-auto px-5 space-y-8">
+      <h1 className="text-5xl gradient-title">Currencies</h1>
+
+      <BaseCurrencySelect baseCurrency={baseCurrency} />
+      <ExchangeRateForm baseCurrency={baseCurrency} />
+      <ExchangeRateList rates={rates} />
+    </div>
+  );
+}
@@ -15,9 +15,16 @@ import {
 import Link from "next/link";
 import { updateDefaultAccount } from "@/actions/account";
 import { toast } from "sonner";
+import { formatMoney } from "@/lib/currency";
+import {
+  getAccountTypeLabel,
+  getAmountOwed,
+  isLiability,
+} from "@/lib/accounts";
+import { LiabilitySummary } from "@/components/liability-summary";
 
 export function AccountCard({ account }) {
-  const { name, type, balance, id, isDefault } = account;
+  const { name, type, balance, currency, id, isDefault } = account;
 
   const {
     loading: updateDefaultLoading,
@@ -63,12 +70,18 @@ export function AccountCard({ account }) {
           />
         </CardHeader>
         <CardContent>
+          {/* Credit cards and loans show what's owed rather than a balance */}
           <div className="text-2xl font-bold">
-            ${parseFloat(balance).toFixed(2)}
+            {isLiability(type)
+              ? formatMoney(getAmountOwed(account), currency)
+              : formatMoney(balance, currency)}
           </div>
           <p className="text-xs text-muted-foreground">
-            {type.charAt(0) + type.slice(1).toLowerCase()} Account
+            {getAccountTypeLabel(type)}
+            {isLiability(type) ? " · Owed" : " Account"}
+            {account.institution && ` · ${account.institution}`}
           </p>
+          <LiabilitySummary account={account} className="mt-3" />
         </CardContent>
         <CardFooter className="flex justify-between text-sm text-muted-foreground">
           <div className="flex items-center">
@@ -0,0 +1,41 @@
+import Link from "next/link";
+import { AlertTriangle, TrendingUp } from "lucide-react";
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { formatMoney } from "@/lib/currency";
+
+// Total across every account, converted into the user's base currency
+export function BalanceSummary({ summary }) {
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+        <CardTitle className="text-sm font-medium">Total Balance</CardTitle>
+        <Link
+          href="/currencies"
+          className="text-xs text-muted-foreground hover:underline"
+        >
+          In {summary.currency}
+        </Link>
+      </CardHeader>
+      <CardContent>
+        <div className="text-2xl font-bold">
+          {formatMoney(summary.total, summary.currency)}
+        </div>
+        {summary.missing.length > 0 && (
+          <p className="flex items-center gap-1 text-xs text-yellow-600 mt-1">
+            <AlertTriangle className="h-3 w-3" />
+            Leaves out {summary.missing.join(", ")} accounts: add an exchange
+            rate to {summary.currency} to include them.
+          </p>
+        )}
+        <Link
+          href="/net-worth"
+          className="flex items-center gap-1 text-xs text-muted-foreground hover:underline mt-2"
+        >
+          <TrendingUp className="h-3 w-3" />
+          Net worth over time
+        </Link>
+      </CardContent>
+    </Card>
+  );
+}
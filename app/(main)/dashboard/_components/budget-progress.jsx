@@ -1,7 +1,7 @@
 "use client";
 
 import { useState, useEffect } from "react";
-import { Pencil, Check, X } from "lucide-react";
+import { Pencil, Check, X, Plus, Trash } from "lucide-react";
 import useFetch from "@/hooks/use-fetch";
 import { toast } from "sonner";
 
@@ -15,9 +15,30 @@ import {
 import { Progress } from "@/components/ui/progress";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { updateBudget } from "@/actions/budget";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { deleteBudget, updateBudget } from "@/actions/budget";
+import { DEFAULT_CURRENCY, formatMoney } from "@/lib/currency";
+
+const getProgressColor = (percentUsed) =>
+  percentUsed >= 90
+    ? "bg-red-500"
+    : percentUsed >= 75
+      ? "bg-yellow-500"
+      : "bg-green-500";
 
-export function BudgetProgress({ initialBudget, currentExpenses }) {
+export function BudgetProgress({
+  initialBudget,
+  currentExpenses,
+  categoryBudgets = [],
+  categories = [],
+  currency = DEFAULT_CURRENCY,
+}) {
   const [isEditing, setIsEditing] = useState(false);
   const [newBudget, setNewBudget] = useState(
     initialBudget?.amount?.toString() || ""
@@ -54,6 +75,8 @@ export function BudgetProgress({ initialBudget, currentExpenses }) {
     if (updatedBudget?.success) {
       setIsEditing(false);
       toast.success("Budget updated successfully");
+    } else if (updatedBudget?.error) {
+      toast.error(updatedBudget.error);
     }
   }, [updatedBudget]);
 
@@ -68,7 +91,7 @@ export function BudgetProgress({ initialBudget, currentExpenses }) {
       <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
         <div className="flex-1">
           <CardTitle className="text-sm font-medium">
-            Monthly Budget (Default Account)
+            Monthly Budget (All Accounts)
           </CardTitle>
           <div className="flex items-center gap-2 mt-1">
             {isEditing ? (
@@ -103,9 +126,10 @@ export function BudgetProgress({ initialBudget, currentExpenses }) {
               <>
                 <CardDescription>
                   {initialBudget
-                    ? `$${currentExpenses.toFixed(
-                        2
-                      )} of $${initialBudget.amount.toFixed(2)} spent`
+                    ? `${formatMoney(currentExpenses, currency)} of ${formatMoney(
+                        initialBudget.amount,
+                        currency
+                      )} spent`
                     : "No budget set"}
                 </CardDescription>
                 <Button
@@ -126,21 +150,188 @@ export function BudgetProgress({ initialBudget, currentExpenses }) {
           <div className="space-y-2">
             <Progress
               value={percentUsed}
-              extraStyles={`${
-                // add to Progress component
-                percentUsed >= 90
-                  ? "bg-red-500"
-                  : percentUsed >= 75
-                    ? "bg-yellow-500"
-                    : "bg-green-500"
-              }`}
+              extraStyles={getProgressColor(percentUsed)}
             />
             <p className="text-xs text-muted-foreground text-right">
               {percentUsed.toFixed(1)}% used
             </p>
           </div>
         )}
+        <CategoryBudgets
+          budgets={categoryBudgets}
+          categories={categories}
+          currency={currency}
+        />
       </CardContent>
     </Card>
   );
 }
+
+// One progress bar per expense category budget, plus a form to add or change
+// a category budget
+function CategoryBudgets({ budgets, categories, currency }) {
+  const [category, setCategory] = useState("");
+
+  const expenseCategories = categories.filter(
+    (category) => category.type === "EXPENSE"
+  );
+  const [amount, setAmount] = useState("");
+  const [alertThreshold, setAlertThreshold] = useState("80");
+
+  const {
+    loading: updateLoading,
+    fn: updateBudgetFn,
+    data: updatedBudget,
+  } = useFetch(updateBudget);
+
+  const {
+    loading: deleteLoading,
+    fn: deleteBudgetFn,
+    data: deletedBudget,
+  } = useFetch(deleteBudget);
+
+  const handleSave = async () => {
+    const parsedAmount = parseFloat(amount);
+    const parsedThreshold = parseInt(alertThreshold);
+
+    if (!category) {
+      toast.error("Please select a category");
+      return;
+    }
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      toast.error("Please enter a valid amount");
+      return;
+    }
+    if (
+      isNaN(parsedThreshold) ||
+      parsedThreshold < 1 ||
+      parsedThreshold > 100
+    ) {
+      toast.error("Alert threshold must be between 1 and 100");
+      return;
+    }
+
+    await updateBudgetFn(parsedAmount, category, parsedThreshold);
+  };
+
+  const handleEdit = (budget) => {
+    setCategory(budget.category);
+    setAmount(budget.amount.toString());
+    setAlertThreshold(budget.alertThreshold.toString());
+  };
+
+  useEffect(() => {
+    if (updatedBudget?.success) {
+      setCategory("");
+      setAmount("");
+      setAlertThreshold("80");
+      toast.success("Category budget saved");
+    } else if (updatedBudget?.error) {
+      toast.error(updatedBudget.error);
+    }
+  }, [updatedBudget]);
+
+  useEffect(() => {
+    if (deletedBudget?.success) {
+      toast.success("Category budget removed");
+    } else if (deletedBudget?.error) {
+      toast.error(deletedBudget.error);
+    }
+  }, [deletedBudget]);
+
+  return (
+    <div className="mt-6 space-y-4">
+      <p className="text-sm font-medium">Category Budgets</p>
+
+      {budgets.length === 0 && (
+        <p className="text-sm text-muted-foreground">No category budgets set</p>
+      )}
+
+      {budgets.map((budget) => {
+        const categoryName =
+          expenseCategories.find((c) => c.id === budget.category)?.name ||
+          budget.category;
+        const percentUsed = (budget.currentExpenses / budget.amount) * 100;
+
+        return (
+          <div key={budget.id} className="space-y-1">
+            <div className="flex items-center justify-between text-sm">
+              <span>{categoryName}</span>
+              <div className="flex items-center gap-1">
+                <span className="text-muted-foreground">
+                  {formatMoney(budget.currentExpenses, currency)} of{" "}
+                  {formatMoney(budget.amount, currency)}
+                </span>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleEdit(budget)}
+                  className="h-6 w-6"
+                >
+                  <Pencil className="h-3 w-3" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => deleteBudgetFn(budget.id)}
+                  disabled={deleteLoading}
+                  className="h-6 w-6"
+                >
+                  <Trash className="h-3 w-3 text-red-500" />
+                </Button>
+              </div>
+            </div>
+            <Progress
+              value={Math.min(percentUsed, 100)}
+              extraStyles={getProgressColor(percentUsed)}
+            />
+          </div>
+        );
+      })}
+
+      {/* Add or update a category budget */}
+      <div className="flex flex-wrap items-center gap-2">
+        <Select value={category} onValueChange={setCategory}>
+          <SelectTrigger className="w-[180px]">
+            <SelectValue placeholder="Select category" />
+          </SelectTrigger>
+          <SelectContent>
+            {expenseCategories
+              .filter((category) => !category.isArchived)
+              .map((category) => (
+                <SelectItem key={category.id} value={category.id}>
+                  {category.name}
+                </SelectItem>
+              ))}
+          </SelectContent>
+        </Select>
+        <Input
+          type="number"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          className="w-32"
+          placeholder="Amount"
+          disabled={updateLoading}
+        />
+        <Input
+          type="number"
+          value={alertThreshold}
+          onChange={(e) => setAlertThreshold(e.target.value)}
+          className="w-24"
+          placeholder="Alert %"
+          title="Send an alert when this percentage is used"
+          disabled={updateLoading}
+        />
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleSave}
+          disabled={updateLoading}
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Save
+        </Button>
+      </div>
+    </div>
+  );
+}
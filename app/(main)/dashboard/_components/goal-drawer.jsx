@@ -0,0 +1,263 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { format } from "date-fns";
+import { CalendarIcon, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { createGoal, updateGoal } from "@/actions/goal";
+import { goalSchema } from "@/app/lib/schema";
+import useFetch from "@/hooks/use-fetch";
+import { cn } from "@/lib/utils";
+
+// Create a savings goal, or edit `goal` when given. `accounts` are the
+// savings accounts a goal can follow.
+export function GoalDrawer({ goal = null, accounts, tags, children }) {
+  const [open, setOpen] = useState(false);
+  const [linkType, setLinkType] = useState(
+    goal?.tagName || accounts.length === 0 ? "tag" : "account"
+  );
+  const isEdit = !!goal;
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+    reset,
+  } = useForm({
+    resolver: zodResolver(goalSchema),
+    defaultValues: {
+      name: goal?.name || "",
+      targetAmount: goal?.targetAmount?.toString() || "",
+      targetDate: goal ? new Date(goal.targetDate) : undefined,
+      accountId: goal?.accountId || "",
+      tag: goal?.tagName || "",
+    },
+  });
+
+  const targetDate = watch("targetDate");
+
+  const {
+    loading: saveLoading,
+    fn: saveFn,
+    data: saved,
+  } = useFetch(isEdit ? updateGoal : createGoal);
+
+  const onSubmit = async (data) => {
+    if (isEdit) {
+      await saveFn(goal.id, data);
+    } else {
+      await saveFn(data);
+    }
+  };
+
+  // A goal follows either an account or a tag, never both
+  const handleLinkTypeChange = (value) => {
+    setLinkType(value);
+    setValue("accountId", "");
+    setValue("tag", "");
+  };
+
+  useEffect(() => {
+    if (saved?.success) {
+      toast.success(isEdit ? "Goal updated" : "Goal created");
+      if (!isEdit) reset();
+      setOpen(false);
+    }
+  }, [saved, isEdit, reset]);
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>{isEdit ? "Edit Goal" : "New Savings Goal"}</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="space-y-2">
+              <label htmlFor="goal-name" className="text-sm font-medium">
+                Name
+              </label>
+              <Input
+                id="goal-name"
+                placeholder="e.g., Emergency fund"
+                {...register("name")}
+              />
+              {errors.name && (
+                <p className="text-sm text-red-500">{errors.name.message}</p>
+              )}
+            </div>
+
+            <div className="grid gap-4 grid-cols-2">
+              <div className="space-y-2">
+                <label
+                  htmlFor="goal-target-amount"
+                  className="text-sm font-medium"
+                >
+                  Target Amount
+                </label>
+                <Input
+                  id="goal-target-amount"
+                  type="number"
+                  step="0.01"
+                  placeholder="0.00"
+                  {...register("targetAmount")}
+                />
+                {errors.targetAmount && (
+                  <p className="text-sm text-red-500">
+                    {errors.targetAmount.message}
+                  </p>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Target Date</label>
+                <Popover>
+                  <PopoverTrigger asChild>
+                    <Button
+                      variant="outline"
+                      className={cn(
+                        "w-full pl-3 text-left font-normal",
+                        !targetDate && "text-muted-foreground"
+                      )}
+                    >
+                      {targetDate ? (
+                        format(targetDate, "PPP")
+                      ) : (
+                        <span>Pick a date</span>
+                      )}
+                      <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                    </Button>
+                  </PopoverTrigger>
+                  <PopoverContent className="w-auto p-0" align="start">
+                    <Calendar
+                      mode="single"
+                      selected={targetDate}
+                      onSelect={(date) => setValue("targetDate", date)}
+                      disabled={(date) => date < new Date()}
+                      initialFocus
+                    />
+                  </PopoverContent>
+                </Popover>
+                {errors.targetDate && (
+                  <p className="text-sm text-red-500">
+                    {errors.targetDate.message}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <div className="grid gap-4 grid-cols-2">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Track With</label>
+                <Select value={linkType} onValueChange={handleLinkTypeChange}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="account">Savings account</SelectItem>
+                    <SelectItem value="tag">Tag</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {linkType === "account" ? (
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Account</label>
+                  <Select
+                    value={watch("accountId")}
+                    onValueChange={(value) => setValue("accountId", value)}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select account" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {accounts.map((account) => (
+                        <SelectItem key={account.id} value={account.id}>
+                          {account.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  <label htmlFor="goal-tag" className="text-sm font-medium">
+                    Tag
+                  </label>
+                  <Input
+                    id="goal-tag"
+                    list="goal-tag-suggestions"
+                    placeholder="e.g., emergency-fund"
+                    {...register("tag")}
+                  />
+                  <datalist id="goal-tag-suggestions">
+                    {tags.map((tag) => (
+                      <option key={tag} value={tag} />
+                    ))}
+                  </datalist>
+                </div>
+              )}
+            </div>
+            {errors.accountId && (
+              <p className="text-sm text-red-500">{errors.accountId.message}</p>
+            )}
+            <p className="text-xs text-muted-foreground">
+              {linkType === "account"
+                ? "Progress is the account's balance."
+                : "Progress is tagged income and transfers less tagged expenses, in your base currency."}
+            </p>
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={saveLoading}>
+                {saveLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : isEdit ? (
+                  "Save Changes"
+                ) : (
+                  "Create Goal"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,124 @@
+"use client";
+
+import { useEffect } from "react";
+import { format } from "date-fns";
+import { Pencil, Plus, Trash } from "lucide-react";
+import { toast } from "sonner";
+
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import { deleteGoal } from "@/actions/goal";
+import { formatMoney } from "@/lib/currency";
+import useFetch from "@/hooks/use-fetch";
+import { GoalDrawer } from "./goal-drawer";
+
+const STATUS_STYLES = {
+  REACHED: { label: "Reached", color: "bg-green-500" },
+  ON_TRACK: { label: "On track", color: "bg-blue-500" },
+  BEHIND: { label: "Behind", color: "bg-yellow-500" },
+};
+
+// Savings goals with their progress and what to put in each month
+export function GoalProgress({ goals = [], accounts = [], tags = [] }) {
+  const savingsAccounts = accounts.filter(
+    (account) => account.type === "SAVINGS"
+  );
+
+  const {
+    loading: deleteLoading,
+    fn: deleteGoalFn,
+    data: deletedGoal,
+  } = useFetch(deleteGoal);
+
+  useEffect(() => {
+    if (deletedGoal?.success) {
+      toast.success("Goal removed");
+    }
+  }, [deletedGoal]);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+        <div>
+          <CardTitle className="text-sm font-medium">Savings Goals</CardTitle>
+          <CardDescription>
+            {goals.length === 0
+              ? "No goals set"
+              : `${goals.filter((g) => g.status === "REACHED").length} of ${goals.length} reached`}
+          </CardDescription>
+        </div>
+        <GoalDrawer accounts={savingsAccounts} tags={tags}>
+          <Button variant="outline" size="sm">
+            <Plus className="h-4 w-4 mr-1" />
+            New Goal
+          </Button>
+        </GoalDrawer>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {goals.map((goal) => {
+          const status = STATUS_STYLES[goal.status];
+
+          return (
+            <div key={goal.id} className="space-y-1">
+              <div className="flex items-center justify-between gap-2 text-sm">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">{goal.name}</span>
+                  <Badge variant="outline" className="font-normal">
+                    {goal.accountName || `#${goal.tagName}`}
+                  </Badge>
+                </div>
+                <div className="flex items-center gap-1">
+                  <span className="text-muted-foreground">
+                    {formatMoney(goal.saved, goal.currency)} of{" "}
+                    {formatMoney(goal.targetAmount, goal.currency)}
+                  </span>
+                  <GoalDrawer
+                    goal={goal}
+                    accounts={savingsAccounts}
+                    tags={tags}
+                  >
+                    <Button variant="ghost" size="icon" className="h-6 w-6">
+                      <Pencil className="h-3 w-3" />
+                    </Button>
+                  </GoalDrawer>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => deleteGoalFn(goal.id)}
+                    disabled={deleteLoading}
+                    className="h-6 w-6"
+                  >
+                    <Trash className="h-3 w-3 text-red-500" />
+                  </Button>
+                </div>
+              </div>
+              <Progress value={goal.percent} extraStyles={status.color} />
+              <div className="flex justify-between text-xs text-muted-foreground">
+                <span>
+                  {status.label} · by {format(new Date(goal.targetDate), "PP")}
+                </span>
+                {goal.status !== "REACHED" && (
+                  <span>
+                    Save {formatMoney(goal.requiredMonthly, goal.currency)}
+                    /month
+                    {goal.projectedDate
+                      ? ` · at ${formatMoney(goal.monthlyPace, goal.currency)}/month you'll get there ${format(new Date(goal.projectedDate), "MMM yyyy")}`
+                      : ""}
+                  </span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
@@ -21,6 +21,9 @@ import {
 } from "@/components/ui/select";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { cn } from "@/lib/utils";
+import { getCategoryAmounts } from "@/lib/splits";
+import { toCategoryMap } from "@/data/categories";
+import { formatMoney } from "@/lib/currency";
 
 const COLORS = [
   "#FF6B6B",
@@ -32,14 +35,18 @@ const COLORS = [
   "#9FA8DA",
 ];
 
-export function DashboardOverview({ accounts, transactions }) {
+export function DashboardOverview({ accounts, transactions, categories = [] }) {
   const [selectedAccountId, setSelectedAccountId] = useState(
     accounts.find((a) => a.isDefault)?.id || accounts[0]?.id
   );
 
-  // Filter transactions for selected account
+  const currency = accounts.find((a) => a.id === selectedAccountId)?.currency;
+
+  // Filter transactions for selected account, including transfers into it
   const accountTransactions = transactions.filter(
-    (t) => t.accountId === selectedAccountId
+    (t) =>
+      t.accountId === selectedAccountId ||
+      t.transferAccountId === selectedAccountId
   );
 
   // Get recent transactions (last 5)
@@ -58,21 +65,21 @@ export function DashboardOverview({ accounts, transactions }) {
     );
   });
 
-  // Group expenses by category
+  // Group expenses by category, counting each line of a split transaction
   const expensesByCategory = currentMonthExpenses.reduce((acc, transaction) => {
-    const category = transaction.category;
-    if (!acc[category]) {
-      acc[category] = 0;
+    for (const { category, amount } of getCategoryAmounts(transaction)) {
+      acc[category] = acc[category] ? acc[category].plus(amount) : amount;
     }
-    acc[category] += transaction.amount;
     return acc;
   }, {});
 
-  // Format data for pie chart
+  // Format data for pie chart, labelled with the user's category names
+  const categoryMap = toCategoryMap(categories);
   const pieChartData = Object.entries(expensesByCategory).map(
     ([category, amount]) => ({
-      name: category,
-      value: amount,
+      name: categoryMap[category]?.name || category,
+      value: amount.toNumber(),
+      color: categoryMap[category]?.color,
     })
   );
 
@@ -107,38 +114,48 @@ export function DashboardOverview({ accounts, transactions }) {
                 No recent transactions
               </p>
             ) : (
-              recentTransactions.map((transaction) => (
-                <div
-                  key={transaction.id}
-                  className="flex items-center justify-between"
-                >
-                  <div className="space-y-1">
-                    <p className="text-sm font-medium leading-none">
-                      {transaction.description || "Untitled Transaction"}
-                    </p>
-                    <p className="text-sm text-muted-foreground">
-                      {format(new Date(transaction.date), "PP")}
-                    </p>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <div
-                      className={cn(
-                        "flex items-center",
-                        transaction.type === "EXPENSE"
-                          ? "text-red-500"
-                          : "text-green-500"
-                      )}
-                    >
-                      {transaction.type === "EXPENSE" ? (
-                        <ArrowDownRight className="mr-1 h-4 w-4" />
-                      ) : (
-                        <ArrowUpRight className="mr-1 h-4 w-4" />
-                      )}
-                      ${transaction.amount.toFixed(2)}
+              recentTransactions.map((transaction) => {
+                // Money leaving the selected account is shown as outgoing
+                const isOutgoing =
+                  transaction.type === "EXPENSE" ||
+                  (transaction.type === "TRANSFER" &&
+                    transaction.accountId === selectedAccountId);
+
+                return (
+                  <div
+                    key={transaction.id}
+                    className="flex items-center justify-between"
+                  >
+                    <div className="space-y-1">
+                      <p className="text-sm font-medium leading-none">
+                        {transaction.description || "Untitled Transaction"}
+                      </p>
+                      <p className="text-sm text-muted-foreground">
+                        {format(new Date(transaction.date), "PP")}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div
+                        className={cn(
+                          "flex items-center",
+                          transaction.type === "TRANSFER"
+                            ? "text-purple-500"
+                            : isOutgoing
+                              ? "text-red-500"
+                              : "text-green-500"
+                        )}
+                      >
+                        {isOutgoing ? (
+                          <ArrowDownRight className="mr-1 h-4 w-4" />
+                        ) : (
+                          <ArrowUpRight className="mr-1 h-4 w-4" />
+                        )}
+                        {formatMoney(transaction.amount, currency)}
+                      </div>
                     </div>
                   </div>
-                </div>
-              ))
+                );
+              })
             )}
           </div>
         </CardContent>
@@ -167,17 +184,19 @@ export function DashboardOverview({ accounts, transactions }) {
                     outerRadius={80}
                     fill="#8884d8"
                     dataKey="value"
-                    label={({ name, value }) => `${name}: $${value.toFixed(2)}`}
+                    label={({ name, value }) =>
+                      `${name}: ${formatMoney(value, currency)}`
+                    }
                   >
                     {pieChartData.map((entry, index) => (
                       <Cell
                         key={`cell-${index}`}
-                        fill={COLORS[index % COLORS.length]}
+                        fill={entry.color || COLORS[index % COLORS.length]}
                       />
                     ))}
                   </Pie>
                   <Tooltip
-                    formatter={(value) => `$${value.toFixed(2)}`}
+                    formatter={(value) => formatMoney(value, currency)}
                     contentStyle={{
                       backgroundColor: "hsl(var(--popover))",
                       border: "1px solid hsl(var(--border))",
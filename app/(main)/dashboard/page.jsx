@@ -1,56 +1,88 @@
 import { Suspense } from "react";
+import Link from "next/link";
 import { getUserAccounts } from "@/actions/dashboard";
 import { getDashboardData } from "@/actions/dashboard";
+import { getBalanceSummary } from "@/actions/dashboard";
 import { getCurrentBudget } from "@/actions/budget";
+import { getUserCategories } from "@/actions/category";
+import { getGoals } from "@/actions/goal";
+import { getUserTags } from "@/actions/tag";
 import { AccountCard } from "./_components/account-card";
 import { CreateAccountDrawer } from "@/components/create-account-drawer";
 import { BudgetProgress } from "./_components/budget-progress";
+import { GoalProgress } from "./_components/goal-progress";
 import { Card, CardContent } from "@/components/ui/card";
 import { Plus } from "lucide-react";
 import { DashboardOverview } from "./_components/transaction-overview";
+import { BalanceSummary } from "./_components/balance-summary";
 
 export default async function DashboardPage() {
   let accounts = [];
   let transactions = [];
+  let categories = [];
+  let balanceSummary = null;
+  let archivedAccounts = [];
+  let tags = [];
   
   try {
     const results = await Promise.allSettled([
       getUserAccounts(),
       getDashboardData(),
+      getUserCategories(),
+      getBalanceSummary(),
+      getUserAccounts({ archived: true }),
+      getUserTags(),
     ]);
     
     accounts = results[0].status === 'fulfilled' ? results[0].value : [];
     transactions = results[1].status === 'fulfilled' ? results[1].value : [];
+    categories = results[2].status === 'fulfilled' ? results[2].value : [];
+    balanceSummary = results[3].status === 'fulfilled' ? results[3].value : null;
+    archivedAccounts = results[4].status === 'fulfilled' ? results[4].value : [];
+    tags = results[5].status === 'fulfilled' ? results[5].value : [];
   } catch (error) {
     console.error("Error loading dashboard data:", error);
     // Continue with empty arrays
   }
 
-  const defaultAccount = accounts?.find((account) => account?.isDefault);
-
-  // Get budget for default account
+  // Get overall and category budgets for the current month
   let budgetData = null;
-  if (defaultAccount) {
-    try {
-      budgetData = await getCurrentBudget(defaultAccount.id);
-    } catch (error) {
-      console.error("Error loading budget data:", error);
-      // Continue with null budgetData
-    }
+  try {
+    budgetData = await getCurrentBudget();
+  } catch (error) {
+    console.error("Error loading budget data:", error);
+    // Continue with null budgetData
+  }
+
+  let goals = [];
+  try {
+    goals = await getGoals();
+  } catch (error) {
+    console.error("Error loading savings goals:", error);
   }
 
   return (
     <div className="space-y-8">
-      {/* Budget Progress */}
-      <BudgetProgress
-        initialBudget={budgetData?.budget}
-        currentExpenses={budgetData?.currentExpenses || 0}
-      />
+      {/* Total balance across currencies */}
+      {balanceSummary && <BalanceSummary summary={balanceSummary} />}
+
+      {/* Budget Progress and Savings Goals */}
+      <div className="grid gap-4 lg:grid-cols-2 items-start">
+        <BudgetProgress
+          initialBudget={budgetData?.budget}
+          currentExpenses={budgetData?.currentExpenses || 0}
+          categoryBudgets={budgetData?.categoryBudgets || []}
+          categories={categories}
+          currency={budgetData?.currency}
+        />
+        <GoalProgress goals={goals} accounts={accounts} tags={tags} />
+      </div>
 
       {/* Dashboard Overview */}
       <DashboardOverview
         accounts={accounts || []}
         transactions={transactions || []}
+        categories={categories}
       />
 
       {/* Accounts Grid */}
@@ -75,6 +107,21 @@ export default async function DashboardPage() {
           <p className="text-muted-foreground">No accounts found. Create your first account to get started.</p>
         </div>
       )}
+
+      {/* Archived accounts stay reachable for their history */}
+      {archivedAccounts.length > 0 && (
+        <p className="text-sm text-muted-foreground">
+          Archived accounts:{" "}
+          {archivedAccounts.map((account, index) => (
+            <span key={account.id}>
+              {index > 0 && ", "}
+              <Link href={`/account/${account.id}`} className="hover:underline">
+                {account.name}
+              </Link>
+            </span>
+          ))}
+        </p>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,143 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { format, startOfDay, subDays } from "date-fns";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { formatMoney, getCurrencySymbol } from "@/lib/currency";
+
+const DATE_RANGES = {
+  "1M": { label: "Last Month", days: 30 },
+  "3M": { label: "Last 3 Months", days: 90 },
+  "6M": { label: "Last 6 Months", days: 180 },
+  "1Y": { label: "Last Year", days: 365 },
+  ALL: { label: "All Time", days: null },
+};
+
+export function NetWorthChart({ points, currency }) {
+  const [dateRange, setDateRange] = useState("3M");
+
+  const data = useMemo(() => {
+    const range = DATE_RANGES[dateRange];
+    const startDate = range.days
+      ? startOfDay(subDays(new Date(), range.days))
+      : startOfDay(new Date(0));
+
+    return points
+      .filter((point) => new Date(point.date) >= startDate)
+      .map((point) => ({
+        ...point,
+        label: format(new Date(point.date), "MMM dd, yyyy"),
+      }));
+  }, [points, dateRange]);
+
+  // Change in net worth over the selected range
+  const change =
+    data.length > 1 ? data[data.length - 1].netWorth - data[0].netWorth : 0;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-7">
+        <div>
+          <CardTitle className="text-base font-normal">
+            Net Worth Over Time
+          </CardTitle>
+          <p
+            className={`text-sm ${
+              change >= 0 ? "text-green-500" : "text-red-500"
+            }`}
+          >
+            {change >= 0 ? "+" : ""}
+            {formatMoney(change, currency)} over this period
+          </p>
+        </div>
+        <Select defaultValue={dateRange} onValueChange={setDateRange}>
+          <SelectTrigger className="w-[140px]">
+            <SelectValue placeholder="Select range" />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(DATE_RANGES).map(([key, { label }]) => (
+              <SelectItem key={key} value={key}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardHeader>
+      <CardContent>
+        <div className="h-[300px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart
+              data={data}
+              margin={{ top: 10, right: 10, left: 10, bottom: 0 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis
+                dataKey="label"
+                fontSize={12}
+                tickLine={false}
+                axisLine={false}
+                minTickGap={24}
+              />
+              <YAxis
+                fontSize={12}
+                tickLine={false}
+                axisLine={false}
+                tickFormatter={(value) =>
+                  `${getCurrencySymbol(currency)}${value}`
+                }
+              />
+              <Tooltip
+                formatter={(value) => [formatMoney(value, currency), undefined]}
+                contentStyle={{
+                  backgroundColor: "hsl(var(--popover))",
+                  border: "1px solid hsl(var(--border))",
+                  borderRadius: "var(--radius)",
+                }}
+              />
+              <Legend />
+              <Line
+                type="monotone"
+                dataKey="netWorth"
+                name="Net Worth"
+                stroke="#9333ea"
+                strokeWidth={2}
+                dot={false}
+              />
+              <Line
+                type="monotone"
+                dataKey="assets"
+                name="Assets"
+                stroke="#22c55e"
+                dot={false}
+              />
+              <Line
+                type="monotone"
+                dataKey="liabilities"
+                name="Liabilities"
+                stroke="#ef4444"
+                dot={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
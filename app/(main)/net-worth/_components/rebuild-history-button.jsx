@@ -0,0 +1,38 @@
+"use client";
+
+import { useEffect } from "react";
+import { Loader2, RefreshCw } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import { rebuildNetWorthHistory } from "@/actions/net-worth";
+import useFetch from "@/hooks/use-fetch";
+
+export function RebuildHistoryButton({ hasHistory }) {
+  const {
+    loading: rebuildLoading,
+    fn: rebuildFn,
+    data: rebuilt,
+  } = useFetch(rebuildNetWorthHistory);
+
+  useEffect(() => {
+    if (rebuilt?.success && !rebuildLoading) {
+      toast.success(`Rebuilt ${rebuilt.data.snapshots} daily balances`);
+    }
+  }, [rebuilt, rebuildLoading]);
+
+  return (
+    <Button
+      variant="outline"
+      onClick={() => rebuildFn()}
+      disabled={rebuildLoading}
+    >
+      {rebuildLoading ? (
+        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+      ) : (
+        <RefreshCw className="mr-2 h-4 w-4" />
+      )}
+      {hasHistory ? "Rebuild History" : "Build History"}
+    </Button>
+  );
+}
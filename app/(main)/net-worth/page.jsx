@@ -0,0 +1,71 @@
+import { AlertTriangle } from "lucide-react";
+import { getNetWorth } from "@/actions/net-worth";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { formatMoney } from "@/lib/currency";
+import { NetWorthChart } from "./_components/net-worth-chart";
+import { RebuildHistoryButton } from "./_components/rebuild-history-button";
+
+export default async function NetWorthPage() {
+  const { points, hasHistory, currency, missing } = await getNetWorth();
+  const current = points[points.length - 1] || {
+    assets: 0,
+    liabilities: 0,
+    netWorth: 0,
+  };
+
+  const totals = [
+    { label: "Net Worth", value: current.netWorth },
+    { label: "Assets", value: current.assets, className: "text-green-500" },
+    {
+      label: "Liabilities",
+      value: current.liabilities,
+      className: "text-red-500",
+    },
+  ];
+
+  return (
+    <div className="max-w-5xl mx-auto px-5 space-y-8">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-5xl gradient-title">Net Worth</h1>
+          <p className="text-muted-foreground">
+            Everything you own less everything you owe, in {currency}
+          </p>
+        </div>
+        <RebuildHistoryButton hasHistory={hasHistory} />
+      </div>
+
+      {missing.length > 0 && (
+        <p className="flex items-center gap-1 text-sm text-yellow-600">
+          <AlertTriangle className="h-4 w-4" />
+          Leaves out {missing.join(", ")} balances on days without an exchange
+          rate to {currency}.
+        </p>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-3">
+        {totals.map(({ label, value, className }) => (
+          <Card key={label}>
+            <CardHeader className="pb-2">
+              <CardTitle className="text-sm font-medium">{label}</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className={`text-2xl font-bold ${className || ""}`}>
+                {formatMoney(value, currency)}
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {!hasHistory && (
+        <p className="text-sm text-muted-foreground">
+          Balances are saved every night. Build your history to fill in the days
+          before from your existing transactions.
+        </p>
+      )}
+
+      <NetWorthChart points={points} currency={currency} />
+    </div>
+  );
+}
@@ -0,0 +1,279 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { TagInput } from "@/components/tag-input";
+import { createRule, updateRule } from "@/actions/rule";
+import { ruleSchema } from "@/app/lib/schema";
+import useFetch from "@/hooks/use-fetch";
+
+export const MATCH_TYPES = {
+  CONTAINS: "contains",
+  EQUALS: "equals",
+  STARTS_WITH: "starts with",
+  REGEX: "matches regex",
+};
+
+// Select items can't have an empty value
+const NONE = "none";
+
+// Create a rule, or edit `rule` when given
+export function RuleFormDrawer({ rule = null, categories, tags, children }) {
+  const [open, setOpen] = useState(false);
+  const isEdit = !!rule;
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+    reset,
+  } = useForm({
+    resolver: zodResolver(ruleSchema),
+    defaultValues: {
+      name: rule?.name || "",
+      matchType: rule?.matchType || "CONTAINS",
+      matchValue: rule?.matchValue || "",
+      minAmount: rule?.minAmount?.toString() || "",
+      maxAmount: rule?.maxAmount?.toString() || "",
+      category: rule?.category || "",
+      subcategory: rule?.subcategory || "",
+      tags: rule?.tags || [],
+      isActive: rule?.isActive ?? true,
+    },
+  });
+
+  const {
+    loading: saveLoading,
+    fn: saveFn,
+    data: saved,
+  } = useFetch(isEdit ? updateRule : createRule);
+
+  const onSubmit = async (data) => {
+    if (isEdit) {
+      await saveFn(rule.id, data);
+    } else {
+      await saveFn(data);
+    }
+  };
+
+  useEffect(() => {
+    if (saved?.success) {
+      toast.success(isEdit ? "Rule updated" : "Rule created");
+      if (!isEdit) reset();
+      setOpen(false);
+    }
+  }, [saved, isEdit, reset]);
+
+  const category = watch("category");
+  const subcategories =
+    categories.find((c) => c.id === category)?.subcategories || [];
+  const activeCategories = categories.filter(
+    (c) => c.type !== "TRANSFER" && (!c.isArchived || c.id === category)
+  );
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>{isEdit ? "Edit Rule" : "New Rule"}</DrawerTitle>
+        </DrawerHeader>
+        <div className="px-4 pb-4">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="space-y-2">
+              <label htmlFor="name" className="text-sm font-medium">
+                Name
+              </label>
+              <Input
+                id="name"
+                placeholder="e.g., Streaming subscriptions"
+                {...register("name")}
+              />
+              {errors.name && (
+                <p className="text-sm text-red-500">{errors.name.message}</p>
+              )}
+            </div>
+
+            {/* Condition */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">
+                When the description
+              </label>
+              <div className="flex gap-2">
+                <Select
+                  onValueChange={(value) => setValue("matchType", value)}
+                  defaultValue={watch("matchType")}
+                >
+                  <SelectTrigger className="w-[180px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(MATCH_TYPES).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Input
+                  className="flex-1"
+                  placeholder="e.g., NETFLIX"
+                  {...register("matchValue")}
+                />
+              </div>
+              {errors.matchValue && (
+                <p className="text-sm text-red-500">
+                  {errors.matchValue.message}
+                </p>
+              )}
+            </div>
+
+            <div className="grid gap-4 grid-cols-2">
+              <div className="space-y-2">
+                <label htmlFor="minAmount" className="text-sm font-medium">
+                  Min Amount (optional)
+                </label>
+                <Input
+                  id="minAmount"
+                  type="number"
+                  step="0.01"
+                  placeholder="0.00"
+                  {...register("minAmount")}
+                />
+                {errors.minAmount && (
+                  <p className="text-sm text-red-500">
+                    {errors.minAmount.message}
+                  </p>
+                )}
+              </div>
+              <div className="space-y-2">
+                <label htmlFor="maxAmount" className="text-sm font-medium">
+                  Max Amount (optional)
+                </label>
+                <Input
+                  id="maxAmount"
+                  type="number"
+                  step="0.01"
+                  placeholder="0.00"
+                  {...register("maxAmount")}
+                />
+                {errors.maxAmount && (
+                  <p className="text-sm text-red-500">
+                    {errors.maxAmount.message}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Actions */}
+            <div className="grid gap-4 grid-cols-2">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Set Category</label>
+                <Select
+                  value={category || NONE}
+                  onValueChange={(value) => {
+                    setValue("category", value === NONE ? "" : value);
+                    setValue("subcategory", "");
+                  }}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select category" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NONE}>Don&apos;t change</SelectItem>
+                    {activeCategories.map((c) => (
+                      <SelectItem key={c.id} value={c.id}>
+                        {c.name} ({c.type === "INCOME" ? "Income" : "Expense"})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {errors.category && (
+                  <p className="text-sm text-red-500">
+                    {errors.category.message}
+                  </p>
+                )}
+              </div>
+
+              {subcategories.length > 0 && (
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Subcategory</label>
+                  <Select
+                    value={watch("subcategory") || NONE}
+                    onValueChange={(value) =>
+                      setValue("subcategory", value === NONE ? "" : value)
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select subcategory" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NONE}>No subcategory</SelectItem>
+                      {subcategories.map((subcategory) => (
+                        <SelectItem key={subcategory} value={subcategory}>
+                          {subcategory}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Add Tags</label>
+              <TagInput
+                value={watch("tags")}
+                onChange={(value) => setValue("tags", value)}
+                suggestions={tags}
+              />
+            </div>
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={saveLoading}>
+                {saveLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : isEdit ? (
+                  "Save Changes"
+                ) : (
+                  "Create Rule"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
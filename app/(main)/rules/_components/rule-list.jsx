@@ -0,0 +1,379 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import {
+  ArrowDown,
+  ArrowRight,
+  ArrowUp,
+  Eye,
+  Loader2,
+  Pencil,
+  Trash,
+  X,
+} from "lucide-react";
+import { toast } from "sonner";
+
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Switch } from "@/components/ui/switch";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  applyRuleChanges,
+  deleteRule,
+  moveRule,
+  previewRuleChanges,
+  toggleRule,
+} from "@/actions/rule";
+import { toCategoryMap } from "@/data/categories";
+import useFetch from "@/hooks/use-fetch";
+import { cn } from "@/lib/utils";
+import { formatMoney } from "@/lib/currency";
+import { MATCH_TYPES, RuleFormDrawer } from "./rule-form-drawer";
+
+export function RuleList({ rules, categories, tags }) {
+  // null previews every active rule, otherwise the rule with this id
+  const [previewRuleId, setPreviewRuleId] = useState(undefined);
+  const categoryMap = toCategoryMap(categories);
+
+  const categoryLabel = (category, subcategory) => {
+    if (!category) return "—";
+    const name = categoryMap[category]?.name || category;
+    return subcategory ? `${name} › ${subcategory}` : name;
+  };
+
+  const { loading: toggleLoading, fn: toggleFn } = useFetch(toggleRule);
+  const { loading: moveLoading, fn: moveFn } = useFetch(moveRule);
+
+  const {
+    loading: deleteLoading,
+    fn: deleteFn,
+    data: deleted,
+  } = useFetch(deleteRule);
+
+  const {
+    loading: previewLoading,
+    fn: previewFn,
+    data: preview,
+    setData: setPreview,
+  } = useFetch(previewRuleChanges);
+
+  const {
+    loading: applyLoading,
+    fn: applyFn,
+    data: applied,
+  } = useFetch(applyRuleChanges);
+
+  const handlePreview = (ruleId) => {
+    setPreviewRuleId(ruleId);
+    previewFn(ruleId);
+  };
+
+  const handleClosePreview = () => {
+    setPreviewRuleId(undefined);
+    setPreview(undefined);
+  };
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+    deleteFn(rule.id);
+  };
+
+  const handleApply = () => {
+    if (
+      !window.confirm(
+        `Update ${preview.data.total} transactions? This can't be undone.`
+      )
+    )
+      return;
+
+    applyFn(previewRuleId);
+  };
+
+  useEffect(() => {
+    if (deleted?.success && !deleteLoading) {
+      toast.success("Rule deleted");
+    }
+  }, [deleted, deleteLoading]);
+
+  useEffect(() => {
+    if (applied?.success && !applyLoading) {
+      toast.success(`${applied.data.updated} transactions updated`);
+      setPreviewRuleId(undefined);
+      setPreview(undefined);
+    }
+  }, [applied, applyLoading, setPreview]);
+
+  const previewRule = rules.find((rule) => rule.id === previewRuleId);
+  const busy = toggleLoading || moveLoading || deleteLoading;
+
+  return (
+    <div className="space-y-8">
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0">
+          <CardTitle className="text-base font-normal">
+            Rules run from top to bottom. The first matching rule sets the
+            category; tags from every matching rule are added.
+          </CardTitle>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={rules.length === 0 || previewLoading}
+            onClick={() => handlePreview(null)}
+          >
+            <Eye className="mr-2 h-4 w-4" />
+            Preview all rules
+          </Button>
+        </CardHeader>
+        <CardContent>
+          {rules.length === 0 ? (
+            <p className="text-center text-muted-foreground py-8">
+              No rules yet. Create one to categorize transactions automatically.
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-[80px]">Order</TableHead>
+                  <TableHead>Name</TableHead>
+                  <TableHead>When description</TableHead>
+                  <TableHead>Then</TableHead>
+                  <TableHead className="w-[80px]">Active</TableHead>
+                  <TableHead className="w-[120px]" />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rules.map((rule, index) => (
+                  <TableRow
+                    key={rule.id}
+                    className={cn(!rule.isActive && "opacity-60")}
+                  >
+                    <TableCell>
+                      <div className="flex items-center">
+                        <Button
+                          variant="ghost"
+                          className="h-7 w-7 p-0"
+                          title="Move up"
+                          disabled={index === 0 || busy}
+                          onClick={() => moveFn(rule.id, "up")}
+                        >
+                          <ArrowUp className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          className="h-7 w-7 p-0"
+                          title="Move down"
+                          disabled={index === rules.length - 1 || busy}
+                          onClick={() => moveFn(rule.id, "down")}
+                        >
+                          <ArrowDown className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </TableCell>
+                    <TableCell className="font-medium">{rule.name}</TableCell>
+                    <TableCell>
+                      <span className="text-muted-foreground">
+                        {MATCH_TYPES[rule.matchType]}{" "}
+                      </span>
+                      <code className="rounded bg-muted px-1 py-0.5 text-sm">
+                        {rule.matchValue}
+                      </code>
+                      {(rule.minAmount != null || rule.maxAmount != null) && (
+                        <div className="text-xs text-muted-foreground">
+                          Amount {rule.minAmount ?? 0} –{" "}
+                          {rule.maxAmount ?? "any"}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex flex-wrap items-center gap-1">
+                        {rule.category && (
+                          <span>
+                            {categoryLabel(rule.category, rule.subcategory)}
+                          </span>
+                        )}
+                        {rule.tags.map((tag) => (
+                          <Badge key={tag} variant="secondary">
+                            #{tag}
+                          </Badge>
+                        ))}
+                      </div>
+                    </TableCell>
+                    <TableCell>
+                      <Switch
+                        checked={rule.isActive}
+                        disabled={busy}
+                        onCheckedChange={(checked) =>
+                          toggleFn(rule.id, checked)
+                        }
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex items-center justify-end gap-1">
+                        <Button
+                          variant="ghost"
+                          className="h-8 w-8 p-0"
+                          title="Preview"
+                          disabled={previewLoading}
+                          onClick={() => handlePreview(rule.id)}
+                        >
+                          <Eye className="h-4 w-4" />
+                        </Button>
+                        <RuleFormDrawer
+                          rule={rule}
+                          categories={categories}
+                          tags={tags}
+                        >
+                          <Button
+                            variant="ghost"
+                            className="h-8 w-8 p-0"
+                            title="Edit"
+                          >
+                            <Pencil className="h-4 w-4" />
+                          </Button>
+                        </RuleFormDrawer>
+                        <Button
+                          variant="ghost"
+                          className="h-8 w-8 p-0 text-destructive"
+                          title="Delete"
+                          disabled={busy}
+                          onClick={() => handleDelete(rule)}
+                        >
+                          <Trash className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Dry run */}
+      {previewRuleId !== undefined && (
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <CardTitle className="text-base font-normal">
+              Preview: {previewRule ? previewRule.name : "All active rules"}
+            </CardTitle>
+            <div className="flex items-center gap-2">
+              {preview?.data?.total > 0 && (
+                <Button size="sm" disabled={applyLoading} onClick={handleApply}>
+                  {applyLoading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Applying...
+                    </>
+                  ) : (
+                    `Apply to ${preview.data.total} transactions`
+                  )}
+                </Button>
+              )}
+              <Button
+                variant="ghost"
+                className="h-8 w-8 p-0"
+                onClick={handleClosePreview}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            {previewLoading || !preview?.data ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              </div>
+            ) : preview.data.total === 0 ? (
+              <p className="text-center text-muted-foreground py-8">
+                No existing transactions would change
+              </p>
+            ) : (
+              <>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Date</TableHead>
+                      <TableHead>Description</TableHead>
+                      <TableHead>Account</TableHead>
+                      <TableHead className="text-right">Amount</TableHead>
+                      <TableHead>Category</TableHead>
+                      <TableHead>Tags Added</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {preview.data.changes.map((change) => (
+                      <TableRow key={change.id}>
+                        <TableCell>
+                          {format(new Date(change.date), "PP")}
+                        </TableCell>
+                        <TableCell>{change.description}</TableCell>
+                        <TableCell>{change.accountName}</TableCell>
+                        <TableCell
+                          className={cn(
+                            "text-right font-medium",
+                            change.type === "EXPENSE"
+                              ? "text-red-500"
+                              : "text-green-500"
+                          )}
+                        >
+                          {change.type === "EXPENSE" ? "-" : "+"}
+                          {formatMoney(change.amount, change.currency)}
+                        </TableCell>
+                        <TableCell>
+                          {change.toCategory ? (
+                            <span className="flex items-center gap-1">
+                              <span className="text-muted-foreground">
+                                {categoryLabel(
+                                  change.fromCategory,
+                                  change.fromSubcategory
+                                )}
+                              </span>
+                              <ArrowRight className="h-3 w-3" />
+                              {categoryLabel(
+                                change.toCategory,
+                                change.toSubcategory
+                              )}
+                            </span>
+                          ) : (
+                            <span className="text-muted-foreground">
+                              Unchanged
+                            </span>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <div className="flex flex-wrap gap-1">
+                            {change.addTags.map((tag) => (
+                              <Badge key={tag} variant="secondary">
+                                #{tag}
+                              </Badge>
+                            ))}
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                {preview.data.total > preview.data.changes.length && (
+                  <p className="text-sm text-muted-foreground pt-4 text-center">
+                    Showing {preview.data.changes.length} of{" "}
+                    {preview.data.total} transactions
+                  </p>
+                )}
+              </>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
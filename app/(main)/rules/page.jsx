@@ -0,0 +1,31 @@
+import { Plus } from "lucide-react";
+import { getRules } from "@/actions/rule";
+import { getUserCategories } from "@/actions/category";
+import { getUserTags } from "@/actions/tag";
+import { Button } from "@/components/ui/button";
+import { RuleList } from "./_components/rule-list";
+import { RuleFormDrawer } from "./_components/rule-form-drawer";
+
+export default async function RulesPage() {
+  const [rules, categories, tags] = await Promise.all([
+    getRules(),
+    getUserCategories(),
+    getUserTags(),
+  ]);
+
+  return (
+    <div className="max-w-5xl mx-auto px-5 space-y-8">
+      <div className="flex items-end justify-between">
+        <h1 className="text-5xl gradient-title">Rules</h1>
+        <RuleFormDrawer categories={categories} tags={tags}>
+          <Button>
+            <Plus className="mr-2 h-4 w-4" />
+            New Rule
+          </Button>
+        </RuleFormDrawer>
+      </div>
+
+      <RuleList rules={rules} categories={categories} tags={tags} />
+    </div>
+  );
+}
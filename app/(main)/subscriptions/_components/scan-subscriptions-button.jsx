@@ -0,0 +1,38 @@
+"use client";
+
+import { useEffect } from "react";
+import { Loader2, Search } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import { scanSubscriptions } from "@/actions/subscription";
+import useFetch from "@/hooks/use-fetch";
+
+export function ScanSubscriptionsButton() {
+  const {
+    loading: scanLoading,
+    fn: scanFn,
+    data: scanned,
+  } = useFetch(scanSubscriptions);
+
+  useEffect(() => {
+    if (scanned?.success && !scanLoading) {
+      toast.success(
+        scanned.data.detected === 1
+          ? "Found 1 subscription"
+          : `Found ${scanned.data.detected} subscriptions`
+      );
+    }
+  }, [scanned, scanLoading]);
+
+  return (
+    <Button variant="outline" onClick={() => scanFn()} disabled={scanLoading}>
+      {scanLoading ? (
+        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+      ) : (
+        <Search className="mr-2 h-4 w-4" />
+      )}
+      Scan Now
+    </Button>
+  );
+}
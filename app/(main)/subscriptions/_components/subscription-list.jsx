@@ -0,0 +1,152 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { Loader2, RefreshCw, X } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  convertSubscription,
+  dismissSubscription,
+} from "@/actions/subscription";
+import { formatMoney } from "@/lib/currency";
+import { RECURRING_INTERVALS } from "@/lib/recurring";
+import useFetch from "@/hooks/use-fetch";
+
+// Detected subscriptions, each of which can be made a recurring series or
+// dismissed
+export function SubscriptionList({ subscriptions }) {
+  // Subscription being converted or dismissed
+  const [pendingId, setPendingId] = useState(null);
+
+  const {
+    loading: convertLoading,
+    fn: convertFn,
+    data: converted,
+  } = useFetch(convertSubscription);
+
+  const {
+    loading: dismissLoading,
+    fn: dismissFn,
+    data: dismissed,
+  } = useFetch(dismissSubscription);
+
+  useEffect(() => {
+    if (converted?.success && !convertLoading) {
+      toast.success("Subscription added as a recurring transaction");
+    }
+  }, [converted, convertLoading]);
+
+  useEffect(() => {
+    if (dismissed?.success && !dismissLoading) {
+      toast.success("Subscription dismissed");
+    }
+  }, [dismissed, dismissLoading]);
+
+  const busy = convertLoading || dismissLoading;
+
+  if (subscriptions.length === 0) {
+    return (
+      <p className="text-center text-muted-foreground py-8">
+        No subscriptions found among your one-off transactions
+      </p>
+    );
+  }
+
+  return (
+    <Card>
+      <CardContent className="pt-6">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Merchant</TableHead>
+              <TableHead>Cadence</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+              <TableHead className="text-right">Per Year</TableHead>
+              <TableHead>Next Charge</TableHead>
+              <TableHead />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {subscriptions.map((subscription) => {
+              const currency = subscription.account.currency;
+
+              return (
+                <TableRow key={subscription.id}>
+                  <TableCell>
+                    <div className="font-medium">
+                      {subscription.description}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {subscription.account.name} · {subscription.chargeCount}{" "}
+                      charges, last on{" "}
+                      {format(new Date(subscription.lastChargedAt), "PP")}
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    {RECURRING_INTERVALS[subscription.interval]?.label}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {formatMoney(subscription.amount, currency)}
+                  </TableCell>
+                  <TableCell className="text-right font-medium">
+                    {formatMoney(subscription.annualCost, currency)}
+                  </TableCell>
+                  <TableCell>
+                    {format(new Date(subscription.nextChargeAt), "PP")}
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex justify-end gap-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={busy}
+                        onClick={() => {
+                          setPendingId(subscription.id);
+                          convertFn(subscription.id);
+                        }}
+                      >
+                        {convertLoading && pendingId === subscription.id ? (
+                          <Loader2 className="mr-1 h-3 w-3 animate-spin" />
+                        ) : (
+                          <RefreshCw className="mr-1 h-3 w-3" />
+                        )}
+                        Make Recurring
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        disabled={busy}
+                        onClick={() => {
+                          setPendingId(subscription.id);
+                          dismissFn(subscription.id);
+                        }}
+                      >
+                        {dismissLoading && pendingId === subscription.id ? (
+                          <Loader2 className="mr-1 h-3 w-3 animate-spin" />
+                        ) : (
+                          <X className="mr-1 h-3 w-3" />
+                        )}
+                        Dismiss
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,50 @@
+import { AlertTriangle } from "lucide-react";
+import { getSubscriptions } from "@/actions/subscription";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { formatMoney } from "@/lib/currency";
+import { ScanSubscriptionsButton } from "./_components/scan-subscriptions-button";
+import { SubscriptionList } from "./_components/subscription-list";
+
+export default async function SubscriptionsPage() {
+  const { subscriptions, annualTotal, currency, missing } =
+    await getSubscriptions();
+
+  return (
+    <div className="max-w-5xl mx-auto px-5 space-y-8">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-5xl gradient-title">Subscriptions</h1>
+          <p className="text-muted-foreground">
+            Charges that repeat at a regular interval but aren&apos;t set up as
+            recurring transactions. Your history is scanned every week.
+          </p>
+        </div>
+        <ScanSubscriptionsButton />
+      </div>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-sm font-medium">Yearly Cost</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="text-2xl font-bold">
+            {formatMoney(annualTotal, currency)}
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Across {subscriptions.length} detected subscription
+            {subscriptions.length === 1 ? "" : "s"}
+          </p>
+          {missing.length > 0 && (
+            <p className="flex items-center gap-1 text-xs text-yellow-600 mt-1">
+              <AlertTriangle className="h-3 w-3" />
+              Leaves out {missing.join(", ")} subscriptions: add an exchange
+              rate to {currency} to include them.
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      <SubscriptionList subscriptions={subscriptions} />
+    </div>
+  );
+}
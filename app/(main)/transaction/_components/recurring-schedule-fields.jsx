@@ -0,0 +1,218 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { CalendarIcon } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  LAST_BUSINESS_DAY,
+  RECURRING_INTERVALS,
+  isMonthlyInterval,
+} from "@/lib/recurring";
+import { cn } from "@/lib/utils";
+
+// Select items can't have an empty value
+const SAME_DAY = "same";
+const DAYS_OF_MONTH = Array.from({ length: 31 }, (_, i) => String(i + 1));
+
+// Interval, day of the month and end of a recurring transaction's series, for
+// a react-hook-form form using transactionSchema
+export function RecurringScheduleFields({ register, watch, setValue, errors }) {
+  const interval = watch("recurringInterval");
+  const recurringDay = watch("recurringDay");
+  const endDate = watch("recurringEndDate");
+  const [ends, setEnds] = useState(() => {
+    if (watch("recurringEndDate")) return "date";
+    if (watch("recurringMaxOccurrences")) return "count";
+    return "never";
+  });
+
+  // Only the chosen kind of end is kept
+  const handleEndsChange = (value) => {
+    setEnds(value);
+    if (value !== "date") setValue("recurringEndDate", null);
+    if (value !== "count") setValue("recurringMaxOccurrences", "");
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-4 md:grid-cols-2">
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Recurring Interval</label>
+          <Select
+            onValueChange={(value) => {
+              setValue("recurringInterval", value);
+              if (!isMonthlyInterval(value)) setValue("recurringDay", "");
+            }}
+            value={interval}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select interval" />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(RECURRING_INTERVALS).map(([value, { label }]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {errors.recurringInterval && (
+            <p className="text-sm text-red-500">
+              {errors.recurringInterval.message}
+            </p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <label htmlFor="recurringEvery" className="text-sm font-medium">
+            Repeat Every
+          </label>
+          <div className="flex items-center gap-2">
+            <Input
+              id="recurringEvery"
+              type="number"
+              min="1"
+              className="w-24"
+              placeholder="1"
+              {...register("recurringEvery")}
+            />
+            <span className="text-sm text-muted-foreground">
+              {interval ? `${RECURRING_INTERVALS[interval].unit}(s)` : ""}
+            </span>
+          </div>
+          {errors.recurringEvery && (
+            <p className="text-sm text-red-500">
+              {errors.recurringEvery.message}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {isMonthlyInterval(interval) && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">On Day</label>
+          <Select
+            value={recurringDay || SAME_DAY}
+            onValueChange={(value) =>
+              setValue("recurringDay", value === SAME_DAY ? "" : value)
+            }
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={SAME_DAY}>Same day as the first</SelectItem>
+              <SelectItem value={String(LAST_BUSINESS_DAY)}>
+                Last business day
+              </SelectItem>
+              {DAYS_OF_MONTH.map((day) => (
+                <SelectItem key={day} value={day}>
+                  Day {day}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <p className="text-xs text-muted-foreground">
+            Days past the end of a shorter month fall on its last day.
+          </p>
+          {errors.recurringDay && (
+            <p className="text-sm text-red-500">
+              {errors.recurringDay.message}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Ends</label>
+          <Select value={ends} onValueChange={handleEndsChange}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="never">Never</SelectItem>
+              <SelectItem value="date">On a date</SelectItem>
+              <SelectItem value="count">After a number of times</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        {ends === "date" && (
+          <div className="space-y-2">
+            <label className="text-sm font-medium">End Date</label>
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button
+                  variant="outline"
+                  className={cn(
+                    "w-full pl-3 text-left font-normal",
+                    !endDate && "text-muted-foreground"
+                  )}
+                >
+                  {endDate ? format(endDate, "PPP") : <span>Pick a date</span>}
+                  <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent className="w-auto p-0" align="start">
+                <Calendar
+                  mode="single"
+                  selected={endDate}
+                  onSelect={(date) => setValue("recurringEndDate", date)}
+                  initialFocus
+                />
+              </PopoverContent>
+            </Popover>
+            {errors.recurringEndDate && (
+              <p className="text-sm text-red-500">
+                {errors.recurringEndDate.message}
+              </p>
+            )}
+          </div>
+        )}
+
+        {ends === "count" && (
+          <div className="space-y-2">
+            <label
+              htmlFor="recurringMaxOccurrences"
+              className="text-sm font-medium"
+            >
+              Occurrences
+            </label>
+            <Input
+              id="recurringMaxOccurrences"
+              type="number"
+              min="2"
+              placeholder="e.g., 12"
+              {...register("recurringMaxOccurrences")}
+            />
+            <p className="text-xs text-muted-foreground">
+              Including this transaction
+            </p>
+            {errors.recurringMaxOccurrences && (
+              <p className="text-sm text-red-500">
+                {errors.recurringMaxOccurrences.message}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,9 @@
 "use client";
 
-import { useEffect } from "react";
-import { useForm } from "react-hook-form";
+import { useEffect, useState } from "react";
+import { useFieldArray, useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { CalendarIcon, Loader2 } from "lucide-react";
+import { CalendarIcon, Loader2, Plus, Split, Trash2 } from "lucide-react";
 import { format } from "date-fns";
 import { useRouter, useSearchParams } from "next/navigation";
 import useFetch from "@/hooks/use-fetch";
@@ -26,14 +26,21 @@ import {
 } from "@/components/ui/popover";
 import { Calendar } from "@/components/ui/calendar";
 import { CreateAccountDrawer } from "@/components/create-account-drawer";
+import { TagInput } from "@/components/tag-input";
 import { cn } from "@/lib/utils";
+import { formatMoney } from "@/lib/currency";
 import { createTransaction, updateTransaction } from "@/actions/transaction";
 import { transactionSchema } from "@/app/lib/schema";
 import { ReceiptScanner } from "./recipt-scanner";
+import { RecurringScheduleFields } from "./recurring-schedule-fields";
+
+// Select items can't have an empty value
+const NO_SUBCATEGORY = "none";
 
 export function AddTransactionForm({
   accounts,
   categories,
+  tags: existingTags = [],
   editMode = false,
   initialData = null,
 }) {
@@ -42,6 +49,7 @@ export function AddTransactionForm({
   const editId = searchParams.get("edit");
 
   const {
+    control,
     register,
     handleSubmit,
     formState: { errors },
@@ -58,23 +66,58 @@ export function AddTransactionForm({
             amount: initialData.amount.toString(),
             description: initialData.description,
             accountId: initialData.accountId,
+            ...(initialData.transferAccountId && {
+              transferAccountId: initialData.transferAccountId,
+            }),
             category: initialData.category,
+            subcategory: initialData.subcategory || "",
+            splits: (initialData.splits || []).map((split) => ({
+              category: split.category,
+              amount: split.amount.toString(),
+              description: split.description || "",
+            })),
+            tags: (initialData.tags || []).map((tag) => tag.name),
             date: new Date(initialData.date),
             isRecurring: initialData.isRecurring,
             ...(initialData.recurringInterval && {
               recurringInterval: initialData.recurringInterval,
             }),
+            recurringEvery: String(initialData.recurringEvery || 1),
+            recurringDay: initialData.recurringDay
+              ? String(initialData.recurringDay)
+              : "",
+            recurringEndDate: initialData.recurringEndDate
+              ? new Date(initialData.recurringEndDate)
+              : null,
+            recurringMaxOccurrences: initialData.recurringMaxOccurrences
+              ? String(initialData.recurringMaxOccurrences)
+              : "",
           }
         : {
             type: "EXPENSE",
             amount: "",
             description: "",
             accountId: accounts.find((ac) => ac.isDefault)?.id,
+            splits: [],
+            tags: [],
             date: new Date(),
             isRecurring: false,
+            recurringEvery: "1",
+            recurringDay: "",
+            recurringEndDate: null,
+            recurringMaxOccurrences: "",
           },
   });
 
+  const {
+    fields: splitFields,
+    append: appendSplit,
+    remove: removeSplit,
+    replace: replaceSplits,
+  } = useFieldArray({ control, name: "splits" });
+  const [isSplit, setIsSplit] = useState(splitFields.length > 0);
+  const [isScanned, setIsScanned] = useState(false);
+
   const {
     loading: transactionLoading,
     fn: transactionFn,
@@ -82,20 +125,28 @@ export function AddTransactionForm({
   } = useFetch(editMode ? updateTransaction : createTransaction);
 
   const onSubmit = (data) => {
+    const splits = isSplit && data.type !== "TRANSFER" ? data.splits : [];
     const formData = {
       ...data,
       amount: parseFloat(data.amount),
+      splits: splits.map((split) => ({
+        ...split,
+        amount: parseFloat(split.amount),
+      })),
     };
 
     if (editMode) {
       transactionFn(editId, formData);
     } else {
-      transactionFn(formData);
+      // Recorded in the transaction's history
+      transactionFn({ ...formData, fromReceiptScan: isScanned });
     }
   };
 
   const handleScanComplete = (scannedData) => {
     if (scannedData) {
+      setIsScanned(true);
+
       // Set amount (ensure it's a valid number)
       if (scannedData.amount && scannedData.amount > 0) {
         setValue("amount", scannedData.amount.toString());
@@ -161,10 +212,72 @@ export function AddTransactionForm({
   const type = watch("type");
   const isRecurring = watch("isRecurring");
   const date = watch("date");
+  const amount = watch("amount");
+  const splits = watch("splits");
+  const tags = watch("tags");
+  const selectedCategory = watch("category");
+  const currency = accounts.find(
+    (account) => account.id === watch("accountId")
+  )?.currency;
+
+  const splitRemaining =
+    (parseFloat(amount) || 0) -
+    (splits || []).reduce(
+      (sum, split) => sum + (parseFloat(split.amount) || 0),
+      0
+    );
 
+  // Archived categories only show up for the transaction already using them
   const filteredCategories = categories.filter(
-    (category) => category.type === type
+    (category) =>
+      category.type === type &&
+      (!category.isArchived ||
+        (editMode && category.id === initialData?.category))
   );
+  const subcategories =
+    categories.find((category) => category.id === selectedCategory)
+      ?.subcategories || [];
+
+  const handleCategoryChange = (value) => {
+    setValue("category", value);
+    setValue("subcategory", "");
+  };
+
+  const handleTypeChange = (value) => {
+    setValue("type", value);
+
+    // Transfers always use the transfer category
+    if (value === "TRANSFER") {
+      setValue("category", "transfer");
+      replaceSplits([]);
+      setIsSplit(false);
+    } else if (getValues("category") === "transfer") {
+      setValue("category", "");
+    }
+
+    // Split lines can't keep categories of a different type
+    getValues("splits").forEach((_, index) =>
+      setValue(`splits.${index}.category`, "")
+    );
+  };
+
+  const handleSplitToggle = () => {
+    if (isSplit) {
+      replaceSplits([]);
+    } else {
+      // Start with the whole amount on the current category and an empty
+      // line to split it with
+      replaceSplits([
+        {
+          category: getValues("category") || "",
+          amount: getValues("amount") || "",
+          description: "",
+        },
+        { category: "", amount: "", description: "" },
+      ]);
+    }
+    setIsSplit(!isSplit);
+  };
 
   return (
     <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
@@ -174,16 +287,14 @@ export function AddTransactionForm({
       {/* Type */}
       <div className="space-y-2">
         <label className="text-sm font-medium">Type</label>
-        <Select
-          onValueChange={(value) => setValue("type", value)}
-          defaultValue={type}
-        >
+        <Select onValueChange={handleTypeChange} defaultValue={type}>
           <SelectTrigger>
             <SelectValue placeholder="Select type" />
           </SelectTrigger>
           <SelectContent>
             <SelectItem value="EXPENSE">Expense</SelectItem>
             <SelectItem value="INCOME">Income</SelectItem>
+            <SelectItem value="TRANSFER">Transfer</SelectItem>
           </SelectContent>
         </Select>
         {errors.type && (
@@ -207,7 +318,9 @@ export function AddTransactionForm({
         </div>
 
         <div className="space-y-2">
-          <label className="text-sm font-medium">Account</label>
+          <label className="text-sm font-medium">
+            {type === "TRANSFER" ? "From Account" : "Account"}
+          </label>
           <Select
             onValueChange={(value) => setValue("accountId", value)}
             defaultValue={getValues("accountId")}
@@ -218,7 +331,8 @@ export function AddTransactionForm({
             <SelectContent>
               {accounts.map((account) => (
                 <SelectItem key={account.id} value={account.id}>
-                  {account.name} (${parseFloat(account.balance).toFixed(2)})
+                  {account.name} (
+                  {formatMoney(account.balance, account.currency)})
                 </SelectItem>
               ))}
               <CreateAccountDrawer>
@@ -237,28 +351,187 @@ export function AddTransactionForm({
         </div>
       </div>
 
-      {/* Category */}
-      <div className="space-y-2">
-        <label className="text-sm font-medium">Category</label>
-        <Select
-          onValueChange={(value) => setValue("category", value)}
-          defaultValue={getValues("category")}
-        >
-          <SelectTrigger>
-            <SelectValue placeholder="Select category" />
-          </SelectTrigger>
-          <SelectContent>
-            {filteredCategories.map((category) => (
-              <SelectItem key={category.id} value={category.id}>
-                {category.name}
-              </SelectItem>
-            ))}
-          </SelectContent>
-        </Select>
-        {errors.category && (
-          <p className="text-sm text-red-500">{errors.category.message}</p>
-        )}
-      </div>
+      {/* Destination Account (transfers) or Category */}
+      {type === "TRANSFER" ? (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">To Account</label>
+          <Select
+            onValueChange={(value) => setValue("transferAccountId", value)}
+            defaultValue={getValues("transferAccountId")}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select destination account" />
+            </SelectTrigger>
+            <SelectContent>
+              {accounts.map((account) => (
+                <SelectItem key={account.id} value={account.id}>
+                  {account.name} (
+                  {formatMoney(account.balance, account.currency)})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {errors.transferAccountId && (
+            <p className="text-sm text-red-500">
+              {errors.transferAccountId.message}
+            </p>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <label className="text-sm font-medium">
+              {isSplit ? "Category Lines" : "Category"}
+            </label>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={handleSplitToggle}
+            >
+              <Split className="mr-2 h-4 w-4" />
+              {isSplit ? "Don't split" : "Split"}
+            </Button>
+          </div>
+
+          {isSplit ? (
+            <div className="space-y-3">
+              {splitFields.map((field, index) => (
+                <div key={field.id} className="space-y-1">
+                  <div className="flex gap-2">
+                    <Select
+                      value={splits?.[index]?.category || ""}
+                      onValueChange={(value) =>
+                        setValue(`splits.${index}.category`, value)
+                      }
+                    >
+                      <SelectTrigger className="flex-1">
+                        <SelectValue placeholder="Select category" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {filteredCategories.map((category) => (
+                          <SelectItem key={category.id} value={category.id}>
+                            {category.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Input
+                      type="number"
+                      step="0.01"
+                      placeholder="0.00"
+                      className="w-28"
+                      {...register(`splits.${index}.amount`)}
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => removeSplit(index)}
+                      disabled={splitFields.length <= 2}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                  <Input
+                    placeholder="Line note (optional)"
+                    {...register(`splits.${index}.description`)}
+                  />
+                  {(errors.splits?.[index]?.category ||
+                    errors.splits?.[index]?.amount) && (
+                    <p className="text-sm text-red-500">
+                      {errors.splits[index].category?.message ||
+                        errors.splits[index].amount?.message}
+                    </p>
+                  )}
+                </div>
+              ))}
+
+              <div className="flex items-center justify-between">
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() =>
+                    appendSplit({ category: "", amount: "", description: "" })
+                  }
+                >
+                  <Plus className="mr-2 h-4 w-4" />
+                  Add Line
+                </Button>
+                <span
+                  className={cn(
+                    "text-sm",
+                    Math.abs(splitRemaining) > 0.005
+                      ? "text-red-500"
+                      : "text-muted-foreground"
+                  )}
+                >
+                  Remaining: {formatMoney(splitRemaining, currency)}
+                </span>
+              </div>
+              {errors.splits?.message && (
+                <p className="text-sm text-red-500">{errors.splits.message}</p>
+              )}
+            </div>
+          ) : (
+            <>
+              <Select
+                onValueChange={handleCategoryChange}
+                defaultValue={getValues("category")}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Select category" />
+                </SelectTrigger>
+                <SelectContent>
+                  {filteredCategories.map((category) => (
+                    <SelectItem key={category.id} value={category.id}>
+                      {category.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {errors.category && (
+                <p className="text-sm text-red-500">
+                  {errors.category.message}
+                </p>
+              )}
+              {!editMode && !selectedCategory && type !== "TRANSFER" && (
+                <p className="text-xs text-muted-foreground">
+                  Leave empty to let your rules pick one
+                </p>
+              )}
+
+              {/* Subcategory */}
+              {subcategories.length > 0 && (
+                <Select
+                  value={watch("subcategory") || NO_SUBCATEGORY}
+                  onValueChange={(value) =>
+                    setValue(
+                      "subcategory",
+                      value === NO_SUBCATEGORY ? "" : value
+                    )
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select subcategory" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_SUBCATEGORY}>
+                      No subcategory
+                    </SelectItem>
+                    {subcategories.map((subcategory) => (
+                      <SelectItem key={subcategory} value={subcategory}>
+                        {subcategory}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            </>
+          )}
+        </div>
+      )}
 
       {/* Date */}
       <div className="space-y-2">
@@ -302,6 +575,16 @@ export function AddTransactionForm({
         )}
       </div>
 
+      {/* Tags */}
+      <div className="space-y-2">
+        <label className="text-sm font-medium">Tags</label>
+        <TagInput
+          value={tags}
+          onChange={(value) => setValue("tags", value)}
+          suggestions={existingTags}
+        />
+      </div>
+
       {/* Recurring Toggle */}
       <div className="flex flex-row items-center justify-between rounded-lg border p-4">
         <div className="space-y-0.5">
@@ -316,30 +599,14 @@ export function AddTransactionForm({
         />
       </div>
 
-      {/* Recurring Interval */}
+      {/* Recurring Schedule */}
       {isRecurring && (
-        <div className="space-y-2">
-          <label className="text-sm font-medium">Recurring Interval</label>
-          <Select
-            onValueChange={(value) => setValue("recurringInterval", value)}
-            defaultValue={getValues("recurringInterval")}
-          >
-            <SelectTrigger>
-              <SelectValue placeholder="Select interval" />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="DAILY">Daily</SelectItem>
-              <SelectItem value="WEEKLY">Weekly</SelectItem>
-              <SelectItem value="MONTHLY">Monthly</SelectItem>
-              <SelectItem value="YEARLY">Yearly</SelectItem>
-            </SelectContent>
-          </Select>
-          {errors.recurringInterval && (
-            <p className="text-sm text-red-500">
-              {errors.recurringInterval.message}
-            </p>
-          )}
-        </div>
+        <RecurringScheduleFields
+          register={register}
+          watch={watch}
+          setValue={setValue}
+          errors={errors}
+        />
       )}
 
       {/* Actions */}
@@ -1,16 +1,30 @@
 import { getUserAccounts } from "@/actions/dashboard";
-import { defaultCategories } from "@/data/categories";
 import { AddTransactionForm } from "../_components/transaction-form";
 import { getTransaction } from "@/actions/transaction";
+import { getUserTags } from "@/actions/tag";
+import { getUserCategories } from "@/actions/category";
 
 export default async function AddTransactionPage({ searchParams }) {
-  const accounts = await getUserAccounts();
+  let accounts = await getUserAccounts();
+  const tags = await getUserTags();
+  const categories = await getUserCategories();
   const editId = searchParams?.edit;
 
   let initialData = null;
   if (editId) {
     const transaction = await getTransaction(editId);
     initialData = transaction;
+
+    // Keep archived accounts the transaction already uses selectable
+    const archived = await getUserAccounts({ archived: true });
+    accounts = [
+      ...accounts,
+      ...archived.filter((account) =>
+        [transaction?.accountId, transaction?.transferAccountId].includes(
+          account.id
+        )
+      ),
+    ];
   }
 
   return (
@@ -20,7 +34,8 @@ export default async function AddTransactionPage({ searchParams }) {
       </div>
       <AddTransactionForm
         accounts={accounts}
-        categories={defaultCategories}
+        categories={categories}
+        tags={tags}
         editMode={!!editId}
         initialData={initialData}
       />
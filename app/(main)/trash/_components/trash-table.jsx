@@ -0,0 +1,214 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { format, formatDistanceToNow } from "date-fns";
+import { ArchiveRestore, ArrowLeftRight, Trash } from "lucide-react";
+import { BarLoader } from "react-spinners";
+import { toast } from "sonner";
+
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { purgeTransactions, restoreTransactions } from "@/actions/trash";
+import useFetch from "@/hooks/use-fetch";
+import { formatMoney } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+
+export function TrashTable({ transactions, retentionDays }) {
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const {
+    loading: restoreLoading,
+    fn: restoreFn,
+    data: restored,
+  } = useFetch(restoreTransactions);
+
+  const {
+    loading: purgeLoading,
+    fn: purgeFn,
+    data: purged,
+  } = useFetch(purgeTransactions);
+
+  const handleSelect = (id) => {
+    setSelectedIds((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id]
+    );
+  };
+
+  const handleSelectAll = () => {
+    setSelectedIds((current) =>
+      current.length === transactions.length
+        ? []
+        : transactions.map((t) => t.id)
+    );
+  };
+
+  const handlePurge = (ids) => {
+    if (
+      !window.confirm(
+        `Permanently delete ${ids.length} transactions? This can't be undone.`
+      )
+    )
+      return;
+
+    purgeFn(ids);
+  };
+
+  useEffect(() => {
+    if (restored?.success && !restoreLoading) {
+      toast.success(`${restored.data.restored} transactions restored`);
+      setSelectedIds([]);
+    }
+  }, [restored, restoreLoading]);
+
+  useEffect(() => {
+    if (purged?.success && !purgeLoading) {
+      toast.success(`${purged.data.purged} transactions permanently deleted`);
+      setSelectedIds([]);
+    }
+  }, [purged, purgeLoading]);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base font-normal">
+          Deleted transactions are permanently removed after {retentionDays}{" "}
+          days
+        </CardTitle>
+        {selectedIds.length > 0 && (
+          <div className="flex items-center gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={restoreLoading}
+              onClick={() => restoreFn(selectedIds)}
+            >
+              <ArchiveRestore className="h-4 w-4 mr-2" />
+              Restore ({selectedIds.length})
+            </Button>
+            <Button
+              variant="destructive"
+              size="sm"
+              disabled={purgeLoading}
+              onClick={() => handlePurge(selectedIds)}
+            >
+              <Trash className="h-4 w-4 mr-2" />
+              Delete Forever ({selectedIds.length})
+            </Button>
+          </div>
+        )}
+      </CardHeader>
+      <CardContent>
+        {(restoreLoading || purgeLoading) && (
+          <BarLoader className="mb-4" width={"100%"} color="#9333ea" />
+        )}
+        {transactions.length === 0 ? (
+          <p className="text-center text-muted-foreground py-8">
+            The trash is empty
+          </p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-[50px]">
+                  <Checkbox
+                    checked={selectedIds.length === transactions.length}
+                    onCheckedChange={handleSelectAll}
+                  />
+                </TableHead>
+                <TableHead>Date</TableHead>
+                <TableHead>Description</TableHead>
+                <TableHead>Account</TableHead>
+                <TableHead className="text-right">Amount</TableHead>
+                <TableHead>Deleted</TableHead>
+                <TableHead className="w-[50px]" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {transactions.map((transaction) => (
+                <TableRow key={transaction.id}>
+                  <TableCell>
+                    <Checkbox
+                      checked={selectedIds.includes(transaction.id)}
+                      onCheckedChange={() => handleSelect(transaction.id)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    {format(new Date(transaction.date), "PP")}
+                  </TableCell>
+                  <TableCell>{transaction.description}</TableCell>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <Link
+                        href={`/account/${transaction.account.id}`}
+                        className="hover:underline"
+                      >
+                        {transaction.account.name}
+                      </Link>
+                      {transaction.transferAccount && (
+                        <Badge variant="outline" className="gap-1">
+                          <ArrowLeftRight className="h-3 w-3" />
+                          {transaction.transferAccount.name}
+                        </Badge>
+                      )}
+                    </div>
+                  </TableCell>
+                  <TableCell
+                    className={cn(
+                      "text-right font-medium",
+                      transaction.type === "EXPENSE" && "text-red-500",
+                      transaction.type === "INCOME" && "text-green-500"
+                    )}
+                  >
+                    {transaction.type === "EXPENSE"
+                      ? "-"
+                      : transaction.type === "INCOME"
+                        ? "+"
+                        : ""}
+                    {formatMoney(
+                      transaction.amount,
+                      transaction.account.currency
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <div>
+                      {formatDistanceToNow(new Date(transaction.deletedAt), {
+                        addSuffix: true,
+                      })}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      Removed on {format(new Date(transaction.purgeDate), "PP")}
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    <Button
+                      variant="ghost"
+                      className="h-8 w-8 p-0"
+                      title="Restore"
+                      disabled={restoreLoading}
+                      onClick={() => restoreFn([transaction.id])}
+                    >
+                      <ArchiveRestore className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
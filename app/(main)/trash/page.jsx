@@ -0,0 +1,17 @@
+import { getDeletedTransactions } from "@/actions/trash";
+import { TRASH_RETENTION_DAYS } from "@/lib/trash";
+import { TrashTable } from "./_components/trash-table";
+
+export default async function TrashPage() {
+  const transactions = await getDeletedTransactions();
+
+  return (
+    <div className="max-w-5xl mx-auto px-5 space-y-8">
+      <h1 className="text-5xl gradient-title">Trash</h1>
+      <TrashTable
+        transactions={transactions}
+        retentionDays={TRASH_RETENTION_DAYS}
+      />
+    </div>
+  );
+}
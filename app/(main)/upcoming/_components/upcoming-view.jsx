@@ -0,0 +1,271 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import {
+  CartesianGrid,
+  Line,
+  LineChart,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { addDays, endOfDay, format, startOfDay } from "date-fns";
+import { AlertTriangle } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { toCategoryMap } from "@/data/categories";
+import { formatMoney, getCurrencySymbol } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+
+const RANGES = {
+  30: "Next 30 Days",
+  60: "Next 60 Days",
+  90: "Next 90 Days",
+};
+
+// Upcoming recurring transactions of one account, day by day, and the
+// balance they're projected to leave it with
+export function UpcomingView({ forecast, categories }) {
+  const [range, setRange] = useState("30");
+  const [accountId, setAccountId] = useState(forecast.accounts[0]?.id);
+
+  const categoryMap = toCategoryMap(categories);
+  const account = forecast.accounts.find((a) => a.id === accountId);
+  const until = useMemo(
+    () => endOfDay(addDays(startOfDay(new Date()), Number(range))),
+    [range]
+  );
+
+  // Accounts projected to be overdrawn within the range
+  const warnings = forecast.accounts.filter(
+    (a) => a.negativeOn && new Date(a.negativeOn) <= until
+  );
+
+  const points = useMemo(
+    () =>
+      (account?.points || [])
+        .filter((point) => new Date(point.date) <= until)
+        .map((point) => ({
+          ...point,
+          label: format(new Date(point.date), "MMM dd"),
+        })),
+    [account, until]
+  );
+  const lowest = points.reduce(
+    (low, point) => (!low || point.balance < low.balance ? point : low),
+    null
+  );
+
+  // The account's bills in the range, grouped by day
+  const { days, income, expenses } = useMemo(() => {
+    const days = new Map();
+    let income = 0;
+    let expenses = 0;
+
+    for (const bill of forecast.bills) {
+      const change = bill.changes[accountId];
+      if (!change || new Date(bill.date) > until) continue;
+
+      const key = format(new Date(bill.date), "yyyy-MM-dd");
+      if (!days.has(key)) days.set(key, { key, date: bill.date, bills: [] });
+      days.get(key).bills.push({ ...bill, change });
+
+      if (change > 0) income += change;
+      else expenses -= change;
+    }
+
+    return { days: [...days.values()], income, expenses };
+  }, [forecast.bills, accountId, until]);
+
+  if (!account) {
+    return (
+      <p className="text-center text-muted-foreground py-8">
+        Add an account to see what&apos;s coming up
+      </p>
+    );
+  }
+
+  const currency = account.currency;
+
+  return (
+    <div className="space-y-6">
+      {warnings.map((a) => (
+        <p
+          key={a.id}
+          className="flex items-center gap-2 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-600"
+        >
+          <AlertTriangle className="h-4 w-4 shrink-0" />
+          {a.name} is projected to go negative on{" "}
+          {format(new Date(a.negativeOn), "PPP")}.
+        </p>
+      ))}
+
+      <div className="flex flex-wrap gap-2">
+        <Select value={accountId} onValueChange={setAccountId}>
+          <SelectTrigger className="w-[200px]">
+            <SelectValue placeholder="Select account" />
+          </SelectTrigger>
+          <SelectContent>
+            {forecast.accounts.map((a) => (
+              <SelectItem key={a.id} value={a.id}>
+                {a.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={range} onValueChange={setRange}>
+          <SelectTrigger className="w-[160px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(RANGES).map(([days, label]) => (
+              <SelectItem key={days} value={days}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-7">
+          <CardTitle className="text-base font-normal">
+            Projected Balance
+          </CardTitle>
+          <div className="flex flex-wrap gap-x-6 text-sm">
+            <span className="text-green-500">
+              +{formatMoney(income, currency)} in
+            </span>
+            <span className="text-red-500">
+              -{formatMoney(expenses, currency)} out
+            </span>
+            {lowest && (
+              <span
+                className={cn(
+                  "text-muted-foreground",
+                  lowest.balance < 0 && "text-red-500"
+                )}
+              >
+                Lowest {formatMoney(lowest.balance, currency)} on{" "}
+                {format(new Date(lowest.date), "MMM d")}
+              </span>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="h-[300px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart
+                data={points}
+                margin={{ top: 10, right: 10, left: 10, bottom: 0 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis
+                  dataKey="label"
+                  fontSize={12}
+                  tickLine={false}
+                  axisLine={false}
+                  minTickGap={24}
+                />
+                <YAxis
+                  fontSize={12}
+                  tickLine={false}
+                  axisLine={false}
+                  tickFormatter={(value) =>
+                    `${getCurrencySymbol(currency)}${value}`
+                  }
+                />
+                <Tooltip
+                  formatter={(value) => [
+                    formatMoney(value, currency),
+                    "Balance",
+                  ]}
+                  contentStyle={{
+                    backgroundColor: "hsl(var(--popover))",
+                    border: "1px solid hsl(var(--border))",
+                    borderRadius: "var(--radius)",
+                  }}
+                />
+                <ReferenceLine y={0} stroke="#ef4444" strokeDasharray="3 3" />
+                <Line
+                  type="stepAfter"
+                  dataKey="balance"
+                  stroke="#9333ea"
+                  strokeWidth={2}
+                  dot={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base font-normal">
+            Upcoming Bills
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {days.length === 0 ? (
+            <p className="text-center text-muted-foreground py-8">
+              No recurring transactions due in the {RANGES[range].toLowerCase()}
+            </p>
+          ) : (
+            <div className="divide-y">
+              {days.map((day) => (
+                <div key={day.key} className="py-3 space-y-2">
+                  <p className="text-sm font-medium">
+                    {format(new Date(day.date), "EEEE, MMMM d")}
+                  </p>
+                  {day.bills.map((bill) => (
+                    <div
+                      key={bill.seriesId}
+                      className="flex items-center justify-between gap-4 text-sm"
+                    >
+                      <div className="flex items-center gap-2">
+                        <span
+                          className="h-2 w-2 shrink-0 rounded-full"
+                          style={{
+                            backgroundColor: categoryMap[bill.category]?.color,
+                          }}
+                        />
+                        <span>{bill.description || "Untitled"}</span>
+                        <span className="text-muted-foreground">
+                          {categoryMap[bill.category]?.name || bill.category}
+                        </span>
+                        {bill.overdue && (
+                          <Badge variant="outline" className="text-yellow-600">
+                            Overdue
+                          </Badge>
+                        )}
+                      </div>
+                      <span
+                        className={cn(
+                          "font-medium",
+                          bill.change > 0 ? "text-green-500" : "text-red-500"
+                        )}
+                      >
+                        {bill.change > 0 ? "+" : "-"}
+                        {formatMoney(Math.abs(bill.change), currency)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import Link from "next/link";
+import { getForecast } from "@/actions/forecast";
+import { getUserCategories } from "@/actions/category";
+import { UpcomingView } from "./_components/upcoming-view";
+
+export default async function UpcomingPage() {
+  const [forecast, categories] = await Promise.all([
+    getForecast(),
+    getUserCategories(),
+  ]);
+
+  return (
+    <div className="max-w-5xl mx-auto px-5 space-y-8">
+      <div>
+        <h1 className="text-5xl gradient-title">Upcoming</h1>
+        <p className="text-muted-foreground">
+          Recurring income and expenses due over the next {forecast.days} days
+          and the balances they&apos;re projected to leave
+        </p>
+        <Link
+          href="/subscriptions"
+          className="text-sm text-muted-foreground hover:underline"
+        >
+          Find subscriptions that aren&apos;t set up as recurring
+        </Link>
+      </div>
+
+      <UpcomingView forecast={forecast} categories={categories} />
+    </div>
+  );
+}
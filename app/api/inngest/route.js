@@ -2,9 +2,14 @@ import { serve } from "inngest/next";
 
 import { inngest } from "@/lib/inngest/client";
 import {
+  checkAccountBalances,
   checkBudgetAlerts,
+  checkGoalProgress,
   generateMonthlyReports,
   processRecurringTransaction,
+  purgeDeletedTransactions,
+  scanForSubscriptions,
+  snapshotNetWorth,
   triggerRecurringTransactions,
 } from "@/lib/inngest/function";
 
@@ -15,5 +20,10 @@ export const { GET, POST, PUT } = serve({
     triggerRecurringTransactions,
     generateMonthlyReports,
     checkBudgetAlerts,
+    purgeDeletedTransactions,
+    checkAccountBalances,
+    snapshotNetWorth,
+    checkGoalProgress,
+    scanForSubscriptions,
   ],
 });
@@ -1,24 +1,121 @@
 import { z } from "zod";
+import { CURRENCY_CODES, DEFAULT_CURRENCY } from "@/lib/currency";
+import { isSafeRegex } from "@/lib/safe-regex";
 
-export const accountSchema = z.object({
+const dayOfMonth = z
+  .string()
+  .optional()
+  .refine(
+    (value) =>
+      !value || (Number.isInteger(+value) && +value >= 1 && +value <= 31),
+    "Pick a day between 1 and 31"
+  );
+
+const recurringInterval = z.enum([
+  "DAILY",
+  "WEEKLY",
+  "BIWEEKLY",
+  "MONTHLY",
+  "QUARTERLY",
+  "YEARLY",
+]);
+
+const accountFields = z.object({
   name: z.string().min(1, "Name is required"),
-  type: z.enum(["CURRENT", "SAVINGS"]),
+  type: z.enum([
+    "CURRENT",
+    "SAVINGS",
+    "CREDIT_CARD",
+    "LOAN",
+    "CASH",
+    "INVESTMENT",
+  ]),
   balance: z.string().min(1, "Initial balance is required"),
+  currency: z.enum(CURRENCY_CODES).default(DEFAULT_CURRENCY),
   isDefault: z.boolean().default(false),
+  institution: z.string().optional(),
+  creditLimit: z.string().optional(),
+  interestRate: z.string().optional(),
+  statementDay: dayOfMonth,
+  paymentDueDay: dayOfMonth,
 });
 
+function refineAccountType(data, ctx) {
+  if (data.type === "CREDIT_CARD" && !(parseFloat(data.creditLimit) > 0)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: "Credit limit is required",
+      path: ["creditLimit"],
+    });
+  }
+
+  if (data.interestRate && !(parseFloat(data.interestRate) >= 0)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: "Invalid interest rate",
+      path: ["interestRate"],
+    });
+  }
+}
+
+// Credit card and loan balances are entered as the amount owed
+export const accountSchema = accountFields.superRefine(refineAccountType);
+
+// Account settings once it exists. The balance comes from its transactions
+// and amounts are in its currency, so neither can change here.
+export const accountSettingsSchema = accountFields
+  .omit({ balance: true, currency: true, isDefault: true })
+  .superRefine(refineAccountType);
+
 export const transactionSchema = z
   .object({
-    type: z.enum(["INCOME", "EXPENSE"]),
+    type: z.enum(["INCOME", "EXPENSE", "TRANSFER"]),
     amount: z.string().min(1, "Amount is required"),
     description: z.string().optional(),
     date: z.date({ required_error: "Date is required" }),
     accountId: z.string().min(1, "Account is required"),
-    category: z.string().min(1, "Category is required"),
-    isRecurring: z.boolean().default(false),
-    recurringInterval: z
-      .enum(["DAILY", "WEEKLY", "MONTHLY", "YEARLY"])
+    transferAccountId: z.string().optional(),
+    category: z.string().optional(),
+    subcategory: z.string().optional(),
+    // Category lines of a split transaction; the category above is unused
+    // when there are any
+    splits: z
+      .array(
+        z.object({
+          category: z.string().min(1, "Category is required"),
+          amount: z.string().min(1, "Amount is required"),
+          description: z.string().optional(),
+        })
+      )
       .optional(),
+    tags: z.array(z.string()).optional(),
+    isRecurring: z.boolean().default(false),
+    recurringInterval: recurringInterval.optional(),
+    recurringEvery: z
+      .string()
+      .optional()
+      .refine(
+        (value) =>
+          !value || (Number.isInteger(+value) && +value >= 1 && +value <= 99),
+        "Pick a number between 1 and 99"
+      ),
+    // Day of the month, or -1 for the last business day
+    recurringDay: z
+      .string()
+      .optional()
+      .refine(
+        (value) =>
+          !value || value === "-1" || dayOfMonth.safeParse(value).success,
+        "Pick a day between 1 and 31"
+      ),
+    recurringEndDate: z.date().nullable().optional(),
+    recurringMaxOccurrences: z
+      .string()
+      .optional()
+      .refine(
+        (value) => !value || (Number.isInteger(+value) && +value >= 2),
+        "A series needs at least 2 occurrences"
+      ),
   })
   .superRefine((data, ctx) => {
     if (data.isRecurring && !data.recurringInterval) {
@@ -28,4 +125,220 @@ export const transactionSchema = z
         path: ["recurringInterval"],
       });
     }
+
+    if (
+      data.isRecurring &&
+      data.recurringEndDate &&
+      data.recurringEndDate <= data.date
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "End date must be after the first date",
+        path: ["recurringEndDate"],
+      });
+    }
+
+    // Without a category the user's rules pick one, falling back to the
+    // catch-all category
+    const splits = data.type === "TRANSFER" ? [] : data.splits || [];
+    if (splits.length === 1) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "A split needs at least two category lines",
+        path: ["splits"],
+      });
+    } else if (splits.length > 1) {
+      const total = splits.reduce(
+        (sum, split) => sum + (parseFloat(split.amount) || 0),
+        0
+      );
+      if (Math.abs(total - parseFloat(data.amount)) > 0.005) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Split amounts must add up to the transaction amount",
+          path: ["splits"],
+        });
+      }
+    }
+
+    if (data.type === "TRANSFER") {
+      if (!data.transferAccountId) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Destination account is required for transfers",
+          path: ["transferAccountId"],
+        });
+      } else if (data.transferAccountId === data.accountId) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Cannot transfer to the same account",
+          path: ["transferAccountId"],
+        });
+      }
+    }
   });
+
+export const importTransactionSchema = z.object({
+  type: z.enum(["INCOME", "EXPENSE"]),
+  amount: z
+    .number({ invalid_type_error: "Invalid amount" })
+    .positive("Amount must be greater than zero"),
+  description: z.string().optional(),
+  date: z.date({ required_error: "Invalid date" }),
+  category: z.string().min(1, "Category is required"),
+  importId: z.string().optional(),
+});
+
+export const categorySchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Name is required")
+    .max(40, "Name is too long"),
+  type: z.enum(["INCOME", "EXPENSE"]),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/, "Invalid color"),
+  icon: z.string().min(1, "Icon is required"),
+  subcategories: z.array(z.string().trim().min(1)).default([]),
+});
+
+export const ruleSchema = z
+  .object({
+    name: z.string().trim().min(1, "Name is required").max(60),
+    matchType: z.enum(["CONTAINS", "EQUALS", "STARTS_WITH", "REGEX"]),
+    matchValue: z
+      .string()
+      .trim()
+      .min(1, "Match text is required")
+      .max(200, "Match text is too long"),
+    minAmount: z.string().optional(),
+    maxAmount: z.string().optional(),
+    category: z.string().optional(),
+    subcategory: z.string().optional(),
+    tags: z.array(z.string()).default([]),
+    isActive: z.boolean().default(true),
+  })
+  .superRefine((data, ctx) => {
+    if (!data.category && data.tags.length === 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "A rule needs a category or tags to apply",
+        path: ["category"],
+      });
+    }
+
+    if (data.matchType === "REGEX") {
+      try {
+        new RegExp(data.matchValue);
+        if (!isSafeRegex(data.matchValue)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message:
+              "Regular expression could run too slowly. Avoid nested repetition, like (a+)+, and backreferences",
+            path: ["matchValue"],
+          });
+        }
+      } catch {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Invalid regular expression",
+          path: ["matchValue"],
+        });
+      }
+    }
+
+    for (const field of ["minAmount", "maxAmount"]) {
+      if (data[field] && isNaN(parseFloat(data[field]))) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Invalid amount",
+          path: [field],
+        });
+      }
+    }
+
+    if (
+      data.minAmount &&
+      data.maxAmount &&
+      parseFloat(data.minAmount) > parseFloat(data.maxAmount)
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Minimum amount can't be more than the maximum",
+        path: ["maxAmount"],
+      });
+    }
+  });
+
+// Changes applied to many transactions at once from the transaction table
+export const bulkEditSchema = z
+  .object({
+    category: z.string().min(1).optional(),
+    subcategory: z.string().optional(),
+    accountId: z.string().min(1).optional(),
+    date: z.date().optional(),
+    addTags: z.array(z.string()).optional(),
+    removeTags: z.array(z.string()).optional(),
+    isRecurring: z.boolean().optional(),
+    recurringInterval: recurringInterval.optional(),
+    status: z.enum(["PENDING", "COMPLETED", "FAILED"]).optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (data.isRecurring && !data.recurringInterval) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Recurring interval is required for recurring transactions",
+        path: ["recurringInterval"],
+      });
+    }
+  });
+
+// Bank statement an account is reconciled against
+export const reconciliationSchema = z.object({
+  statementDate: z.date({ required_error: "Statement date is required" }),
+  statementBalance: z
+    .string()
+    .min(1, "Closing balance is required")
+    .refine((value) => !isNaN(parseFloat(value)), "Invalid amount"),
+});
+
+// Rate to convert one unit of `fromCurrency` into `toCurrency` from `date` on
+export const exchangeRateSchema = z
+  .object({
+    fromCurrency: z.enum(CURRENCY_CODES),
+    toCurrency: z.enum(CURRENCY_CODES),
+    rate: z
+      .string()
+      .min(1, "Rate is required")
+      .refine((value) => parseFloat(value) > 0, "Rate must be more than 0"),
+    date: z.date({ required_error: "Date is required" }),
+  })
+  .refine((data) => data.fromCurrency !== data.toCurrency, {
+    message: "Pick two different currencies",
+    path: ["toCurrency"],
+  });
+
+// Savings goal, linked to either a savings account or a tag
+export const goalSchema = z
+  .object({
+    name: z.string().trim().min(1, "Name is required").max(60),
+    targetAmount: z
+      .string()
+      .min(1, "Target amount is required")
+      .refine((value) => parseFloat(value) > 0, "Target must be more than 0"),
+    targetDate: z.date({ required_error: "Target date is required" }),
+    accountId: z.string().optional(),
+    tag: z.string().optional(),
+  })
+  .refine((data) => Boolean(data.accountId) !== Boolean(data.tag), {
+    message: "Pick a savings account or a tag",
+    path: ["accountId"],
+  });
+
+// Changes to a recurring series from its next occurrence on
+export const upcomingOccurrencesSchema = z.object({
+  amount: z
+    .string()
+    .min(1, "Amount is required")
+    .refine((value) => parseFloat(value) > 0, "Amount must be more than 0"),
+  description: z.string().trim().max(200).optional(),
+});
@@ -0,0 +1,122 @@
+import { Input } from "@/components/ui/input";
+import { isLiability } from "@/lib/accounts";
+
+// Fields that only apply to some account types, for react-hook-form forms
+// using the account schema
+export function AccountTypeFields({ type, register, errors }) {
+  return (
+    <>
+      {/* Cash has no bank behind it */}
+      {type !== "CASH" && (
+        <div className="space-y-2">
+          <label
+            htmlFor="institution"
+            className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
+          >
+            Institution
+          </label>
+          <Input
+            id="institution"
+            placeholder="e.g., Chase"
+            {...register("institution")}
+          />
+          {errors.institution && (
+            <p className="text-sm text-red-500">{errors.institution.message}</p>
+          )}
+        </div>
+      )}
+
+      {type === "CREDIT_CARD" && (
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div className="space-y-2">
+            <label
+              htmlFor="creditLimit"
+              className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
+            >
+              Credit Limit
+            </label>
+            <Input
+              id="creditLimit"
+              type="number"
+              step="0.01"
+              placeholder="0.00"
+              {...register("creditLimit")}
+            />
+            {errors.creditLimit && (
+              <p className="text-sm text-red-500">
+                {errors.creditLimit.message}
+              </p>
+            )}
+          </div>
+          <div className="space-y-2">
+            <label
+              htmlFor="statementDay"
+              className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
+            >
+              Statement Closes On Day
+            </label>
+            <Input
+              id="statementDay"
+              type="number"
+              min="1"
+              max="31"
+              placeholder="e.g., 25"
+              {...register("statementDay")}
+            />
+            {errors.statementDay && (
+              <p className="text-sm text-red-500">
+                {errors.statementDay.message}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {isLiability(type) && (
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div className="space-y-2">
+            <label
+              htmlFor="interestRate"
+              className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
+            >
+              Interest Rate (APR %)
+            </label>
+            <Input
+              id="interestRate"
+              type="number"
+              step="0.01"
+              placeholder="e.g., 19.99"
+              {...register("interestRate")}
+            />
+            {errors.interestRate && (
+              <p className="text-sm text-red-500">
+                {errors.interestRate.message}
+              </p>
+            )}
+          </div>
+          <div className="space-y-2">
+            <label
+              htmlFor="paymentDueDay"
+              className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
+            >
+              Payment Due On Day
+            </label>
+            <Input
+              id="paymentDueDay"
+              type="number"
+              min="1"
+              max="31"
+              placeholder="e.g., 15"
+              {...register("paymentDueDay")}
+            />
+            {errors.paymentDueDay && (
+              <p className="text-sm text-red-500">
+                {errors.paymentDueDay.message}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,84 @@
+import {
+  ArrowLeftRight,
+  Baby,
+  Book,
+  Briefcase,
+  Building,
+  Bus,
+  Car,
+  Coffee,
+  Dumbbell,
+  Film,
+  Fuel,
+  Gift,
+  GraduationCap,
+  HeartPulse,
+  Home,
+  Landmark,
+  Laptop,
+  MoreHorizontal,
+  Music,
+  PawPrint,
+  PiggyBank,
+  Plane,
+  Plus,
+  Receipt,
+  Shield,
+  ShoppingBag,
+  ShoppingCart,
+  Smile,
+  Tag,
+  TrendingUp,
+  UtensilsCrossed,
+  Wallet,
+  Wrench,
+  Zap,
+} from "lucide-react";
+
+// Icons a category can use, by the name stored on the category
+export const CATEGORY_ICONS = {
+  Wallet,
+  Laptop,
+  TrendingUp,
+  Building,
+  Home,
+  Plus,
+  Car,
+  ShoppingCart,
+  Zap,
+  Film,
+  UtensilsCrossed,
+  ShoppingBag,
+  HeartPulse,
+  GraduationCap,
+  Smile,
+  Plane,
+  Shield,
+  Gift,
+  Receipt,
+  MoreHorizontal,
+  Coffee,
+  Dumbbell,
+  PawPrint,
+  Baby,
+  Briefcase,
+  PiggyBank,
+  Landmark,
+  Music,
+  Book,
+  Wrench,
+  Fuel,
+  Bus,
+  Tag,
+  ArrowLeftRight,
+};
+
+// Older default categories used "Shopping" for groceries
+const ICON_ALIASES = {
+  Shopping: ShoppingCart,
+};
+
+export function CategoryIcon({ name, ...props }) {
+  const Icon = CATEGORY_ICONS[name] || ICON_ALIASES[name] || Tag;
+  return <Icon {...props} />;
+}
@@ -27,6 +27,9 @@ import {
 import { Switch } from "@/components/ui/switch";
 import { createAccount } from "@/actions/dashboard";
 import { accountSchema } from "@/app/lib/schema";
+import { CURRENCIES, DEFAULT_CURRENCY } from "@/lib/currency";
+import { ACCOUNT_TYPES, isLiability } from "@/lib/accounts";
+import { AccountTypeFields } from "@/components/account-type-fields";
 
 export function CreateAccountDrawer({ children }) {
   const [open, setOpen] = useState(false);
@@ -43,10 +46,18 @@ export function CreateAccountDrawer({ children }) {
       name: "",
       type: "CURRENT",
       balance: "",
+      currency: DEFAULT_CURRENCY,
       isDefault: false,
+      institution: "",
+      creditLimit: "",
+      interestRate: "",
+      statementDay: "",
+      paymentDueDay: "",
     },
   });
 
+  const type = watch("type");
+
   const {
     loading: createAccountLoading,
     fn: createAccountFn,
@@ -79,7 +90,7 @@ export function CreateAccountDrawer({ children }) {
         <DrawerHeader>
           <DrawerTitle>Create New Account</DrawerTitle>
         </DrawerHeader>
-        <div className="px-4 pb-4">
+        <div className="px-4 pb-4 max-h-[75vh] overflow-y-auto">
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
             <div className="space-y-2">
               <label
@@ -113,8 +124,11 @@ export function CreateAccountDrawer({ children }) {
                   <SelectValue placeholder="Select type" />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="CURRENT">Current</SelectItem>
-                  <SelectItem value="SAVINGS">Savings</SelectItem>
+                  {Object.entries(ACCOUNT_TYPES).map(([value, { label }]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
               {errors.type && (
@@ -122,12 +136,45 @@ export function CreateAccountDrawer({ children }) {
               )}
             </div>
 
+            <div className="space-y-2">
+              <label
+                htmlFor="currency"
+                className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
+              >
+                Currency
+              </label>
+              <Select
+                onValueChange={(value) => setValue("currency", value)}
+                defaultValue={watch("currency")}
+              >
+                <SelectTrigger id="currency">
+                  <SelectValue placeholder="Select currency" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(CURRENCIES).map(([code, name]) => (
+                    <SelectItem key={code} value={code}>
+                      {code} – {name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {errors.currency && (
+                <p className="text-sm text-red-500">
+                  {errors.currency.message}
+                </p>
+              )}
+            </div>
+
             <div className="space-y-2">
               <label
                 htmlFor="balance"
                 className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
               >
-                Initial Balance
+                {isLiability(type)
+                  ? "Amount Owed"
+                  : type === "INVESTMENT"
+                    ? "Current Value"
+                    : "Initial Balance"}
               </label>
               <Input
                 id="balance"
@@ -141,6 +188,12 @@ export function CreateAccountDrawer({ children }) {
               )}
             </div>
 
+            <AccountTypeFields
+              type={type}
+              register={register}
+              errors={errors}
+            />
+
             <div className="flex items-center justify-between rounded-lg border p-3">
               <div className="space-y-0.5">
                 <label
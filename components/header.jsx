@@ -1,6 +1,13 @@
 import React from "react";
 import { Button } from "./ui/button";
-import { PenBox, LayoutDashboard } from "lucide-react";
+import {
+  PenBox,
+  LayoutDashboard,
+  Shapes,
+  Wand2,
+  Coins,
+  CalendarClock,
+} from "lucide-react";
 import Link from "next/link";
 import { SignedIn, SignedOut, SignInButton, UserButton } from "@clerk/nextjs";
 import { checkUser } from "@/lib/checkUser";
@@ -49,6 +56,42 @@ const Header = async () => {
                 <span className="hidden md:inline">Dashboard</span>
               </Button>
             </Link>
+            <Link
+              href="/upcoming"
+              className="text-gray-600 hover:text-blue-600 flex items-center gap-2"
+            >
+              <Button variant="outline">
+                <CalendarClock size={18} />
+                <span className="hidden md:inline">Upcoming</span>
+              </Button>
+            </Link>
+            <Link
+              href="/categories"
+              className="text-gray-600 hover:text-blue-600 flex items-center gap-2"
+            >
+              <Button variant="outline">
+                <Shapes size={18} />
+                <span className="hidden md:inline">Categories</span>
+              </Button>
+            </Link>
+            <Link
+              href="/rules"
+              className="text-gray-600 hover:text-blue-600 flex items-center gap-2"
+            >
+              <Button variant="outline">
+                <Wand2 size={18} />
+                <span className="hidden md:inline">Rules</span>
+              </Button>
+            </Link>
+            <Link
+              href="/currencies"
+              className="text-gray-600 hover:text-blue-600 flex items-center gap-2"
+            >
+              <Button variant="outline">
+                <Coins size={18} />
+                <span className="hidden md:inline">Currencies</span>
+              </Button>
+            </Link>
             <a href="/transaction/create">
               <Button className="flex items-center gap-2">
                 <PenBox size={18} />
@@ -0,0 +1,67 @@
+import { format } from "date-fns";
+
+import { Progress } from "@/components/ui/progress";
+import {
+  getAvailableCredit,
+  getCreditUtilization,
+  getLoanProgress,
+  getNextMonthlyDate,
+} from "@/lib/accounts";
+import { formatMoney } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+
+const getUtilizationColor = (percent) =>
+  percent >= 90
+    ? "bg-red-500"
+    : percent >= 30
+      ? "bg-yellow-500"
+      : "bg-green-500";
+
+// Credit utilization or loan payoff progress, plus the next payment due date,
+// for credit card and loan accounts. Renders nothing for other types.
+export function LiabilitySummary({ account, className }) {
+  const utilization = getCreditUtilization(account);
+  const loanProgress = getLoanProgress(account);
+  const dueDate = getNextMonthlyDate(account.paymentDueDay);
+  const statementDate = getNextMonthlyDate(account.statementDay);
+
+  if (utilization === null && loanProgress === null && !dueDate) return null;
+
+  return (
+    <div className={cn("space-y-2 text-xs text-muted-foreground", className)}>
+      {utilization !== null && (
+        <div className="space-y-1">
+          <Progress
+            value={Math.min(utilization, 100)}
+            extraStyles={getUtilizationColor(utilization)}
+          />
+          <p>
+            {utilization.toFixed(0)}% of{" "}
+            {formatMoney(account.creditLimit, account.currency)} used ·{" "}
+            {formatMoney(getAvailableCredit(account), account.currency)}{" "}
+            available
+          </p>
+        </div>
+      )}
+
+      {loanProgress !== null && (
+        <div className="space-y-1">
+          <Progress value={loanProgress} extraStyles="bg-green-500" />
+          <p>
+            {loanProgress.toFixed(0)}% paid off
+            {account.interestRate ? ` · ${account.interestRate}% APR` : ""}
+          </p>
+        </div>
+      )}
+
+      {(dueDate || statementDate) && (
+        <p>
+          {dueDate && `Payment due ${format(dueDate, "MMM d")}`}
+          {dueDate && statementDate && " · "}
+          {statementDate &&
+            `Statement closes ${format(statementDate, "MMM d")}`}
+        </p>
+      )}
+    </div>
+  );
+}
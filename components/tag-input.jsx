@@ -0,0 +1,95 @@
+"use client";
+
+import { useState } from "react";
+import { X } from "lucide-react";
+
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { normalizeTagName } from "@/lib/tags";
+
+const MAX_SUGGESTIONS = 8;
+
+// Free-form tags with autocomplete from the user's existing tags. Enter or
+// comma adds the typed tag, backspace on an empty input removes the last one.
+export function TagInput({ value = [], onChange, suggestions = [] }) {
+  const [input, setInput] = useState("");
+  const [isFocused, setIsFocused] = useState(false);
+
+  const query = normalizeTagName(input);
+  const matches = suggestions
+    .filter((tag) => !value.includes(tag) && tag.includes(query))
+    .slice(0, MAX_SUGGESTIONS);
+
+  const addTag = (name) => {
+    const tag = normalizeTagName(name);
+    if (tag && !value.includes(tag)) {
+      onChange([...value, tag]);
+    }
+    setInput("");
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter((item) => item !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === "Backspace" && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative space-y-2">
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {value.map((tag) => (
+            <Badge key={tag} variant="secondary" className="gap-1">
+              {tag}
+              <button
+                type="button"
+                onClick={() => removeTag(tag)}
+                aria-label={`Remove ${tag}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+      <Input
+        placeholder="Add tags, e.g. vacation-2026"
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => {
+          setIsFocused(false);
+          if (input) addTag(input);
+        }}
+      />
+
+      {/* Suggestions */}
+      {isFocused && matches.length > 0 && (
+        <div className="absolute z-10 w-full rounded-md border bg-popover p-1 shadow-md">
+          {matches.map((tag) => (
+            <button
+              key={tag}
+              type="button"
+              className="w-full rounded-sm px-2 py-1.5 text-left text-sm hover:bg-accent hover:text-accent-foreground"
+              // Keep focus on the input so blur doesn't add the typed text
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag);
+              }}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
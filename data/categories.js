@@ -43,6 +43,15 @@ export const defaultCategories = [
     icon: "Plus",
   },
 
+  // Transfer Categories
+  {
+    id: "transfer",
+    name: "Transfer",
+    type: "TRANSFER",
+    color: "#a855f7", // purple-500
+    icon: "ArrowLeftRight",
+  },
+
   // Expense Categories
   {
     id: "housing",
@@ -165,3 +174,34 @@ export const categoryColors = defaultCategories.reduce((acc, category) => {
   acc[category.id] = category.color;
   return acc;
 }, {});
+
+// Find a category of the given type by id or name, case-insensitively
+export function findCategory(categories, value, type) {
+  const normalized = value?.trim().toLowerCase();
+  if (!normalized) return undefined;
+
+  return categories.find(
+    (category) =>
+      category.type === type &&
+      (category.id === normalized || category.name.toLowerCase() === normalized)
+  );
+}
+
+// Look up categories by id, which is the key stored on transactions
+export function toCategoryMap(categories) {
+  return categories.reduce((acc, category) => {
+    acc[category.id] = category;
+    return acc;
+  }, {});
+}
+
+// Category to file transactions under when nothing better matches: the
+// "other" category of that type if the user still has it, else the first one
+export function getFallbackCategory(categories, type) {
+  const available = categories.filter(
+    (category) => category.type === type && !category.isArchived
+  );
+  const otherId = type === "INCOME" ? "other-income" : "other-expense";
+
+  return available.find((category) => category.id === otherId) || available[0];
+}
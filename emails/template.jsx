@@ -8,6 +8,7 @@ import {
   Section,
   Text,
 } from "@react-email/components";
+import { formatMoney } from "@/lib/currency";
 
 // Dummy data for preview
 const PREVIEW_DATA = {
@@ -19,6 +20,7 @@ const PREVIEW_DATA = {
       stats: {
         totalIncome: 5000,
         totalExpenses: 3500,
+        currency: "USD",
         byCategory: {
           housing: 1500,
           groceries: 600,
@@ -41,6 +43,32 @@ const PREVIEW_DATA = {
       percentageUsed: 85,
       budgetAmount: 4000,
       totalExpenses: 3400,
+      currency: "USD",
+      categoryName: "Groceries",
+    },
+  },
+  goalReached: {
+    userName: "John Doe",
+    type: "goal-reached",
+    data: {
+      goalName: "Emergency fund",
+      targetAmount: 10000,
+      targetDate: "June 30th, 2027",
+      saved: 10250,
+      currency: "USD",
+    },
+  },
+  goalBehind: {
+    userName: "John Doe",
+    type: "goal-behind",
+    data: {
+      goalName: "Emergency fund",
+      targetAmount: 10000,
+      targetDate: "June 30th, 2027",
+      saved: 4200,
+      monthlyPace: 350,
+      requiredMonthly: 725,
+      currency: "USD",
     },
   },
 };
@@ -68,16 +96,23 @@ export default function EmailTemplate({
             <Section style={styles.statsContainer}>
               <div style={styles.stat}>
                 <Text style={styles.text}>Total Income</Text>
-                <Text style={styles.heading}>${data?.stats.totalIncome}</Text>
+                <Text style={styles.heading}>
+                  {formatMoney(data?.stats.totalIncome, data?.stats.currency)}
+                </Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Total Expenses</Text>
-                <Text style={styles.heading}>${data?.stats.totalExpenses}</Text>
+                <Text style={styles.heading}>
+                  {formatMoney(data?.stats.totalExpenses, data?.stats.currency)}
+                </Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Net</Text>
                 <Text style={styles.heading}>
-                  ${data?.stats.totalIncome - data?.stats.totalExpenses}
+                  {formatMoney(
+                    data?.stats.totalIncome - data?.stats.totalExpenses,
+                    data?.stats.currency
+                  )}
                 </Text>
               </div>
             </Section>
@@ -90,7 +125,9 @@ export default function EmailTemplate({
                   ([category, amount]) => (
                     <div key={category} style={styles.row}>
                       <Text style={styles.text}>{category}</Text>
-                      <Text style={styles.text}>${amount}</Text>
+                      <Text style={styles.text}>
+                        {formatMoney(amount, data?.stats.currency)}
+                      </Text>
                     </div>
                   )
                 )}
@@ -129,22 +166,99 @@ export default function EmailTemplate({
             <Heading style={styles.title}>Budget Alert</Heading>
             <Text style={styles.text}>Hello {userName},</Text>
             <Text style={styles.text}>
-              You&rsquo;ve used {data?.percentageUsed.toFixed(1)}% of your
-              monthly budget.
+              You&rsquo;ve used {data?.percentageUsed.toFixed(1)}% of your{" "}
+              {data?.categoryName
+                ? `${data.categoryName} budget`
+                : "monthly budget"}{" "}
+              for this month.
             </Text>
             <Section style={styles.statsContainer}>
               <div style={styles.stat}>
                 <Text style={styles.text}>Budget Amount</Text>
-                <Text style={styles.heading}>${data?.budgetAmount}</Text>
+                <Text style={styles.heading}>
+                  {formatMoney(data?.budgetAmount, data?.currency)}
+                </Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Spent So Far</Text>
-                <Text style={styles.heading}>${data?.totalExpenses}</Text>
+                <Text style={styles.heading}>
+                  {formatMoney(data?.totalExpenses, data?.currency)}
+                </Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Remaining</Text>
                 <Text style={styles.heading}>
-                  ${data?.budgetAmount - data?.totalExpenses}
+                  {formatMoney(
+                    data?.budgetAmount - data?.totalExpenses,
+                    data?.currency
+                  )}
+                </Text>
+              </div>
+            </Section>
+          </Container>
+        </Body>
+      </Html>
+    );
+  }
+
+  if (type === "goal-reached") {
+    return (
+      <Html>
+        <Head />
+        <Preview>Goal Reached</Preview>
+        <Body style={styles.body}>
+          <Container style={styles.container}>
+            <Heading style={styles.title}>Goal Reached</Heading>
+            <Text style={styles.text}>Hello {userName},</Text>
+            <Text style={styles.text}>
+              You&rsquo;ve reached your {data?.goalName} goal of{" "}
+              {formatMoney(data?.targetAmount, data?.currency)}. Well done!
+            </Text>
+            <Section style={styles.statsContainer}>
+              <div style={styles.stat}>
+                <Text style={styles.text}>Saved</Text>
+                <Text style={styles.heading}>
+                  {formatMoney(data?.saved, data?.currency)}
+                </Text>
+              </div>
+            </Section>
+          </Container>
+        </Body>
+      </Html>
+    );
+  }
+
+  if (type === "goal-behind") {
+    return (
+      <Html>
+        <Head />
+        <Preview>Goal Behind Schedule</Preview>
+        <Body style={styles.body}>
+          <Container style={styles.container}>
+            <Heading style={styles.title}>Goal Behind Schedule</Heading>
+            <Text style={styles.text}>Hello {userName},</Text>
+            <Text style={styles.text}>
+              At your current pace you won&rsquo;t reach your {data?.goalName}{" "}
+              goal of {formatMoney(data?.targetAmount, data?.currency)} by{" "}
+              {data?.targetDate}.
+            </Text>
+            <Section style={styles.statsContainer}>
+              <div style={styles.stat}>
+                <Text style={styles.text}>Saved So Far</Text>
+                <Text style={styles.heading}>
+                  {formatMoney(data?.saved, data?.currency)}
+                </Text>
+              </div>
+              <div style={styles.stat}>
+                <Text style={styles.text}>Saving Per Month</Text>
+                <Text style={styles.heading}>
+                  {formatMoney(data?.monthlyPace, data?.currency)}
+                </Text>
+              </div>
+              <div style={styles.stat}>
+                <Text style={styles.text}>Needed Per Month</Text>
+                <Text style={styles.heading}>
+                  {formatMoney(data?.requiredMonthly, data?.currency)}
                 </Text>
               </div>
             </Section>
@@ -0,0 +1,97 @@
+import { addMonths, getDaysInMonth, setDate, startOfDay } from "date-fns";
+import { toDecimal } from "@/lib/money";
+
+// Account types and how they're shown. Liabilities keep what's owed as a
+// negative balance, so spending on a credit card lowers its balance like any
+// other account and a payment into it raises the balance back towards zero.
+export const ACCOUNT_TYPES = {
+  CURRENT: { label: "Current", liability: false },
+  SAVINGS: { label: "Savings", liability: false },
+  CREDIT_CARD: { label: "Credit Card", liability: true },
+  LOAN: { label: "Loan", liability: true },
+  CASH: { label: "Cash", liability: false },
+  INVESTMENT: { label: "Investment", liability: false },
+};
+
+export function getAccountTypeLabel(type) {
+  return ACCOUNT_TYPES[type]?.label || type;
+}
+
+export function isLiability(type) {
+  return Boolean(ACCOUNT_TYPES[type]?.liability);
+}
+
+// What's owed on a credit card or loan, as a positive Decimal. An overpaid
+// card owes nothing.
+export function getAmountOwed(account) {
+  if (!isLiability(account.type)) return toDecimal(0);
+
+  const balance = toDecimal(account.balance);
+  return balance.isNegative() ? balance.negated() : toDecimal(0);
+}
+
+// Share of a credit card's limit in use, in percent. Null without a limit.
+export function getCreditUtilization(account) {
+  if (account.type !== "CREDIT_CARD" || !account.creditLimit) return null;
+
+  const limit = toDecimal(account.creditLimit);
+  if (limit.isZero()) return null;
+
+  return getAmountOwed(account).div(limit).times(100).toNumber();
+}
+
+export function getAvailableCredit(account) {
+  if (account.type !== "CREDIT_CARD" || !account.creditLimit) return null;
+  return toDecimal(account.creditLimit).minus(getAmountOwed(account));
+}
+
+// Share of a loan paid off since it was added, in percent
+export function getLoanProgress(account) {
+  if (account.type !== "LOAN") return null;
+
+  const borrowed = toDecimal(account.openingBalance).negated();
+  if (borrowed.lte(0)) return null;
+
+  const paid = borrowed.minus(getAmountOwed(account));
+  return Math.min(Math.max(paid.div(borrowed).times(100).toNumber(), 0), 100);
+}
+
+// Next date falling on `day` of the month, today included. Days past the end
+// of a short month fall on its last day.
+export function getNextMonthlyDate(day, from = new Date()) {
+  if (!day) return null;
+
+  const onDay = (month) => setDate(month, Math.min(day, getDaysInMonth(month)));
+
+  const today = startOfDay(from);
+  const thisMonth = onDay(today);
+  return thisMonth >= today ? thisMonth : onDay(addMonths(today, 1));
+}
+
+// Type-specific fields for saving an account from the account form, cleared
+// for types they don't apply to
+export function getAccountTypeFields(data) {
+  const isCard = data.type === "CREDIT_CARD";
+  const decimalOrNull = (value) =>
+    value && !isNaN(parseFloat(value)) ? toDecimal(parseFloat(value)) : null;
+  const dayOrNull = (value) => (value ? parseInt(value, 10) : null);
+
+  return {
+    institution: data.type === "CASH" ? null : data.institution?.trim() || null,
+    creditLimit: isCard ? decimalOrNull(data.creditLimit) : null,
+    interestRate: isLiability(data.type)
+      ? decimalOrNull(data.interestRate)
+      : null,
+    statementDay: isCard ? dayOrNull(data.statementDay) : null,
+    paymentDueDay: isLiability(data.type)
+      ? dayOrNull(data.paymentDueDay)
+      : null,
+  };
+}
+
+// Balance to store for an amount entered in the account form: credit card
+// and loan forms ask for the amount owed
+export function toStoredBalance(type, amount) {
+  const balance = toDecimal(amount);
+  return isLiability(type) ? toDecimal(0).minus(balance.abs()) : balance;
+}
@@ -0,0 +1,157 @@
+import { isDecimal } from "@/lib/money";
+
+// Fields recorded for each kind of entity. Bookkeeping fields (updatedAt,
+// lastProcessed, ...) are left out, and so are account balance changes caused
+// by transactions, which the transactions' own entries already explain.
+const AUDITED_FIELDS = {
+  TRANSACTION: [
+    "type",
+    "amount",
+    "description",
+    "date",
+    "category",
+    "subcategory",
+    "accountId",
+    "transferAccountId",
+    "status",
+    "isRecurring",
+    "recurringInterval",
+    "recurringEvery",
+    "recurringDay",
+    "recurringEndDate",
+    "recurringMaxOccurrences",
+    "recurringPausedAt",
+    "recurringAmount",
+    "recurringDescription",
+    "nextRecurringDate",
+    "splits",
+    "tags",
+    "deletedAt",
+    "reconciliationId",
+  ],
+  ACCOUNT: [
+    "name",
+    "type",
+    "currency",
+    "balance",
+    "openingBalance",
+    "isDefault",
+    "institution",
+    "creditLimit",
+    "interestRate",
+    "statementDay",
+    "paymentDueDay",
+    "archivedAt",
+  ],
+  BUDGET: ["category", "amount", "alertThreshold"],
+};
+
+// JSON-safe copy of a field: Decimals become numbers, dates ISO strings,
+// tags their sorted names and split lines their category, amount and note
+function toAuditValue(field, value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (isDecimal(value)) return value.toNumber();
+
+  if (field === "tags") {
+    return value
+      .map((tag) => (typeof tag === "string" ? tag : tag.name))
+      .sort();
+  }
+  if (field === "splits") {
+    return value.map((split) => ({
+      category: split.category,
+      amount: toAuditValue("amount", split.amount),
+      description: split.description || null,
+    }));
+  }
+
+  return value;
+}
+
+function snapshot(entityType, entity) {
+  if (!entity) return null;
+
+  return Object.fromEntries(
+    AUDITED_FIELDS[entityType]
+      .filter((field) => field in entity)
+      .map((field) => [field, toAuditValue(field, entity[field])])
+  );
+}
+
+// Build one audit log entry. `before` is null for creates and `after` is null
+// for deletes; updates keep only the fields that changed, and return null when
+// nothing did. Fields missing from either side aren't compared.
+export function buildAuditEntry({
+  entityType,
+  entityId,
+  action,
+  source,
+  userId,
+  actorId = null,
+  accountId = null,
+  before = null,
+  after = null,
+}) {
+  let oldValues = snapshot(entityType, before);
+  let newValues = snapshot(entityType, after);
+
+  if (oldValues && newValues) {
+    const changed = Object.keys(newValues).filter(
+      (field) =>
+        field in oldValues &&
+        JSON.stringify(oldValues[field]) !== JSON.stringify(newValues[field])
+    );
+    if (changed.length === 0) return null;
+
+    oldValues = Object.fromEntries(changed.map((f) => [f, oldValues[f]]));
+    newValues = Object.fromEntries(changed.map((f) => [f, newValues[f]]));
+  }
+
+  return {
+    entityType,
+    entityId,
+    action,
+    source,
+    userId,
+    actorId,
+    accountId:
+      accountId ??
+      (entityType === "ACCOUNT"
+        ? entityId
+        : (after?.accountId ?? before?.accountId ?? null)),
+    // Prisma needs undefined rather than null to leave a Json column empty
+    oldValues: oldValues ?? undefined,
+    newValues: newValues ?? undefined,
+  };
+}
+
+// Entry for a transaction change, the most common case
+export function transactionAuditEntry(
+  action,
+  source,
+  { before, after, actorId }
+) {
+  const transaction = after || before;
+
+  return buildAuditEntry({
+    entityType: "TRANSACTION",
+    entityId: transaction.id,
+    action,
+    source,
+    userId: transaction.userId,
+    actorId,
+    before,
+    after,
+  });
+}
+
+// Append entries to the audit log. Pass the Prisma transaction client so the
+// entries are written together with the change they describe. Nulls (updates
+// that changed nothing) are skipped.
+export async function recordAudit(client, entries) {
+  const data = [entries].flat().filter(Boolean);
+  if (data.length === 0) return;
+
+  await client.auditLog.createMany({ data });
+}
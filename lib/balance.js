@@ -0,0 +1,56 @@
+import { toDecimal } from "@/lib/money";
+
+// Balance change a transaction applies to each account it touches, keyed by
+// account id, as Decimals. Transfers move money out of the source account and
+// into the destination account; income and expenses only touch their own
+// account. Failed transactions never moved any money.
+export function getBalanceChanges(transaction) {
+  if (transaction.status === "FAILED") return {};
+
+  const amount = toDecimal(transaction.amount);
+
+  switch (transaction.type) {
+    case "TRANSFER":
+      return {
+        [transaction.accountId]: amount.negated(),
+        [transaction.transferAccountId]: amount,
+      };
+    case "EXPENSE":
+      return { [transaction.accountId]: amount.negated() };
+    default:
+      return { [transaction.accountId]: amount };
+  }
+}
+
+// Sum several balance change maps into one
+export function mergeBalanceChanges(...changeSets) {
+  return changeSets.reduce((merged, changes) => {
+    for (const [accountId, change] of Object.entries(changes)) {
+      merged[accountId] = merged[accountId]
+        ? merged[accountId].plus(change)
+        : change;
+    }
+    return merged;
+  }, {});
+}
+
+export function reverseBalanceChanges(changes) {
+  return Object.fromEntries(
+    Object.entries(changes).map(([accountId, change]) => [
+      accountId,
+      change.negated(),
+    ])
+  );
+}
+
+// Apply balance changes inside a Prisma transaction
+export async function applyBalanceChanges(tx, changes) {
+  for (const [accountId, change] of Object.entries(changes)) {
+    if (change.isZero()) continue;
+
+    await tx.account.update({
+      where: { id: accountId },
+      data: { balance: { increment: change } },
+    });
+  }
+}
@@ -0,0 +1,52 @@
+import { db } from "@/lib/prisma";
+import { toDecimal } from "@/lib/money";
+import { getCurrencyConverter } from "@/lib/exchange-rates";
+import { getCategoryAmounts } from "@/lib/splits";
+
+// Total expenses for the calendar month containing `date`, across all of the
+// user's accounts, broken down by category. Split transactions count towards
+// each of their lines' categories. Totals are Decimals in the user's base
+// currency, with `missing` listing currencies that have no exchange rate.
+export async function getMonthlyExpenses(userId, date = new Date()) {
+  const startOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+  const endOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+
+  const converter = await getCurrencyConverter(userId);
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId,
+      type: "EXPENSE",
+      deletedAt: null,
+      date: {
+        gte: startOfMonth,
+        lte: endOfMonth,
+      },
+    },
+    select: {
+      amount: true,
+      category: true,
+      date: true,
+      splits: { select: { amount: true, category: true } },
+      account: { select: { currency: true } },
+    },
+  });
+
+  const expenses = transactions.map(converter.convertTransaction).reduce(
+    (expenses, transaction) => {
+      for (const line of getCategoryAmounts(transaction)) {
+        expenses.total = expenses.total.plus(line.amount);
+        expenses.byCategory[line.category] = (
+          expenses.byCategory[line.category] || toDecimal(0)
+        ).plus(line.amount);
+      }
+      return expenses;
+    },
+    { total: toDecimal(0), byCategory: {} }
+  );
+
+  return {
+    ...expenses,
+    currency: converter.baseCurrency,
+    missing: [...converter.missing],
+  };
+}
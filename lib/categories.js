@@ -0,0 +1,76 @@
+import { db } from "@/lib/prisma";
+import { defaultCategories } from "@/data/categories";
+
+// Shape a Category row like the entries of defaultCategories, so `id` is the
+// key stored on transactions
+export const serializeCategory = (category) => ({
+  id: category.key,
+  name: category.name,
+  type: category.type,
+  color: category.color,
+  icon: category.icon,
+  subcategories: category.subcategories,
+  isArchived: category.isArchived,
+});
+
+// The user's categories, archived ones included so existing transactions can
+// still be labelled. Users start with a copy of defaultCategories.
+export async function getCategoriesForUser(userId) {
+  const findCategories = () =>
+    db.category.findMany({
+      where: { userId },
+      orderBy: [{ type: "asc" }, { name: "asc" }],
+    });
+
+  let categories = await findCategories();
+
+  if (categories.length === 0) {
+    await db.category.createMany({
+      data: defaultCategories.map((category) => ({
+        key: category.id,
+        name: category.name,
+        type: category.type,
+        color: category.color,
+        icon: category.icon,
+        subcategories: category.subcategories || [],
+        userId,
+      })),
+      skipDuplicates: true,
+    });
+    categories = await findCategories();
+  }
+
+  return categories.map(serializeCategory);
+}
+
+// Category names by key, for reports and emails
+export async function getCategoryNames(userId) {
+  const categories = await getCategoriesForUser(userId);
+
+  return categories.reduce((acc, category) => {
+    acc[category.id] = category.name;
+    return acc;
+  }, {});
+}
+
+// A key for a new category, derived from its name and unique for the user
+export async function generateCategoryKey(userId, name) {
+  const base =
+    name
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "category";
+
+  const existing = await db.category.findMany({
+    where: { userId, key: { startsWith: base } },
+    select: { key: true },
+  });
+  const taken = new Set(existing.map((category) => category.key));
+
+  let key = base;
+  for (let suffix = 2; taken.has(key); suffix++) {
+    key = `${base}-${suffix}`;
+  }
+  return key;
+}
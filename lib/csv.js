@@ -0,0 +1,166 @@
+import { isValid, parse } from "date-fns";
+import { importTransactionSchema } from "@/app/lib/schema";
+import { findCategory, getFallbackCategory } from "@/data/categories";
+
+export const CSV_DATE_FORMATS = [
+  "yyyy-MM-dd",
+  "MM/dd/yyyy",
+  "dd/MM/yyyy",
+  "dd.MM.yyyy",
+  "dd-MM-yyyy",
+];
+
+// Parse CSV text into an array of rows. Handles quoted fields, escaped quotes,
+// line breaks inside quotes and comma, semicolon or tab delimiters.
+export function parseCsv(text) {
+  const input = text.replace(/^﻿/, "");
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value !== ""));
+}
+
+// Decimal separators amounts can be written with, and an example of each
+export const CSV_DECIMAL_SEPARATORS = {
+  ".": "1,234.56",
+  ",": "1.234,56",
+};
+
+// Guess the decimal separator from a column of amounts: the separator
+// followed by one or two final digits in most of them. Amounts without one,
+// like "1,234", don't count either way.
+export function detectDecimalSeparator(values) {
+  let commas = 0;
+  let dots = 0;
+  for (const value of values) {
+    const match = value?.match(/([.,])\d{1,2}\D*$/);
+    if (match?.[1] === ",") commas++;
+    else if (match?.[1] === ".") dots++;
+  }
+  return commas > dots ? "," : ".";
+}
+
+// Parse amounts like "1,234.56", "$-12.00", "12.00-" or "(12.00)", or
+// "1.234,56" with a comma as the decimal separator. Only a minus at the start
+// or end, or parentheses around the amount, make it negative.
+export function parseAmount(value, decimalSeparator = ".") {
+  if (!value) return NaN;
+
+  // Currency symbols, codes and spaces aside
+  const match = value
+    .trim()
+    .replace(/^[A-Z]{3}|[A-Z]{3}$/g, "")
+    .replace(/[\p{Sc}\s]/gu, "")
+    .match(/^(\()?(-)?([\d.,]+)(-)?(\))?$/);
+  if (!match) return NaN;
+
+  const [, open, leadingMinus, digits, trailingMinus, close] = match;
+  if (Boolean(open) !== Boolean(close)) return NaN;
+
+  const thousandsSeparator = decimalSeparator === "," ? "." : ",";
+  const amount = parseFloat(
+    digits.split(thousandsSeparator).join("").replace(decimalSeparator, ".")
+  );
+  return open || leadingMinus || trailingMinus ? -amount : amount;
+}
+
+function parseType(value) {
+  const normalized = value?.trim().toLowerCase();
+  if (["income", "credit", "cr", "deposit"].includes(normalized)) {
+    return "INCOME";
+  }
+  if (["expense", "debit", "dr", "withdrawal"].includes(normalized)) {
+    return "EXPENSE";
+  }
+  return null;
+}
+
+// Turn a raw CSV row into transaction data using the user's column mapping.
+// Returns the parsed data and a list of validation errors for the preview.
+export function mapCsvRow(
+  row,
+  mapping,
+  { dateFormat, decimalSeparator, categories }
+) {
+  const errors = [];
+  const column = (field) =>
+    mapping[field] !== undefined ? row[mapping[field]] : undefined;
+
+  const rawAmount = parseAmount(column("amount"), decimalSeparator);
+
+  // Without a type column the sign of the amount decides the type
+  let type = rawAmount < 0 ? "EXPENSE" : "INCOME";
+  if (mapping.type !== undefined) {
+    type = parseType(column("type"));
+    if (!type) errors.push(`Unknown type "${column("type") || ""}"`);
+  }
+
+  const date = parse(column("date") || "", dateFormat, new Date());
+
+  // Match categories by id or name, falling back to the "other" category
+  const rawCategory = column("category");
+  const category = rawCategory
+    ? findCategory(categories, rawCategory, type)?.id
+    : getFallbackCategory(categories, type || "EXPENSE")?.id;
+  if (rawCategory && !category) {
+    errors.push(`Unknown category "${rawCategory}"`);
+  }
+
+  const data = {
+    type: type || "EXPENSE",
+    amount: Math.abs(rawAmount),
+    description: column("description") || "",
+    date: isValid(date) ? date : undefined,
+    category: category || "",
+  };
+
+  const result = importTransactionSchema.safeParse(data);
+  if (!result.success) {
+    errors.push(...result.error.issues.map((issue) => issue.message));
+  }
+
+  return { data, errors };
+}
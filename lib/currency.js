@@ -0,0 +1,112 @@
+import { toDecimal } from "@/lib/money";
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Currencies accounts can be held in, by ISO 4217 code
+export const CURRENCIES = {
+  USD: "US Dollar",
+  EUR: "Euro",
+  GBP: "British Pound",
+  INR: "Indian Rupee",
+  JPY: "Japanese Yen",
+  CAD: "Canadian Dollar",
+  AUD: "Australian Dollar",
+  CHF: "Swiss Franc",
+  CNY: "Chinese Yuan",
+  SGD: "Singapore Dollar",
+  AED: "UAE Dirham",
+};
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+const formatters = {};
+
+// Format an amount in a currency, e.g. "$1,234.50", "€1,234.50" or "₹1,234.50"
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  if (!formatters[currency]) {
+    formatters[currency] = new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+    });
+  }
+
+  return formatters[currency].format(Number(amount));
+}
+
+export function getCurrencySymbol(currency = DEFAULT_CURRENCY) {
+  return (
+    new Intl.NumberFormat("en-US", { style: "currency", currency })
+      .formatToParts(0)
+      .find((part) => part.type === "currency")?.value || currency
+  );
+}
+
+// Rate to convert `from` into `to` on `date`, from the user's exchange rates.
+// Uses the newest rate in effect on that date (or the oldest one for earlier
+// dates), and a pair's rate works both ways. Null when the pair has no rate.
+export function findRate(rates, from, to, date = new Date()) {
+  if (from === to) return toDecimal(1);
+
+  const candidates = rates
+    .filter(
+      (rate) =>
+        (rate.fromCurrency === from && rate.toCurrency === to) ||
+        (rate.fromCurrency === to && rate.toCurrency === from)
+    )
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  if (candidates.length === 0) return null;
+
+  const rate =
+    candidates.find((r) => new Date(r.date) <= new Date(date)) ||
+    candidates[candidates.length - 1];
+
+  return rate.fromCurrency === from
+    ? toDecimal(rate.rate)
+    : toDecimal(1).div(rate.rate);
+}
+
+export function convertAmount(amount, from, to, rates, date) {
+  const rate = findRate(rates, from, to, date);
+  return rate && toDecimal(amount).times(rate);
+}
+
+// Converts amounts into `baseCurrency` for totals across accounts. Currencies
+// without a rate count as zero and are listed in `missing`, so totals can say
+// what they leave out.
+export function createCurrencyConverter(baseCurrency, rates) {
+  const missing = new Set();
+
+  const convert = (amount, currency = DEFAULT_CURRENCY, date) => {
+    const converted = convertAmount(
+      amount,
+      currency,
+      baseCurrency,
+      rates,
+      date
+    );
+    if (converted === null) {
+      missing.add(currency);
+      return toDecimal(0);
+    }
+    return converted;
+  };
+
+  // Copy of a transaction, including its split lines, in the base currency.
+  // Needs the transaction's account currency.
+  const convertTransaction = (transaction) => {
+    const currency = transaction.account?.currency;
+    const convertLine = (amount) => convert(amount, currency, transaction.date);
+
+    return {
+      ...transaction,
+      amount: convertLine(transaction.amount),
+      splits: transaction.splits?.map((split) => ({
+        ...split,
+        amount: convertLine(split.amount),
+      })),
+    };
+  };
+
+  return { baseCurrency, convert, convertTransaction, missing };
+}
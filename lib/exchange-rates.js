@@ -0,0 +1,22 @@
+import { db } from "@/lib/prisma";
+import { createCurrencyConverter, DEFAULT_CURRENCY } from "@/lib/currency";
+
+export function getExchangeRates(userId) {
+  return db.exchangeRate.findMany({
+    where: { userId },
+    orderBy: [{ date: "desc" }, { fromCurrency: "asc" }],
+  });
+}
+
+// Converter into the user's base currency, using their stored rates
+export async function getCurrencyConverter(userId) {
+  const [user, rates] = await Promise.all([
+    db.user.findUnique({
+      where: { id: userId },
+      select: { baseCurrency: true },
+    }),
+    getExchangeRates(userId),
+  ]);
+
+  return createCurrencyConverter(user?.baseCurrency || DEFAULT_CURRENCY, rates);
+}
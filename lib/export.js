@@ -0,0 +1,164 @@
+import { format } from "date-fns";
+import { getBalanceChanges } from "@/lib/balance";
+import { serializeMoney, toDecimal } from "@/lib/money";
+
+// Flatten a transaction into the fields our exports share. Amounts are signed
+// from the point of view of the exported account, and `categoryNames` maps
+// category keys to the user's names for them.
+function toExportRow(transaction, account, categoryNames) {
+  return serializeMoney({
+    id: transaction.id,
+    date: format(new Date(transaction.date), "yyyy-MM-dd"),
+    description: transaction.description || "",
+    type: transaction.type,
+    amount: transaction.amount,
+    signedAmount: getBalanceChanges(transaction)[account.id] ?? toDecimal(0),
+    category: transaction.category,
+    subcategory: transaction.subcategory || "",
+    // Split transactions list every line, e.g. "Groceries 40.00; Household 12.50"
+    categoryName: transaction.splits?.length
+      ? transaction.splits
+          .map(
+            (split) =>
+              `${categoryNames[split.category] || split.category} ${toDecimal(split.amount).toFixed(2)}`
+          )
+          .join("; ")
+      : categoryNames[transaction.category] || transaction.category,
+    splits: (transaction.splits || []).map((split) => ({
+      category: split.category,
+      amount: split.amount,
+      description: split.description || "",
+    })),
+    account: transaction.account?.name || account.name,
+    transferAccount: transaction.transferAccount?.name || "",
+    tags: (transaction.tags || []).map((tag) => tag.name),
+    status: transaction.status,
+    isRecurring: transaction.isRecurring,
+    recurringInterval: transaction.recurringInterval || "",
+    nextRecurringDate: transaction.nextRecurringDate
+      ? format(new Date(transaction.nextRecurringDate), "yyyy-MM-dd")
+      : "",
+  });
+}
+
+const CSV_COLUMNS = [
+  ["date", "Date"],
+  ["description", "Description"],
+  ["type", "Type"],
+  ["signedAmount", "Amount"],
+  ["categoryName", "Category"],
+  ["subcategory", "Subcategory"],
+  ["account", "Account"],
+  ["transferAccount", "Transfer Account"],
+  ["tags", "Tags"],
+  ["status", "Status"],
+  ["isRecurring", "Recurring"],
+  ["recurringInterval", "Recurring Interval"],
+  ["nextRecurringDate", "Next Recurring Date"],
+  ["id", "Transaction ID"],
+];
+
+function escapeCsv(value) {
+  const text = Array.isArray(value) ? value.join("; ") : String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(transactions, account, categoryNames = {}) {
+  const lines = [CSV_COLUMNS.map(([, label]) => label).join(",")];
+
+  for (const transaction of transactions) {
+    const row = toExportRow(transaction, account, categoryNames);
+    lines.push(CSV_COLUMNS.map(([key]) => escapeCsv(row[key])).join(","));
+  }
+
+  return lines.join("\r\n");
+}
+
+export function toJson(transactions, account, categoryNames = {}) {
+  return JSON.stringify(
+    {
+      account: {
+        id: account.id,
+        name: account.name,
+        type: account.type,
+        currency: account.currency,
+      },
+      exportedAt: new Date().toISOString(),
+      transactions: transactions.map((t) =>
+        toExportRow(t, account, categoryNames)
+      ),
+    },
+    null,
+    2
+  );
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// OFX bank account types; everything else exports as a checking account
+const OFX_ACCOUNT_TYPES = {
+  SAVINGS: "SAVINGS",
+  CREDIT_CARD: "CREDITLINE",
+  LOAN: "CREDITLINE",
+};
+
+// OFX 2 (XML) bank statement for a single account
+export function toOfx(transactions, account, categoryNames = {}) {
+  const rows = transactions.map((t) => toExportRow(t, account, categoryNames));
+  const today = format(new Date(), "yyyyMMdd");
+  const dates = rows.map((row) => row.date.replaceAll("-", "")).sort();
+
+  const statementTransactions = rows
+    .map(
+      (row) => `<STMTTRN>
+<TRNTYPE>${row.signedAmount < 0 ? "DEBIT" : "CREDIT"}</TRNTYPE>
+<DTPOSTED>${row.date.replaceAll("-", "")}</DTPOSTED>
+<TRNAMT>${row.signedAmount.toFixed(2)}</TRNAMT>
+<FITID>${row.id}</FITID>
+<NAME>${escapeXml(row.description.slice(0, 32))}</NAME>
+<MEMO>${escapeXml(row.categoryName)}</MEMO>
+</STMTTRN>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+<SIGNONMSGSRSV1>
+<SONRS>
+<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<DTSERVER>${today}</DTSERVER>
+<LANGUAGE>ENG</LANGUAGE>
+</SONRS>
+</SIGNONMSGSRSV1>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<TRNUID>0</TRNUID>
+<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<STMTRS>
+<CURDEF>${account.currency}</CURDEF>
+<BANKACCTFROM>
+<BANKID>WELTH</BANKID>
+<ACCTID>${account.id}</ACCTID>
+<ACCTTYPE>${OFX_ACCOUNT_TYPES[account.type] || "CHECKING"}</ACCTTYPE>
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>${dates[0] || today}</DTSTART>
+<DTEND>${dates[dates.length - 1] || today}</DTEND>
+${statementTransactions}
+</BANKTRANLIST>
+<LEDGERBAL>
+<BALAMT>${toDecimal(account.balance).toFixed(2)}</BALAMT>
+<DTASOF>${today}</DTASOF>
+</LEDGERBAL>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>
+`;
+}
@@ -0,0 +1,105 @@
+import { addDays, endOfDay, isSameDay, startOfDay } from "date-fns";
+import { db } from "@/lib/prisma";
+import { isLiability } from "@/lib/accounts";
+import { getBalanceChanges } from "@/lib/balance";
+import { getNextRecurringDate } from "@/lib/recurring";
+import { toDecimal } from "@/lib/money";
+
+// How many days ahead the forecast looks
+export const FORECAST_DAYS = 90;
+
+// Dates a series recurs on from its next occurrence up to `until`
+function getUpcomingDates(series, until) {
+  const dates = [];
+  let occurrenceCount = series.occurrenceCount;
+  let date = series.nextRecurringDate;
+
+  while (date && date <= until) {
+    dates.push(date);
+    occurrenceCount++;
+    date = getNextRecurringDate({ ...series, occurrenceCount }, date);
+  }
+
+  return dates;
+}
+
+// Recurring income, expenses and transfers due over the next FORECAST_DAYS,
+// soonest first, and the balance each open account is projected to have at
+// the end of every day. Occurrences the job hasn't created yet are due today.
+// `negativeOn` is the first day an account that isn't a credit card or loan
+// is projected to be overdrawn.
+export async function getCashFlowForecast(userId) {
+  const today = startOfDay(new Date());
+  const until = endOfDay(addDays(today, FORECAST_DAYS));
+
+  const [accounts, series] = await Promise.all([
+    db.account.findMany({
+      where: { userId, archivedAt: null },
+      select: {
+        id: true,
+        name: true,
+        type: true,
+        currency: true,
+        balance: true,
+      },
+      orderBy: [{ isDefault: "desc" }, { name: "asc" }],
+    }),
+    db.transaction.findMany({
+      where: {
+        userId,
+        isRecurring: true,
+        status: "COMPLETED",
+        deletedAt: null,
+        recurringPausedAt: null,
+        nextRecurringDate: { lte: until },
+        account: { archivedAt: null },
+      },
+    }),
+  ]);
+
+  const bills = series
+    .flatMap((s) =>
+      getUpcomingDates(s, until).map((date) => {
+        // Changes made for upcoming occurrences apply, as when they're created
+        const bill = {
+          seriesId: s.id,
+          date: date < today ? today : date,
+          overdue: date < today,
+          type: s.type,
+          amount: s.recurringAmount ?? s.amount,
+          description: s.recurringDescription ?? s.description,
+          category: s.category,
+          accountId: s.accountId,
+          transferAccountId: s.transferAccountId,
+        };
+        return { ...bill, changes: getBalanceChanges(bill) };
+      })
+    )
+    .sort((a, b) => a.date - b.date);
+
+  return {
+    days: FORECAST_DAYS,
+    bills,
+    accounts: accounts.map((account) => {
+      const points = [];
+      let balance = toDecimal(account.balance);
+      let negativeOn = null;
+
+      for (let day = 0; day <= FORECAST_DAYS; day++) {
+        const date = addDays(today, day);
+        for (const bill of bills) {
+          const change = bill.changes[account.id];
+          if (change && isSameDay(bill.date, date))
+            balance = balance.plus(change);
+        }
+
+        points.push({ date, balance });
+        if (!negativeOn && balance.isNegative() && !isLiability(account.type)) {
+          negativeOn = date;
+        }
+      }
+
+      return { ...account, points, negativeOn };
+    }),
+  };
+}
@@ -0,0 +1,144 @@
+import {
+  addDays,
+  differenceInCalendarDays,
+  startOfDay,
+  subMonths,
+} from "date-fns";
+import { db } from "@/lib/prisma";
+import { getBalanceChanges } from "@/lib/balance";
+import { countedTransactions } from "@/lib/integrity";
+import { getCurrencyConverter } from "@/lib/exchange-rates";
+import { sumAmounts, toDecimal } from "@/lib/money";
+
+// Months of history the saving pace is averaged over
+const PACE_MONTHS = 3;
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// What a tagged transaction adds to a tag goal: income and transfers put
+// money towards it, expenses take it back out
+function getTagContribution(transaction) {
+  const amount = toDecimal(transaction.amount);
+  return transaction.type === "EXPENSE" ? amount.negated() : amount;
+}
+
+// Progress of each of the user's goals, soonest target first. Account goals
+// follow the account's balance in its currency; tag goals add up their
+// tagged transactions in the base currency. `monthlyPace` is the average
+// saved per month over the last few months and `requiredMonthly` what still
+// has to go in each month to reach the target on time. A goal is BEHIND when
+// its target date has passed or its pace falls short of what's required.
+export async function getGoalsProgress(userId) {
+  const today = startOfDay(new Date());
+  const since = subMonths(today, PACE_MONTHS);
+
+  const goals = await db.goal.findMany({
+    where: { userId },
+    include: {
+      account: { select: { name: true, balance: true, currency: true } },
+      tag: { select: { name: true } },
+    },
+    orderBy: { targetDate: "asc" },
+  });
+  if (goals.length === 0) return [];
+
+  const accountIds = goals.map((goal) => goal.accountId).filter(Boolean);
+  const tagIds = goals.map((goal) => goal.tagId).filter(Boolean);
+
+  const [transactions, converter] = await Promise.all([
+    db.transaction.findMany({
+      where: {
+        ...countedTransactions,
+        userId,
+        OR: [
+          { date: { gte: since }, accountId: { in: accountIds } },
+          { date: { gte: since }, transferAccountId: { in: accountIds } },
+          { tags: { some: { id: { in: tagIds } } } },
+        ],
+      },
+      select: {
+        type: true,
+        amount: true,
+        date: true,
+        accountId: true,
+        transferAccountId: true,
+        tags: { select: { id: true } },
+        account: { select: { currency: true } },
+      },
+    }),
+    getCurrencyConverter(userId),
+  ]);
+
+  return goals.map(({ account, tag, ...goal }) => {
+    let saved;
+    let contributions;
+    let currency;
+
+    if (account) {
+      currency = account.currency;
+      saved = toDecimal(account.balance);
+      contributions = transactions.flatMap((t) => {
+        const amount = getBalanceChanges(t)[goal.accountId];
+        return amount && t.date >= since ? [{ date: t.date, amount }] : [];
+      });
+    } else {
+      currency = converter.baseCurrency;
+      contributions = transactions
+        .filter((t) => t.tags.some(({ id }) => id === goal.tagId))
+        .map((t) => ({
+          date: t.date,
+          amount: converter.convert(
+            getTagContribution(t),
+            t.account.currency,
+            t.date
+          ),
+        }));
+      saved = sumAmounts(contributions.map(({ amount }) => amount));
+    }
+
+    const target = toDecimal(goal.targetAmount);
+    const remaining = target.minus(saved);
+    const monthlyPace = sumAmounts(
+      contributions.filter((c) => c.date >= since).map((c) => c.amount)
+    ).div(PACE_MONTHS);
+    const monthsLeft =
+      differenceInCalendarDays(goal.targetDate, today) / DAYS_PER_MONTH;
+
+    const reached = !remaining.isPositive();
+    // With under a month to go, the rest is due now
+    const requiredMonthly = reached
+      ? toDecimal(0)
+      : remaining.div(Math.max(monthsLeft, 1));
+
+    let status = "ON_TRACK";
+    if (reached) status = "REACHED";
+    else if (monthsLeft <= 0 || monthlyPace.lt(requiredMonthly)) {
+      status = "BEHIND";
+    }
+
+    return {
+      ...goal,
+      accountName: account?.name || null,
+      tagName: tag?.name || null,
+      currency,
+      saved,
+      remaining: reached ? toDecimal(0) : remaining,
+      percent: Math.min(
+        Math.max(saved.div(target).times(100).toNumber(), 0),
+        100
+      ),
+      monthlyPace,
+      requiredMonthly,
+      status,
+      // When the goal is reached at the current pace
+      projectedDate:
+        !reached && monthlyPace.isPositive()
+          ? addDays(
+              today,
+              Math.ceil(
+                remaining.div(monthlyPace).times(DAYS_PER_MONTH).toNumber()
+              )
+            )
+          : null,
+    };
+  });
+}
@@ -0,0 +1,113 @@
+import { format } from "date-fns";
+import { db } from "@/lib/prisma";
+import {
+  applyBalanceChanges,
+  getBalanceChanges,
+  mergeBalanceChanges,
+} from "@/lib/balance";
+import { normalizeTags } from "@/lib/tags";
+import { recordAudit, transactionAuditEntry } from "@/lib/audit";
+
+// Statement rows without a FITID or check number get an id derived from the
+// row itself, numbered so identical rows in one file stay distinct
+export function assignImportIds(transactions) {
+  const seen = {};
+
+  return transactions.map((transaction) => {
+    if (transaction.importId) return transaction;
+
+    const key = [
+      format(transaction.date, "yyyy-MM-dd"),
+      transaction.amount.toFixed(2),
+      transaction.description,
+    ].join("|");
+    seen[key] = (seen[key] || 0) + 1;
+
+    return { ...transaction, importId: `row:${key}#${seen[key]}` };
+  });
+}
+
+// Insert imported transactions for one account and update its balance the same
+// way createTransaction does, all in a single database transaction. Rows whose
+// importId already exists on the account are skipped. Rows may carry `tags`,
+// an array of tag names to attach.
+export async function commitImportedTransactions({
+  userId,
+  accountId,
+  transactions,
+}) {
+  return await db.$transaction(
+    async (tx) => {
+      const importIds = transactions
+        .map((transaction) => transaction.importId)
+        .filter(Boolean);
+
+      // Rows in the trash count too, so re-importing a statement doesn't
+      // bring back transactions the user deleted
+      const existing = await tx.transaction.findMany({
+        where: { accountId, importId: { in: importIds } },
+        select: { importId: true },
+      });
+      const seenIds = new Set(existing.map((t) => t.importId));
+
+      const data = [];
+      const importIdsByTag = {};
+      for (const { tags = [], ...transaction } of transactions) {
+        if (transaction.importId) {
+          if (seenIds.has(transaction.importId)) continue;
+          seenIds.add(transaction.importId);
+        }
+
+        data.push({
+          ...transaction,
+          userId,
+          accountId,
+          isRecurring: false,
+        });
+
+        for (const tag of normalizeTags(tags)) {
+          if (!importIdsByTag[tag]) importIdsByTag[tag] = [];
+          importIdsByTag[tag].push(transaction.importId);
+        }
+      }
+
+      const { count } = await tx.transaction.createMany({ data });
+
+      // createMany doesn't return the new rows, so look them up by importId
+      const created = await tx.transaction.findMany({
+        where: { accountId, importId: { in: data.map((t) => t.importId) } },
+      });
+      const idsByImportId = Object.fromEntries(
+        created.map((t) => [t.importId, t.id])
+      );
+
+      // createMany can't set relations either, so link tags afterwards
+      for (const [name, tagImportIds] of Object.entries(importIdsByTag)) {
+        const connect = tagImportIds.map((id) => ({ id: idsByImportId[id] }));
+        await tx.tag.upsert({
+          where: { userId_name: { userId, name } },
+          create: { name, userId, transactions: { connect } },
+          update: { transactions: { connect } },
+        });
+      }
+
+      await recordAudit(
+        tx,
+        created.map((transaction) =>
+          transactionAuditEntry("CREATE", "IMPORT", {
+            after: transaction,
+            actorId: userId,
+          })
+        )
+      );
+
+      await applyBalanceChanges(
+        tx,
+        mergeBalanceChanges(...data.map(getBalanceChanges))
+      );
+
+      return { created: count, skipped: transactions.length - count };
+    },
+    { timeout: 30000 } // Large statements take longer than the 5s default
+  );
+}
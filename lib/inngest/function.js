@@ -3,6 +3,25 @@ import { db } from "@/lib/prisma";
 import EmailTemplate from "@/emails/template";
 import { sendEmail } from "@/actions/send-email";
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { applyBalanceChanges, getBalanceChanges } from "@/lib/balance";
+import { getMonthlyExpenses } from "@/lib/budget";
+import { getCategoryAmounts } from "@/lib/splits";
+import { getTagTotals } from "@/lib/tags";
+import { getCategoryNames } from "@/lib/categories";
+import { getPurgeCutoff } from "@/lib/trash";
+import { recordAudit, transactionAuditEntry } from "@/lib/audit";
+import { findBalanceMismatches } from "@/lib/integrity";
+import { snapshotAccountBalances } from "@/lib/net-worth";
+import { getGoalsProgress } from "@/lib/goals";
+import { detectSubscriptions } from "@/lib/subscriptions";
+import { getNextRecurringDate } from "@/lib/recurring";
+import { serializeMoney, toDecimal } from "@/lib/money";
+import { getCurrencyConverter } from "@/lib/exchange-rates";
+import { formatMoney } from "@/lib/currency";
+import { format } from "date-fns";
+
+// Occurrences one run catches up on before handing over to the next
+const MAX_OCCURRENCES_PER_RUN = 50;
 
 // 1. Recurring Transaction Processing with Throttling
 export const processRecurringTransaction = inngest.createFunction(
@@ -14,6 +33,12 @@ export const processRecurringTransaction = inngest.createFunction(
       period: "1m", // per minute
       key: "event.data.userId", // Throttle per user
     },
+    // One run per series at a time, so two runs can't both create its next
+    // occurrence
+    concurrency: {
+      limit: 1,
+      key: "event.data.transactionId",
+    },
   },
   { event: "transaction.recurring.process" },
   async ({ event, step }) => {
@@ -23,61 +48,146 @@ export const processRecurringTransaction = inngest.createFunction(
       return { error: "Missing required event data" };
     }
 
-    await step.run("process-transaction", async () => {
-      const transaction = await db.transaction.findUnique({
-        where: {
-          id: event.data.transactionId,
-          userId: event.data.userId,
-        },
+    // Create every occurrence that has fallen due, oldest first, so a series
+    // the job missed for a few days, or one started in the past, catches up
+    // with each occurrence on its scheduled date. Each occurrence is its own
+    // step, so a retry carries on from the first one not yet created.
+    let processed = 0;
+    while (processed < MAX_OCCURRENCES_PER_RUN) {
+      const due = await step.run(`process-occurrence-${processed}`, () =>
+        createDueOccurrence(event.data.transactionId, event.data.userId)
+      );
+      if (!due) return { processed };
+      processed++;
+    }
+
+    // Leave the rest of a long backlog to a fresh run
+    await step.sendEvent("continue-processing", {
+      name: "transaction.recurring.process",
+      data: event.data,
+    });
+    return { processed, more: true };
+  }
+);
+
+// Create a series' next occurrence if it's due, and move the series on to the
+// one after. Both happen in one database transaction, and an occurrence is
+// unique per series and scheduled date, so it's never created twice: one that
+// already exists is counted and passed over instead. Returns whether an
+// occurrence was due.
+async function createDueOccurrence(transactionId, userId) {
+  try {
+    return await db.$transaction(async (tx) => {
+      const transaction = await tx.transaction.findUnique({
+        where: { id: transactionId, userId },
         include: {
-          account: true,
+          splits: true,
+          tags: true,
         },
       });
 
-      if (!transaction || !isTransactionDue(transaction)) return;
+      // Ended series have no next date
+      if (
+        !transaction ||
+        transaction.deletedAt ||
+        !transaction.isRecurring ||
+        transaction.recurringPausedAt ||
+        !transaction.nextRecurringDate ||
+        transaction.nextRecurringDate > new Date()
+      ) {
+        return false;
+      }
 
-      // Create new transaction and update account balance in a transaction
-      await db.$transaction(async (tx) => {
-        // Create new transaction
-        await tx.transaction.create({
-          data: {
-            type: transaction.type,
-            amount: transaction.amount,
-            description: `${transaction.description} (Recurring)`,
-            date: new Date(),
-            category: transaction.category,
-            userId: transaction.userId,
-            accountId: transaction.accountId,
-            isRecurring: false,
-          },
-        });
+      // The new transaction is dated when it was scheduled, not when the job
+      // got to it
+      const scheduledDate = transaction.nextRecurringDate;
 
-        // Update account balance
-        const balanceChange =
-          transaction.type === "EXPENSE"
-            ? -transaction.amount.toNumber()
-            : transaction.amount.toNumber();
+      // Already created on an earlier pass over this date
+      const existing = await tx.transaction.findUnique({
+        where: {
+          recurringParentId_recurringDate: {
+            recurringParentId: transaction.id,
+            recurringDate: scheduledDate,
+          },
+        },
+        select: { id: true },
+      });
+      if (existing) {
+        await advanceSeries(tx, transaction, scheduledDate);
+        return true;
+      }
 
-        await tx.account.update({
-          where: { id: transaction.accountId },
-          data: { balance: { increment: balanceChange } },
-        });
+      // Changes made for upcoming occurrences take over from the original's
+      // values. Splits no longer add up once the amount has changed, so they
+      // are only copied while it hasn't.
+      const amount = transaction.recurringAmount ?? transaction.amount;
+      const description =
+        transaction.recurringDescription ?? transaction.description;
+      const splits = transaction.recurringAmount ? [] : transaction.splits;
 
-        // Update last processed date and next recurring date
-        await tx.transaction.update({
-          where: { id: transaction.id },
-          data: {
-            lastProcessed: new Date(),
-            nextRecurringDate: calculateNextRecurringDate(
-              new Date(),
-              transaction.recurringInterval
-            ),
+      const created = await tx.transaction.create({
+        data: {
+          type: transaction.type,
+          amount,
+          description: `${description} (Recurring)`,
+          date: scheduledDate,
+          category: transaction.category,
+          subcategory: transaction.subcategory,
+          userId: transaction.userId,
+          accountId: transaction.accountId,
+          transferAccountId: transaction.transferAccountId,
+          isRecurring: false,
+          recurringParentId: transaction.id,
+          recurringDate: scheduledDate,
+          splits: {
+            create: splits.map((split) => ({
+              category: split.category,
+              amount: split.amount,
+              description: split.description,
+            })),
           },
-        });
+          tags: {
+            connect: transaction.tags.map((tag) => ({ id: tag.id })),
+          },
+        },
+        include: { splits: true, tags: true },
       });
+
+      await recordAudit(
+        tx,
+        transactionAuditEntry("CREATE", "RECURRING", { after: created })
+      );
+
+      // Update account balances
+      await applyBalanceChanges(tx, getBalanceChanges(created));
+
+      await advanceSeries(tx, transaction, scheduledDate);
+      return true;
     });
+  } catch (error) {
+    // Unique constraint: another run created the occurrence in the meantime.
+    // Going round again finds it and moves the series past it.
+    if (error.code === "P2002") return true;
+    throw error;
   }
-);
+}
+
+// Count a series' occurrence on `scheduledDate` and schedule the next one, if
+// the series hasn't reached its end date or number of occurrences
+async function advanceSeries(tx, transaction, scheduledDate) {
+  const occurrenceCount = transaction.occurrenceCount + 1;
+  await tx.transaction.update({
+    where: { id: transaction.id },
+    data: {
+      lastProcessed: scheduledDate,
+      occurrenceCount,
+      nextRecurringDate: getNextRecurringDate(
+        { ...transaction, occurrenceCount },
+        scheduledDate
+      ),
+    },
+  });
+}
 
 // Trigger recurring transactions with batching
 export const triggerRecurringTransactions = inngest.createFunction(
@@ -94,14 +204,13 @@ export const triggerRecurringTransactions = inngest.createFunction(
           where: {
             isRecurring: true,
             status: "COMPLETED",
-            OR: [
-              { lastProcessed: null },
-              {
-                nextRecurringDate: {
-                  lte: new Date(),
-                },
-              },
-            ],
+            deletedAt: null,
+            recurringPausedAt: null,
+            // Archived accounts stop recurring
+            account: { archivedAt: null },
+            nextRecurringDate: {
+              lte: new Date(),
+            },
           },
         });
       }
@@ -136,12 +245,24 @@ async function generateFinancialInsights(stats, month) {
     Keep it friendly and conversational.
 
     Financial Data for ${month}:
-    - Total Income: $${stats.totalIncome}
-    - Total Expenses: $${stats.totalExpenses}
-    - Net Income: $${stats.totalIncome - stats.totalExpenses}
+    - Total Income: ${formatMoney(stats.totalIncome, stats.currency)}
+    - Total Expenses: ${formatMoney(stats.totalExpenses, stats.currency)}
+    - Net Income: ${formatMoney(stats.netIncome, stats.currency)}
     - Expense Categories: ${Object.entries(stats.byCategory)
-      .map(([category, amount]) => `${category}: $${amount}`)
+      .map(
+        ([category, amount]) =>
+          `${category}: ${formatMoney(amount, stats.currency)}`
+      )
       .join(", ")}
+    - Tagged Expenses: ${
+      Object.entries(stats.byTag)
+        .filter(([, totals]) => totals.expenses > 0)
+        .map(
+          ([tag, totals]) =>
+            `${tag}: ${formatMoney(totals.expenses, stats.currency)}`
+        )
+        .join(", ") || "none"
+    }
 
     Format the response as a JSON array of strings, like this:
     ["insight 1", "insight 2", "insight 3"]
@@ -215,74 +336,189 @@ export const checkBudgetAlerts = inngest.createFunction(
   { name: "Check Budget Alerts" },
   { cron: "0 */6 * * *" }, // Every 6 hours
   async ({ step }) => {
-    const budgets = await step.run("fetch-budgets", async () => {
-      return await db.budget.findMany({
-        include: {
-          user: {
-            include: {
-              accounts: {
-                where: {
-                  isDefault: true,
-                },
-              },
-            },
-          },
-        },
+    const users = await step.run("fetch-budgets", async () => {
+      return await db.user.findMany({
+        where: { budgets: { some: {} } },
+        include: { budgets: true },
       });
     });
 
-    for (const budget of budgets) {
-      const defaultAccount = budget.user.accounts[0];
-      if (!defaultAccount) continue; // Skip if no default account
+    for (const user of users) {
+      await step.run(`check-budgets-${user.id}`, async () => {
+        // Current month's expenses across all accounts
+        const expenses = await getMonthlyExpenses(user.id);
+        const categoryNames = await getCategoryNames(user.id);
+
+        for (const budget of user.budgets) {
+          // Step output comes back as JSON, with amounts as strings
+          const budgetAmount = toDecimal(budget.amount);
+          const totalExpenses = budget.category
+            ? expenses.byCategory[budget.category] || toDecimal(0)
+            : expenses.total;
+          const percentageUsed = totalExpenses
+            .div(budgetAmount)
+            .times(100)
+            .toNumber();
+
+          // Each budget alerts at most once a month
+          if (
+            percentageUsed >= budget.alertThreshold &&
+            (!budget.lastAlertSent ||
+              isNewMonth(new Date(budget.lastAlertSent), new Date()))
+          ) {
+            const categoryName = budget.category
+              ? categoryNames[budget.category] || budget.category
+              : null;
+
+            await sendEmail({
+              to: user.email,
+              subject: `Budget Alert for ${categoryName || "Monthly Budget"}`,
+              react: EmailTemplate({
+                userName: user.name,
+                type: "budget-alert",
+                data: {
+                  percentageUsed,
+                  budgetAmount: budgetAmount.toFixed(2),
+                  totalExpenses: totalExpenses.toFixed(2),
+                  currency: expenses.currency,
+                  categoryName,
+                },
+              }),
+            });
+
+            // Update last alert sent
+            await db.budget.update({
+              where: { id: budget.id },
+              data: { lastAlertSent: new Date() },
+            });
+          }
+        }
+      });
+    }
+  }
+);
 
-      await step.run(`check-budget-${budget.id}`, async () => {
-        const startDate = new Date();
-        startDate.setDate(1); // Start of current month
+// 4. Purge transactions that have been in the trash past the retention period
+export const purgeDeletedTransactions = inngest.createFunction(
+  { id: "purge-deleted-transactions", name: "Purge Deleted Transactions" },
+  { cron: "0 3 * * *" }, // Daily at 3am
+  async ({ step }) => {
+    const purged = await step.run("purge-transactions", async () => {
+      const transactions = await db.transaction.findMany({
+        where: { deletedAt: { lt: getPurgeCutoff() } },
+        include: { splits: true, tags: true },
+      });
 
-        // Calculate total expenses for the default account only
-        const expenses = await db.transaction.aggregate({
-          where: {
-            userId: budget.userId,
-            accountId: defaultAccount.id, // Only consider default account
-            type: "EXPENSE",
-            date: {
-              gte: startDate,
-            },
-          },
-          _sum: {
-            amount: true,
-          },
+      // Balances were already adjusted when the transactions were deleted
+      await db.$transaction(async (tx) => {
+        await tx.transaction.deleteMany({
+          where: { id: { in: transactions.map((t) => t.id) } },
         });
 
-        const totalExpenses = expenses._sum.amount?.toNumber() || 0;
-        const budgetAmount = budget.amount;
-        const percentageUsed = (totalExpenses / budgetAmount) * 100;
+        await recordAudit(
+          tx,
+          transactions.map((transaction) =>
+            transactionAuditEntry("PURGE", "SYSTEM", { before: transaction })
+          )
+        );
+      });
+
+      return transactions.length;
+    });
+
+    return { purged };
+  }
+);
+
+// 5. Recompute account balances from their transactions and report any that
+// have drifted. Repairs are left to an admin, who can re-check and fix them
+// from the balances page.
+export const checkAccountBalances = inngest.createFunction(
+  { id: "check-account-balances", name: "Check Account Balances" },
+  { cron: "0 4 * * *" }, // Daily at 4am
+  async ({ step }) => {
+    const mismatches = await step.run("check-balances", async () => {
+      const mismatches = await findBalanceMismatches();
+
+      for (const mismatch of mismatches) {
+        console.warn("Account balance mismatch:", serializeMoney(mismatch));
+      }
+
+      return serializeMoney(mismatches);
+    });
+
+    return { mismatched: mismatches.length, mismatches };
+  }
+);
+
+// 6. Save each account's balance at the end of the day for the net worth
+// history
+export const snapshotNetWorth = inngest.createFunction(
+  { id: "snapshot-net-worth", name: "Snapshot Net Worth" },
+  { cron: "55 23 * * *" }, // Daily, just before midnight
+  async ({ step }) => {
+    const snapshots = await step.run("snapshot-balances", () =>
+      snapshotAccountBalances()
+    );
+
+    return { snapshots };
+  }
+);
+
+// 7. Tell users when a savings goal is reached, or once a month while it's
+// behind schedule
+export const checkGoalProgress = inngest.createFunction(
+  { id: "check-goal-progress", name: "Check Goal Progress" },
+  { cron: "0 9 * * *" }, // Daily at 9am
+  async ({ step }) => {
+    const users = await step.run("fetch-users", async () => {
+      return await db.user.findMany({
+        where: { goals: { some: {} } },
+        select: { id: true, name: true, email: true },
+      });
+    });
+
+    for (const user of users) {
+      await step.run(`check-goals-${user.id}`, async () => {
+        const goals = await getGoalsProgress(user.id);
+
+        for (const goal of goals) {
+          // Reached goals are only celebrated once, and never nagged about
+          if (goal.reachedAt) continue;
+
+          const isBehind =
+            goal.status === "BEHIND" &&
+            (!goal.lastAlertSent ||
+              isNewMonth(new Date(goal.lastAlertSent), new Date()));
+          if (goal.status !== "REACHED" && !isBehind) continue;
 
-        // Check if we should send an alert
-        if (
-          percentageUsed >= 80 && // Default threshold of 80%
-          (!budget.lastAlertSent ||
-            isNewMonth(new Date(budget.lastAlertSent), new Date()))
-        ) {
           await sendEmail({
-            to: budget.user.email,
-            subject: `Budget Alert for ${defaultAccount.name}`,
+            to: user.email,
+            subject:
+              goal.status === "REACHED"
+                ? `Goal reached: ${goal.name}`
+                : `Goal behind schedule: ${goal.name}`,
             react: EmailTemplate({
-              userName: budget.user.name,
-              type: "budget-alert",
+              userName: user.name,
+              type: goal.status === "REACHED" ? "goal-reached" : "goal-behind",
               data: {
-                percentageUsed,
-                budgetAmount: parseInt(budgetAmount).toFixed(1),
-                totalExpenses: parseInt(totalExpenses).toFixed(1),
-                accountName: defaultAccount.name,
+                goalName: goal.name,
+                targetAmount: goal.targetAmount.toFixed(2),
+                targetDate: format(goal.targetDate, "PPP"),
+                saved: goal.saved.toFixed(2),
+                monthlyPace: goal.monthlyPace.toFixed(2),
+                requiredMonthly: goal.requiredMonthly.toFixed(2),
+                currency: goal.currency,
               },
             }),
           });
 
-          // Update last alert sent
-          await db.budget.update({
-            where: { id: budget.id },
-            data: { lastAlertSent: new Date() },
+          await db.goal.update({
+            where: { id: goal.id },
+            data:
+              goal.status === "REACHED"
+                ? { reachedAt: new Date() }
+                : { lastAlertSent: new Date() },
           });
         }
       });
@@ -290,6 +526,28 @@ export const checkBudgetAlerts = inngest.createFunction(
   }
 );
 
+// 8. Look for subscriptions among each user's one-off expenses
+export const scanForSubscriptions = inngest.createFunction(
+  { id: "scan-for-subscriptions", name: "Scan For Subscriptions" },
+  { cron: "0 5 * * 1" }, // Mondays at 5am
+  async ({ step }) => {
+    const users = await step.run("fetch-users", async () => {
+      return await db.user.findMany({
+        where: { transactions: { some: { type: "EXPENSE" } } },
+        select: { id: true },
+      });
+    });
+
+    for (const user of users) {
+      await step.run(`scan-subscriptions-${user.id}`, () =>
+        detectSubscriptions(user.id)
+      );
+    }
+
+    return { users: users.length };
+  }
+);
+
 function isNewMonth(lastAlertDate, currentDate) {
   return (
     lastAlertDate.getMonth() !== currentDate.getMonth() ||
@@ -297,37 +555,6 @@ function isNewMonth(lastAlertDate, currentDate) {
   );
 }
 
-// Utility functions
-function isTransactionDue(transaction) {
-  // If no lastProcessed date, transaction is due
-  if (!transaction.lastProcessed) return true;
-
-  const today = new Date();
-  const nextDue = new Date(transaction.nextRecurringDate);
-
-  // Compare with nextDue date
-  return nextDue <= today;
-}
-
-function calculateNextRecurringDate(date, interval) {
-  const next = new Date(date);
-  switch (interval) {
-    case "DAILY":
-      next.setDate(next.getDate() + 1);
-      break;
-    case "WEEKLY":
-      next.setDate(next.getDate() + 7);
-      break;
-    case "MONTHLY":
-      next.setMonth(next.getMonth() + 1);
-      break;
-    case "YEARLY":
-      next.setFullYear(next.getFullYear() + 1);
-      break;
-  }
-  return next;
-}
-
 async function getMonthlyStats(userId, month) {
   const startDate = new Date(month.getFullYear(), month.getMonth(), 1);
   const endDate = new Date(month.getFullYear(), month.getMonth() + 1, 0);
@@ -335,30 +562,58 @@ async function getMonthlyStats(userId, month) {
   const transactions = await db.transaction.findMany({
     where: {
       userId,
+      deletedAt: null,
       date: {
         gte: startDate,
         lte: endDate,
       },
     },
+    include: {
+      splits: true,
+      tags: true,
+      account: { select: { currency: true } },
+    },
   });
 
-  return transactions.reduce(
+  // Totals are in the user's base currency, converted at each transaction's
+  // date
+  const converter = await getCurrencyConverter(userId);
+  const converted = transactions.map(converter.convertTransaction);
+
+  // Reports show the user's names for categories rather than their keys
+  const categoryNames = await getCategoryNames(userId);
+
+  const stats = converted.reduce(
     (stats, t) => {
-      const amount = t.amount.toNumber();
       if (t.type === "EXPENSE") {
-        stats.totalExpenses += amount;
-        stats.byCategory[t.category] =
-          (stats.byCategory[t.category] || 0) + amount;
-      } else {
-        stats.totalIncome += amount;
+        stats.totalExpenses = stats.totalExpenses.plus(t.amount);
+        // Split transactions count towards each of their lines
+        for (const line of getCategoryAmounts(t)) {
+          const name = categoryNames[line.category] || line.category;
+          stats.byCategory[name] = (
+            stats.byCategory[name] || toDecimal(0)
+          ).plus(line.amount);
+        }
+      } else if (t.type === "INCOME") {
+        stats.totalIncome = stats.totalIncome.plus(t.amount);
       }
+      // Transfers only move money between the user's own accounts
       return stats;
     },
     {
-      totalExpenses: 0,
-      totalIncome: 0,
+      totalExpenses: toDecimal(0),
+      totalIncome: toDecimal(0),
       byCategory: {},
+      byTag: getTagTotals(converted),
       transactionCount: transactions.length,
     }
   );
+
+  // Totals are added up exactly, then turned into numbers for the report
+  return serializeMoney({
+    ...stats,
+    netIncome: stats.totalIncome.minus(stats.totalExpenses),
+    currency: converter.baseCurrency,
+    missingRates: [...converter.missing],
+  });
 }
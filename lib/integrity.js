@@ -0,0 +1,117 @@
+import { Prisma } from "@prisma/client";
+import { db } from "@/lib/prisma";
+import { buildAuditEntry, recordAudit } from "@/lib/audit";
+import { toDecimal } from "@/lib/money";
+
+// Transactions that moved money: trashed and failed ones never did
+export const countedTransactions = {
+  deletedAt: null,
+  status: { not: "FAILED" },
+};
+
+// Recompute the balance of every account matching `where` from its opening
+// balance and transactions, and return the accounts whose stored balance
+// differs. Amounts stay Decimals so rounding can't hide or cause a mismatch.
+// Pass a transaction client to read the balances and the transactions from
+// the same snapshot.
+export async function findBalanceMismatches(where = {}, client = db) {
+  const accounts = await client.account.findMany({
+    where,
+    select: {
+      id: true,
+      name: true,
+      userId: true,
+      currency: true,
+      balance: true,
+      openingBalance: true,
+    },
+  });
+
+  if (accounts.length === 0) return [];
+  const accountIds = accounts.map((account) => account.id);
+
+  const [ownTotals, incomingTotals] = await Promise.all([
+    client.transaction.groupBy({
+      by: ["accountId", "type"],
+      where: { ...countedTransactions, accountId: { in: accountIds } },
+      _sum: { amount: true },
+    }),
+    client.transaction.groupBy({
+      by: ["transferAccountId"],
+      where: {
+        ...countedTransactions,
+        type: "TRANSFER",
+        transferAccountId: { in: accountIds },
+      },
+      _sum: { amount: true },
+    }),
+  ]);
+
+  const expected = Object.fromEntries(
+    accounts.map((account) => [account.id, toDecimal(account.openingBalance)])
+  );
+  for (const { accountId, type, _sum } of ownTotals) {
+    const amount = _sum.amount || 0;
+    expected[accountId] =
+      type === "INCOME"
+        ? expected[accountId].plus(amount)
+        : expected[accountId].minus(amount);
+  }
+  for (const { transferAccountId, _sum } of incomingTotals) {
+    expected[transferAccountId] = expected[transferAccountId].plus(
+      _sum.amount || 0
+    );
+  }
+
+  return accounts
+    .filter((account) => !account.balance.equals(expected[account.id]))
+    .map((account) => ({
+      accountId: account.id,
+      name: account.name,
+      userId: account.userId,
+      currency: account.currency,
+      storedBalance: account.balance,
+      expectedBalance: expected[account.id],
+      difference: expected[account.id].minus(account.balance),
+    }));
+}
+
+// Re-check the accounts matching `where` and set each one that's off to the
+// balance its transactions add up to, recording every fix in the audit log.
+// The check and the fix run in one repeatable-read transaction, so they see
+// the same balances and transactions; a transaction saved to an account in
+// the meantime makes the repair fail rather than count twice. Returns the
+// accounts repaired.
+export async function repairBalances(where, { source, actorId = null }) {
+  return db.$transaction(
+    async (tx) => {
+      const mismatches = await findBalanceMismatches(where, tx);
+
+      for (const mismatch of mismatches) {
+        await tx.account.update({
+          where: { id: mismatch.accountId },
+          data: { balance: mismatch.expectedBalance },
+        });
+      }
+
+      await recordAudit(
+        tx,
+        mismatches.map((mismatch) =>
+          buildAuditEntry({
+            entityType: "ACCOUNT",
+            entityId: mismatch.accountId,
+            action: "UPDATE",
+            source,
+            userId: mismatch.userId,
+            actorId,
+            before: { balance: mismatch.storedBalance },
+            after: { balance: mismatch.expectedBalance },
+          })
+        )
+      );
+
+      return mismatches;
+    },
+    { isolationLevel: Prisma.TransactionIsolationLevel.RepeatableRead }
+  );
+}
@@ -0,0 +1,44 @@
+import { Prisma } from "@prisma/client";
+
+// Money stays a Prisma Decimal from the database, through every calculation
+// and back: adding amounts as JS numbers drifts by fractions of a cent.
+// Amounts only become numbers when they're handed to the client, through
+// serializeMoney.
+const { Decimal } = Prisma;
+
+export function isDecimal(value) {
+  return Decimal.isDecimal(value);
+}
+
+// Exact Decimal for an amount from the database, a form string or a number
+export function toDecimal(amount) {
+  if (isDecimal(amount)) return amount;
+  return new Decimal(amount ?? 0);
+}
+
+export function sumAmounts(amounts) {
+  return amounts.reduce(
+    (sum, amount) => sum.plus(toDecimal(amount)),
+    new Decimal(0)
+  );
+}
+
+export function roundToCents(amount) {
+  return toDecimal(amount).toDecimalPlaces(2);
+}
+
+// Copy of a value with every Decimal in it, however deeply nested, turned
+// into a number so it can be passed to client components. Dates and other
+// values are left alone.
+export function serializeMoney(value) {
+  if (isDecimal(value)) return value.toNumber();
+  if (Array.isArray(value)) return value.map(serializeMoney);
+
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, serializeMoney(item)])
+    );
+  }
+
+  return value;
+}
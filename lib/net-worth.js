@@ -0,0 +1,161 @@
+import { format, startOfDay, subDays } from "date-fns";
+import { db } from "@/lib/prisma";
+import { getBalanceChanges } from "@/lib/balance";
+import { countedTransactions } from "@/lib/integrity";
+import { getCurrencyConverter } from "@/lib/exchange-rates";
+import { sumAmounts, toDecimal } from "@/lib/money";
+
+// Save today's balance of every account matching `where`. Running it again on
+// the same day replaces the day's snapshots.
+export async function snapshotAccountBalances(where = {}) {
+  const date = startOfDay(new Date());
+  const accounts = await db.account.findMany({
+    where,
+    select: { id: true, userId: true, balance: true },
+  });
+
+  await db.$transaction([
+    db.balanceSnapshot.deleteMany({
+      where: { date, accountId: { in: accounts.map((a) => a.id) } },
+    }),
+    db.balanceSnapshot.createMany({
+      data: accounts.map((account) => ({
+        accountId: account.id,
+        userId: account.userId,
+        balance: account.balance,
+        date,
+      })),
+    }),
+  ]);
+
+  return accounts.length;
+}
+
+// Rebuild a user's daily snapshots before today by replaying their
+// transactions backwards from the current balances: the balance at the end of
+// a day is today's balance less everything dated after it. History starts at
+// the account's first transaction or its creation, whichever is earlier, and
+// replaces any snapshots already saved for those days.
+export async function backfillBalanceSnapshots(userId) {
+  const accounts = await db.account.findMany({
+    where: { userId },
+    select: { id: true, balance: true, createdAt: true },
+  });
+  const accountIds = accounts.map((account) => account.id);
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      ...countedTransactions,
+      OR: [
+        { accountId: { in: accountIds } },
+        { transferAccountId: { in: accountIds } },
+      ],
+    },
+    select: {
+      type: true,
+      amount: true,
+      date: true,
+      accountId: true,
+      transferAccountId: true,
+    },
+    orderBy: { date: "desc" },
+  });
+
+  const today = startOfDay(new Date());
+  const snapshots = accounts.flatMap((account) => {
+    // How each transaction changed this account's balance, newest first
+    const changes = transactions.flatMap((t) => {
+      const amount = getBalanceChanges(t)[account.id];
+      return amount ? [{ date: t.date, amount }] : [];
+    });
+
+    const firstDate = changes.length
+      ? changes[changes.length - 1].date
+      : account.createdAt;
+    const start = startOfDay(
+      firstDate < account.createdAt ? firstDate : account.createdAt
+    );
+
+    const rows = [];
+    let balance = toDecimal(account.balance);
+    let next = 0;
+    for (let day = today; day > start; ) {
+      while (next < changes.length && changes[next].date >= day) {
+        balance = balance.minus(changes[next].amount);
+        next++;
+      }
+      day = subDays(day, 1);
+      rows.push({ accountId: account.id, userId, date: day, balance });
+    }
+    return rows;
+  });
+
+  await db.$transaction([
+    db.balanceSnapshot.deleteMany({
+      where: { accountId: { in: accountIds }, date: { lt: today } },
+    }),
+    db.balanceSnapshot.createMany({ data: snapshots }),
+  ]);
+
+  return snapshots.length;
+}
+
+// Daily assets, liabilities and net worth in the user's base currency, oldest
+// first. Each day's balances are converted at that day's rate. Positive
+// balances count as assets and negative ones, such as what's owed on a credit
+// card or loan, as liabilities. Today's point uses the current balances, so
+// it's up to date before the nightly snapshot.
+export async function getNetWorthHistory(userId) {
+  const today = startOfDay(new Date());
+  const [snapshots, accounts, converter] = await Promise.all([
+    db.balanceSnapshot.findMany({
+      where: { userId, date: { lt: today } },
+      select: {
+        date: true,
+        balance: true,
+        account: { select: { currency: true } },
+      },
+      orderBy: { date: "asc" },
+    }),
+    db.account.findMany({
+      where: { userId },
+      select: { balance: true, currency: true },
+    }),
+    getCurrencyConverter(userId),
+  ]);
+
+  const days = new Map();
+  const addBalance = (date, balance, currency) => {
+    const key = format(date, "yyyy-MM-dd");
+    if (!days.has(key)) days.set(key, { date, balances: [] });
+    days.get(key).balances.push(converter.convert(balance, currency, date));
+  };
+
+  for (const snapshot of snapshots) {
+    addBalance(snapshot.date, snapshot.balance, snapshot.account.currency);
+  }
+  for (const account of accounts) {
+    addBalance(today, account.balance, account.currency);
+  }
+
+  const points = [...days.values()].map(({ date, balances }) => {
+    const assets = sumAmounts(balances.filter((b) => b.isPositive()));
+    const liabilities = sumAmounts(
+      balances.filter((b) => b.isNegative())
+    ).negated();
+
+    return {
+      date,
+      assets,
+      liabilities,
+      netWorth: assets.minus(liabilities),
+    };
+  });
+
+  return {
+    points,
+    hasHistory: snapshots.length > 0,
+    currency: converter.baseCurrency,
+    missing: [...converter.missing],
+  };
+}
@@ -0,0 +1,70 @@
+// Parser for OFX/QFX bank statements. Handles both the SGML (OFX 1.x) variant,
+// where leaf elements are not closed, and the XML (OFX 2.x) variant.
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&apos;": "'",
+  "&nbsp;": " ",
+};
+
+function decodeEntities(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (m) => ENTITIES[m]);
+}
+
+// Read a leaf element's value. In SGML the value runs until the next tag or
+// line break; in XML it is followed by the closing tag.
+function getElement(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return match ? decodeEntities(match[1].trim()) : undefined;
+}
+
+// OFX dates look like YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]
+function parseOfxDate(value) {
+  const match = value?.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return undefined;
+  const [, year, month, day] = match.map(Number);
+  return new Date(year, month - 1, day);
+}
+
+export function parseOfx(text) {
+  const transactions = [];
+  const errors = [];
+
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  if (blocks.length === 0 && !/<OFX>/i.test(text)) {
+    errors.push("Not a valid OFX file");
+  }
+
+  blocks.forEach((block, index) => {
+    const amount = parseFloat(getElement(block, "TRNAMT")?.replace(",", "."));
+    const date = parseOfxDate(getElement(block, "DTPOSTED"));
+
+    if (isNaN(amount) || !date) {
+      errors.push(`Transaction ${index + 1}: missing amount or date`);
+      return;
+    }
+
+    const name = getElement(block, "NAME");
+    const memo = getElement(block, "MEMO");
+    const fitId = getElement(block, "FITID");
+    const checkNumber = getElement(block, "CHECKNUM");
+
+    transactions.push({
+      type: amount < 0 ? "EXPENSE" : "INCOME",
+      amount: Math.abs(amount),
+      date,
+      description: [name, memo].filter(Boolean).join(" - "),
+      // FITID uniquely identifies a transaction within the account
+      importId: fitId
+        ? `fitid:${fitId}`
+        : checkNumber
+          ? `check:${checkNumber}`
+          : undefined,
+    });
+  });
+
+  return { transactions, errors };
+}
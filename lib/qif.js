@@ -0,0 +1,85 @@
+// Parser for QIF bank statements. Records are made of single-letter field
+// lines and end with a "^" line.
+
+// QIF dates are US formatted, with variants like 1/31/2024, 01/31'24 or 1-31-24
+function parseQifDate(value) {
+  const match = value
+    ?.trim()
+    .match(/^(\d{1,2})[/-](\d{1,2})['/-]\s*(\d{2,4})$/);
+  if (!match) return undefined;
+
+  const [, month, day, rawYear] = match.map(Number);
+  const year = rawYear < 100 ? 2000 + rawYear : rawYear;
+  const date = new Date(year, month - 1, day);
+
+  return date.getMonth() === month - 1 ? date : undefined;
+}
+
+export function parseQif(text) {
+  const transactions = [];
+  const errors = [];
+
+  const lines = text.split(/\r?\n/);
+  if (!lines.some((line) => line.startsWith("!Type:"))) {
+    errors.push("Not a valid QIF file");
+    return { transactions, errors };
+  }
+
+  let record = {};
+  let recordNumber = 0;
+
+  for (const line of lines) {
+    const code = line.charAt(0);
+    const value = line.slice(1).trim();
+
+    switch (code) {
+      case "D":
+        record.date = value;
+        break;
+      case "T":
+      case "U":
+        record.amount = value;
+        break;
+      case "P":
+        record.payee = value;
+        break;
+      case "M":
+        record.memo = value;
+        break;
+      case "N":
+        record.checkNumber = value;
+        break;
+      case "L":
+        record.category = value;
+        break;
+      case "^": {
+        recordNumber++;
+        const amount = parseFloat(record.amount?.replace(/,/g, ""));
+        const date = parseQifDate(record.date);
+
+        if (isNaN(amount) || !date) {
+          errors.push(`Transaction ${recordNumber}: missing amount or date`);
+        } else {
+          transactions.push({
+            type: amount < 0 ? "EXPENSE" : "INCOME",
+            amount: Math.abs(amount),
+            date,
+            description: [record.payee, record.memo]
+              .filter(Boolean)
+              .join(" - "),
+            category: record.category,
+            importId:
+              record.checkNumber && /^\d+$/.test(record.checkNumber)
+                ? `check:${record.checkNumber}`
+                : undefined,
+          });
+        }
+
+        record = {};
+        break;
+      }
+    }
+  }
+
+  return { transactions, errors };
+}
@@ -0,0 +1,42 @@
+import { endOfDay } from "date-fns";
+import { getBalanceChanges } from "@/lib/balance";
+import { roundToCents, sumAmounts, toDecimal } from "@/lib/money";
+
+// How much a transaction moved the given account's balance. Incoming
+// transfers are stored on their source account but count here too.
+export function getAccountEffect(transaction, accountId) {
+  return getBalanceChanges(transaction)[accountId] || toDecimal(0);
+}
+
+// Whether a transaction belongs on a statement ending on `statementDate`,
+// including anything later that same day
+export function isOnStatement(transaction, statementDate) {
+  return new Date(transaction.date) <= endOfDay(new Date(statementDate));
+}
+
+// Balance the bank should show once the cleared transactions have posted: the
+// account balance without the open transactions that haven't cleared, or that
+// fall after the statement. `transactions` are the account's unreconciled
+// transactions; reconciled ones have cleared by definition.
+export function getClearedBalance(
+  balance,
+  transactions,
+  statementDate,
+  accountId
+) {
+  const uncleared = sumAmounts(
+    transactions
+      .filter(
+        (transaction) =>
+          !transaction.cleared || !isOnStatement(transaction, statementDate)
+      )
+      .map((transaction) => getAccountEffect(transaction, accountId))
+  );
+
+  return roundToCents(toDecimal(balance).minus(uncleared));
+}
+
+// Statement balance minus cleared balance; zero once everything matches
+export function getReconciliationDifference(statementBalance, clearedBalance) {
+  return roundToCents(toDecimal(statementBalance).minus(clearedBalance));
+}
@@ -0,0 +1,164 @@
+import {
+  addDays,
+  addMonths,
+  getDaysInMonth,
+  isWeekend,
+  lastDayOfMonth,
+  setDate,
+  subDays,
+} from "date-fns";
+
+// Recurring intervals, each a number of days or of months between
+// occurrences. `recurringEvery` multiplies it, so "every 3 weeks" is WEEKLY
+// every 3.
+export const RECURRING_INTERVALS = {
+  DAILY: { label: "Daily", unit: "day", days: 1 },
+  WEEKLY: { label: "Weekly", unit: "week", days: 7 },
+  BIWEEKLY: { label: "Every 2 weeks", unit: "fortnight", days: 14 },
+  MONTHLY: { label: "Monthly", unit: "month", months: 1 },
+  QUARTERLY: { label: "Quarterly", unit: "quarter", months: 3 },
+  YEARLY: { label: "Yearly", unit: "year", months: 12 },
+};
+
+// `recurringDay` value for the last weekday of the month
+export const LAST_BUSINESS_DAY = -1;
+
+// Whether a series can be pinned to a day of the month
+export function isMonthlyInterval(interval) {
+  return Boolean(RECURRING_INTERVALS[interval]?.months);
+}
+
+// Short description of a series' schedule, e.g. "Every 3 months on day 15"
+export function describeSchedule({
+  recurringInterval,
+  recurringEvery = 1,
+  recurringDay = null,
+}) {
+  const interval = RECURRING_INTERVALS[recurringInterval];
+  if (!interval) return "";
+
+  let description =
+    recurringEvery > 1
+      ? `Every ${recurringEvery} ${interval.unit}s`
+      : interval.label;
+
+  if (recurringDay === LAST_BUSINESS_DAY) {
+    description += " on the last business day";
+  } else if (recurringDay && isMonthlyInterval(recurringInterval)) {
+    description += ` on day ${recurringDay}`;
+  }
+
+  return description;
+}
+
+// `day` of the month containing `date`. Days past the end of a short month
+// fall on its last day; LAST_BUSINESS_DAY steps back from the end over the
+// weekend.
+function onDayOfMonth(date, day) {
+  if (day === LAST_BUSINESS_DAY) {
+    let lastDay = lastDayOfMonth(date);
+    while (isWeekend(lastDay)) lastDay = subDays(lastDay, 1);
+    return lastDay;
+  }
+
+  return setDate(date, Math.min(day, getDaysInMonth(date)));
+}
+
+// Date of occurrence `index` of a series, the original transaction's date
+// being occurrence 0. Each date is counted from the start rather than the
+// previous occurrence, so a series starting on the 31st doesn't drift to the
+// 28th after February.
+export function getOccurrenceDate(series, index) {
+  const start = new Date(series.date);
+  if (index === 0) return start;
+
+  const interval = RECURRING_INTERVALS[series.recurringInterval];
+  const steps = index * (series.recurringEvery || 1);
+
+  if (interval.days) return addDays(start, steps * interval.days);
+
+  const date = addMonths(start, steps * interval.months);
+  return series.recurringDay ? onDayOfMonth(date, series.recurringDay) : date;
+}
+
+// Date of the series' next occurrence after the `occurrenceCount` it has had,
+// and later than `after` when given, or null once it has reached its end date
+// or maximum number of occurrences
+export function getNextRecurringDate(series, after = null) {
+  if (!series.isRecurring || !series.recurringInterval) return null;
+
+  const count = series.occurrenceCount ?? 1;
+  if (
+    series.recurringMaxOccurrences &&
+    count >= series.recurringMaxOccurrences
+  ) {
+    return null;
+  }
+
+  let index = count;
+  let next = getOccurrenceDate(series, index);
+  while (after && next <= after) {
+    next = getOccurrenceDate(series, ++index);
+  }
+  if (series.recurringEndDate && next > new Date(series.recurringEndDate)) {
+    return null;
+  }
+
+  return next;
+}
+
+// Move a series past every date it was scheduled for up to `until` without
+// creating them. Each passed date counts as one of its occurrences, as a
+// created one does, so a series with a maximum number of occurrences ends on
+// the date it was scheduled to however many were skipped or paused.
+export function passOccurrencesUntil(series, until) {
+  let occurrenceCount = series.occurrenceCount;
+  let nextRecurringDate = series.nextRecurringDate;
+
+  while (nextRecurringDate && nextRecurringDate <= until) {
+    occurrenceCount++;
+    nextRecurringDate = getNextRecurringDate(
+      { ...series, occurrenceCount },
+      nextRecurringDate
+    );
+  }
+
+  return { occurrenceCount, nextRecurringDate };
+}
+
+function toRecurringDay(value) {
+  const day = parseInt(value, 10);
+  if (day === LAST_BUSINESS_DAY) return day;
+  return day >= 1 && day <= 31 ? day : null;
+}
+
+// Recurring fields for saving a transaction from the transaction form, typed
+// for the database and cleared when the transaction doesn't recur
+export function getRecurringFields(data) {
+  if (!data.isRecurring || !data.recurringInterval) {
+    return {
+      isRecurring: false,
+      recurringInterval: null,
+      recurringEvery: 1,
+      recurringDay: null,
+      recurringEndDate: null,
+      recurringMaxOccurrences: null,
+      recurringPausedAt: null,
+      recurringAmount: null,
+      recurringDescription: null,
+    };
+  }
+
+  const toInt = (value) => parseInt(value, 10) || null;
+
+  return {
+    isRecurring: true,
+    recurringInterval: data.recurringInterval,
+    recurringEvery: toInt(data.recurringEvery) || 1,
+    recurringDay: isMonthlyInterval(data.recurringInterval)
+      ? toRecurringDay(data.recurringDay)
+      : null,
+    recurringEndDate: data.recurringEndDate || null,
+    recurringMaxOccurrences: toInt(data.recurringMaxOccurrences),
+  };
+}
@@ -0,0 +1,93 @@
+import { db } from "@/lib/prisma";
+import { getFallbackCategory } from "@/data/categories";
+import { toDecimal } from "@/lib/money";
+import { normalizeTags } from "@/lib/tags";
+import { isSafeRegex } from "@/lib/safe-regex";
+
+// Active rules in the order they run
+export async function getActiveRules(userId) {
+  return db.rule.findMany({
+    where: { userId, isActive: true },
+    orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+  });
+}
+
+// Descriptions are matched case-insensitively; the amount range is inclusive
+export function matchesRule(rule, transaction) {
+  const description = (transaction.description || "").toLowerCase();
+  const value = rule.matchValue.toLowerCase();
+
+  let matched = false;
+  switch (rule.matchType) {
+    case "CONTAINS":
+      matched = description.includes(value);
+      break;
+    case "EQUALS":
+      matched = description.trim() === value.trim();
+      break;
+    case "STARTS_WITH":
+      matched = description.trimStart().startsWith(value);
+      break;
+    case "REGEX":
+      // Rules saved before patterns were checked may still hold unsafe ones
+      matched =
+        isSafeRegex(rule.matchValue) &&
+        new RegExp(rule.matchValue, "i").test(transaction.description || "");
+      break;
+  }
+
+  if (!matched) return false;
+
+  const amount = toDecimal(transaction.amount);
+  if (rule.minAmount != null && amount.lt(rule.minAmount)) return false;
+  if (rule.maxAmount != null && amount.gt(rule.maxAmount)) return false;
+
+  return true;
+}
+
+// Run `rules` (in priority order) against a transaction. The first matching
+// rule with an active category of the transaction's type decides the
+// category; tags are collected from every matching rule. Transfers are never
+// touched.
+export function evaluateRules(rules, transaction, categoryMap) {
+  const result = { category: null, subcategory: null, tags: [], ruleIds: [] };
+  if (transaction.type === "TRANSFER") return result;
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, transaction)) continue;
+
+    let applied = false;
+    const category = rule.category && categoryMap[rule.category];
+    if (
+      !result.category &&
+      category &&
+      !category.isArchived &&
+      category.type === transaction.type
+    ) {
+      result.category = rule.category;
+      result.subcategory = rule.subcategory || null;
+      applied = true;
+    }
+
+    if (rule.tags.length > 0) {
+      result.tags.push(...rule.tags);
+      applied = true;
+    }
+
+    if (applied) result.ruleIds.push(rule.id);
+  }
+
+  result.tags = normalizeTags(result.tags);
+  return result;
+}
+
+// Rules only pick the category of new transactions that don't have one yet or
+// are filed under the catch-all "other" category, so a category chosen by
+// hand or read from a statement is never overridden
+export function isUncategorized(transaction, categories) {
+  return (
+    !transaction.category ||
+    transaction.category ===
+      getFallbackCategory(categories, transaction.type)?.id
+  );
+}
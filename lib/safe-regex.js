@@ -0,0 +1,69 @@
+// Regexes users write are run against every transaction, and JavaScript's
+// engine backtracks, so a pattern like (a+)+$ can hang the server on a long
+// enough description. Patterns are only run when they can't do that: no
+// repeated group that itself repeats or has alternatives, and no
+// backreferences, which can't be matched without backtracking.
+
+// Longest pattern that's run
+export const MAX_REGEX_LENGTH = 200;
+
+// Length of the group prefix starting at `i`, such as ?: or ?<name>
+function groupPrefixLength(pattern, i) {
+  if (pattern[i] !== "?") return 0;
+  if (pattern[i + 1] === "<" && !"=!".includes(pattern[i + 2])) {
+    return pattern.indexOf(">", i) - i + 1;
+  }
+  return pattern[i + 1] === "<" ? 3 : 2;
+}
+
+function isRepeat(char) {
+  return char === "*" || char === "+" || char === "{";
+}
+
+export function isSafeRegex(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH) return false;
+
+  try {
+    new RegExp(pattern);
+  } catch {
+    return false;
+  }
+
+  // Open groups, innermost last: whether each repeats anything inside or has
+  // alternatives
+  const groups = [{ repeats: false, alternates: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+
+    if (char === "\\") {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || next === "k") return false;
+      i++;
+    } else if (char === "[") {
+      // Skip the character class; it matches a single character
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      groups.push({ repeats: false, alternates: false });
+      i += groupPrefixLength(pattern, i + 1);
+    } else if (char === ")") {
+      const closed = groups.pop();
+      const parent = groups[groups.length - 1];
+      if (isRepeat(pattern[i + 1])) {
+        if (closed.repeats || closed.alternates) return false;
+        parent.repeats = true;
+      } else {
+        parent.repeats ||= closed.repeats;
+      }
+    } else if (char === "|") {
+      group.alternates = true;
+    } else if (isRepeat(char)) {
+      group.repeats = true;
+    }
+  }
+
+  return true;
+}
@@ -0,0 +1,45 @@
+import { sumAmounts, toDecimal } from "@/lib/money";
+
+// Category lines a transaction counts towards in reports and budgets. A split
+// transaction counts each of its lines; anything else counts its full amount
+// against its own category. Amounts are Decimals.
+export function getCategoryAmounts(transaction) {
+  if (transaction.splits?.length) {
+    return transaction.splits.map((split) => ({
+      category: split.category,
+      amount: toDecimal(split.amount),
+    }));
+  }
+
+  return [
+    { category: transaction.category, amount: toDecimal(transaction.amount) },
+  ];
+}
+
+// Validate split lines against the transaction total and pick the category
+// the transaction itself is filed under: the largest line, so views that
+// only look at a single category still show something sensible
+export function normalizeSplits(transaction, splits = []) {
+  if (transaction.type === "TRANSFER" || splits.length === 0) {
+    return { category: transaction.category, splits: [] };
+  }
+
+  if (splits.length < 2) {
+    throw new Error("A split needs at least two category lines");
+  }
+
+  const lines = splits.map(({ category, amount, description }) => ({
+    category,
+    amount: toDecimal(amount),
+    description: description || null,
+  }));
+
+  const total = sumAmounts(lines.map((line) => line.amount));
+  if (!total.equals(toDecimal(transaction.amount))) {
+    throw new Error("Split amounts must add up to the transaction amount");
+  }
+
+  const largest = lines.reduce((a, b) => (b.amount.gt(a.amount) ? b : a));
+
+  return { category: largest.category, splits: lines };
+}
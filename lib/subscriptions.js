@@ -0,0 +1,182 @@
+import {
+  addDays,
+  addMonths,
+  differenceInCalendarDays,
+  startOfDay,
+  subMonths,
+} from "date-fns";
+import { db } from "@/lib/prisma";
+import { countedTransactions } from "@/lib/integrity";
+import { RECURRING_INTERVALS } from "@/lib/recurring";
+import { toDecimal } from "@/lib/money";
+
+// Intervals a subscription can be charged at: the usual number of days
+// between charges, how many days a charge can be early or late, and how many
+// charges it takes to call it a subscription
+const CADENCES = [
+  { interval: "WEEKLY", days: 7, tolerance: 1, minCharges: 3 },
+  { interval: "BIWEEKLY", days: 14, tolerance: 2, minCharges: 3 },
+  { interval: "MONTHLY", days: 30.44, tolerance: 4, minCharges: 3 },
+  { interval: "QUARTERLY", days: 91.31, tolerance: 8, minCharges: 3 },
+  { interval: "YEARLY", days: 365.25, tolerance: 15, minCharges: 2 },
+];
+
+// Long enough to see two yearly charges
+const HISTORY_MONTHS = 25;
+
+// Charges count as the same subscription within this share of the latest
+// one, so small price changes or currency rounding don't break a run
+const AMOUNT_TOLERANCE = 0.1;
+
+// Key charges from the same merchant share: the description without digits,
+// which are often references, dates or card numbers that change every time
+export function normalizeMerchant(description) {
+  return (description || "")
+    .toLowerCase()
+    .replace(/\(recurring\)/g, "")
+    .replace(/[^\p{L}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function getChargesPerYear(interval) {
+  const { days, months } = RECURRING_INTERVALS[interval];
+  return days ? 365 / days : 12 / months;
+}
+
+export function getAnnualCost(subscription) {
+  return toDecimal(subscription.amount)
+    .times(getChargesPerYear(subscription.interval))
+    .toDecimalPlaces(2);
+}
+
+function getNextChargeDate(date, interval) {
+  const { days, months } = RECURRING_INTERVALS[interval];
+  return days ? addDays(date, days) : addMonths(date, months);
+}
+
+// The cadence the latest charges repeat at, and how many charges in a row,
+// counting back from the latest, keep to it. `charges` are oldest first.
+function findCadence(charges) {
+  for (const cadence of CADENCES) {
+    let count = 1;
+    for (let i = charges.length - 1; i > 0; i--) {
+      const gap = differenceInCalendarDays(
+        charges[i].date,
+        charges[i - 1].date
+      );
+      if (Math.abs(gap - cadence.days) > cadence.tolerance) break;
+      count++;
+    }
+
+    if (count >= cadence.minCharges) return { ...cadence, count };
+  }
+
+  return null;
+}
+
+// Look through a user's one-off expenses for charges from the same merchant,
+// for about the same amount, at a regular interval, and save what's found.
+// Only subscriptions still being charged count: one whose next charge is
+// overdue has probably been cancelled. Earlier detections that no longer hold
+// are removed, while dismissed and converted ones are kept so they aren't
+// brought up again. Returns the number of subscriptions found.
+export async function detectSubscriptions(userId) {
+  const today = startOfDay(new Date());
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      ...countedTransactions,
+      userId,
+      type: "EXPENSE",
+      // Occurrences of a series are already recurring
+      isRecurring: false,
+      recurringParentId: null,
+      date: { gte: subMonths(today, HISTORY_MONTHS) },
+      account: { archivedAt: null },
+    },
+    select: {
+      id: true,
+      description: true,
+      amount: true,
+      date: true,
+      accountId: true,
+    },
+    orderBy: { date: "asc" },
+  });
+
+  const groups = new Map();
+  for (const transaction of transactions) {
+    const merchant = normalizeMerchant(transaction.description);
+    if (!merchant) continue;
+
+    const key = `${transaction.accountId}:${merchant}`;
+    if (!groups.has(key)) groups.set(key, { merchant, charges: [] });
+    groups.get(key).charges.push(transaction);
+  }
+
+  const detected = [];
+  for (const { merchant, charges } of groups.values()) {
+    const latest = charges[charges.length - 1];
+    const latestAmount = toDecimal(latest.amount);
+    const similar = charges.filter((charge) =>
+      toDecimal(charge.amount)
+        .minus(latestAmount)
+        .abs()
+        .lte(latestAmount.times(AMOUNT_TOLERANCE))
+    );
+
+    const cadence = findCadence(similar);
+    if (!cadence) continue;
+
+    const nextChargeAt = getNextChargeDate(latest.date, cadence.interval);
+    if (differenceInCalendarDays(today, nextChargeAt) > cadence.tolerance) {
+      continue;
+    }
+
+    detected.push({
+      merchant,
+      accountId: latest.accountId,
+      description: latest.description,
+      amount: latest.amount,
+      interval: cadence.interval,
+      chargeCount: cadence.count,
+      lastChargedAt: latest.date,
+      nextChargeAt,
+      lastTransactionId: latest.id,
+    });
+  }
+
+  const previous = await db.subscription.findMany({
+    where: { userId, status: "DETECTED" },
+    select: { id: true, accountId: true, merchant: true },
+  });
+  const stale = previous.filter(
+    (subscription) =>
+      !detected.some(
+        (s) =>
+          s.accountId === subscription.accountId &&
+          s.merchant === subscription.merchant
+      )
+  );
+
+  await db.$transaction([
+    db.subscription.deleteMany({
+      where: { id: { in: stale.map((subscription) => subscription.id) } },
+    }),
+    ...detected.map((subscription) =>
+      db.subscription.upsert({
+        where: {
+          accountId_merchant: {
+            accountId: subscription.accountId,
+            merchant: subscription.merchant,
+          },
+        },
+        create: { ...subscription, userId },
+        update: subscription,
+      })
+    ),
+  ]);
+
+  return detected.length;
+}
@@ -0,0 +1,47 @@
+import { toDecimal } from "@/lib/money";
+
+const MAX_TAG_LENGTH = 32;
+
+// Tags are stored lowercase with dashes for spaces, so "Vacation 2026" and
+// "vacation-2026" are the same tag
+export function normalizeTagName(name) {
+  return String(name ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+// Normalize a list of tag names, dropping blanks and duplicates
+export function normalizeTags(names = []) {
+  return [...new Set(names.map(normalizeTagName).filter(Boolean))];
+}
+
+// Prisma relation input that links a transaction to the named tags, creating
+// any the user doesn't have yet
+export function connectTags(names, userId) {
+  return normalizeTags(names).map((name) => ({
+    where: { userId_name: { userId, name } },
+    create: { name, userId },
+  }));
+}
+
+// Income and expense totals per tag. A transaction with several tags counts
+// towards each of them, so the totals don't add up to the overall figures.
+// Totals are Decimals.
+export function getTagTotals(transactions) {
+  return transactions.reduce((totals, transaction) => {
+    if (transaction.type === "TRANSFER") return totals;
+
+    for (const tag of transaction.tags || []) {
+      if (!totals[tag.name]) {
+        totals[tag.name] = { income: toDecimal(0), expenses: toDecimal(0) };
+      }
+      const field = transaction.type === "EXPENSE" ? "expenses" : "income";
+      totals[tag.name][field] = totals[tag.name][field].plus(
+        transaction.amount
+      );
+    }
+    return totals;
+  }, {});
+}
@@ -0,0 +1,61 @@
+// Search, filter and sort transactions the way TransactionTable shows them.
+// Shared with the export action so exports match what is on screen.
+export function filterAndSortTransactions(
+  transactions,
+  { searchTerm, typeFilter, recurringFilter, tagFilter, sortConfig }
+) {
+  let result = [...transactions];
+
+  // Apply search filter
+  if (searchTerm) {
+    const searchLower = searchTerm.toLowerCase();
+    result = result.filter((transaction) =>
+      transaction.description?.toLowerCase().includes(searchLower)
+    );
+  }
+
+  // Apply type filter
+  if (typeFilter) {
+    result = result.filter((transaction) => transaction.type === typeFilter);
+  }
+
+  // Apply recurring filter
+  if (recurringFilter) {
+    result = result.filter((transaction) => {
+      if (recurringFilter === "recurring") return transaction.isRecurring;
+      return !transaction.isRecurring;
+    });
+  }
+
+  // Apply tag filter
+  if (tagFilter) {
+    result = result.filter((transaction) =>
+      transaction.tags?.some((tag) => tag.name === tagFilter)
+    );
+  }
+
+  // Apply sorting
+  if (sortConfig) {
+    result.sort((a, b) => {
+      let comparison = 0;
+
+      switch (sortConfig.field) {
+        case "date":
+          comparison = new Date(a.date) - new Date(b.date);
+          break;
+        case "amount":
+          comparison = a.amount - b.amount;
+          break;
+        case "category":
+          comparison = a.category.localeCompare(b.category);
+          break;
+        default:
+          comparison = 0;
+      }
+
+      return sortConfig.direction === "asc" ? comparison : -comparison;
+    });
+  }
+
+  return result;
+}
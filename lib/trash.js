@@ -0,0 +1,14 @@
+import { addDays, subDays } from "date-fns";
+
+// Deleted transactions stay in the trash this long before they are purged
+export const TRASH_RETENTION_DAYS = 30;
+
+// When a transaction deleted at `deletedAt` will be purged
+export function getPurgeDate(deletedAt) {
+  return addDays(new Date(deletedAt), TRASH_RETENTION_DAYS);
+}
+
+// Transactions deleted before this date are due to be purged
+export function getPurgeCutoff(now = new Date()) {
+  return subDays(now, TRASH_RETENTION_DAYS);
+}
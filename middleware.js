@@ -6,6 +6,14 @@ const isProtectedRoute = createRouteMatcher([
   "/dashboard(.*)",
   "/account(.*)",
   "/transaction(.*)",
+  "/categories(.*)",
+  "/rules(.*)",
+  "/currencies(.*)",
+  "/net-worth(.*)",
+  "/upcoming(.*)",
+  "/subscriptions(.*)",
+  "/trash(.*)",
+  "/admin(.*)",
 ]);
 
 // Create Arcjet middleware
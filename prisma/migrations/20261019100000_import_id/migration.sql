@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "importId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transactions_accountId_importId_key" ON "transactions"("accountId", "importId");
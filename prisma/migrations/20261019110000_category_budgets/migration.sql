@@ -0,0 +1,15 @@
+/*
+  Warnings:
+
+  - A unique constraint covering the columns `[userId,category]` on the table `budgets` will be added. If there are existing duplicate values, this will fail.
+
+*/
+-- DropIndex
+DROP INDEX "budgets_userId_key";
+
+-- AlterTable
+ALTER TABLE "budgets" ADD COLUMN     "alertThreshold" INTEGER NOT NULL DEFAULT 80,
+ADD COLUMN     "category" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "budgets_userId_category_key" ON "budgets"("userId", "category");
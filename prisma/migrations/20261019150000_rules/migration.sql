@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "RuleMatchType" AS ENUM ('CONTAINS', 'EQUALS', 'STARTS_WITH', 'REGEX');
+
+-- CreateTable
+CREATE TABLE "rules" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "priority" INTEGER NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "matchType" "RuleMatchType" NOT NULL,
+    "matchValue" TEXT NOT NULL,
+    "minAmount" DECIMAL(65,30),
+    "maxAmount" DECIMAL(65,30),
+    "category" TEXT,
+    "subcategory" TEXT,
+    "tags" TEXT[],
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "rules_userId_idx" ON "rules"("userId");
+
+-- AddForeignKey
+ALTER TABLE "rules" ADD CONSTRAINT "rules_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
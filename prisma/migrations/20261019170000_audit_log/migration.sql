@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "AuditEntityType" AS ENUM ('TRANSACTION', 'ACCOUNT', 'BUDGET');
+
+-- CreateEnum
+CREATE TYPE "AuditAction" AS ENUM ('CREATE', 'UPDATE', 'DELETE', 'RESTORE', 'PURGE');
+
+-- CreateEnum
+CREATE TYPE "AuditSource" AS ENUM ('UI', 'IMPORT', 'RECURRING', 'RECEIPT_SCAN', 'RULE', 'SYSTEM');
+
+-- CreateTable
+CREATE TABLE "audit_logs" (
+    "id" TEXT NOT NULL,
+    "entityType" "AuditEntityType" NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "action" "AuditAction" NOT NULL,
+    "source" "AuditSource" NOT NULL,
+    "oldValues" JSONB,
+    "newValues" JSONB,
+    "accountId" TEXT,
+    "actorId" TEXT,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_logs_userId_idx" ON "audit_logs"("userId");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_entityType_entityId_idx" ON "audit_logs"("entityType", "entityId");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_accountId_idx" ON "audit_logs"("accountId");
+
+-- AddForeignKey
+ALTER TABLE "audit_logs" ADD CONSTRAINT "audit_logs_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "cleared" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "reconciliationId" TEXT;
+
+-- CreateTable
+CREATE TABLE "reconciliations" (
+    "id" TEXT NOT NULL,
+    "statementDate" TIMESTAMP(3) NOT NULL,
+    "statementBalance" DECIMAL(65,30) NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reconciliations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transactions_reconciliationId_idx" ON "transactions"("reconciliationId");
+
+-- CreateIndex
+CREATE INDEX "reconciliations_accountId_idx" ON "reconciliations"("accountId");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_reconciliationId_fkey" FOREIGN KEY ("reconciliationId") REFERENCES "reconciliations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reconciliations" ADD CONSTRAINT "reconciliations_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reconciliations" ADD CONSTRAINT "reconciliations_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
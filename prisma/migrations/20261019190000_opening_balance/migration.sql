@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "accounts" ADD COLUMN     "openingBalance" DECIMAL(65,30) NOT NULL DEFAULT 0;
+
+-- Backfill: take the current balances as correct and work back to what each
+-- account held before its transactions. Trashed and failed transactions never
+-- moved any money.
+UPDATE "accounts" a
+SET "openingBalance" = a."balance"
+  - COALESCE((
+    SELECT SUM(CASE WHEN t."type" = 'INCOME' THEN t."amount" ELSE -t."amount" END)
+    FROM "transactions" t
+    WHERE t."accountId" = a."id"
+      AND t."deletedAt" IS NULL
+      AND t."status" <> 'FAILED'
+  ), 0)
+  - COALESCE((
+    SELECT SUM(t."amount")
+    FROM "transactions" t
+    WHERE t."transferAccountId" = a."id"
+      AND t."type" = 'TRANSFER'
+      AND t."deletedAt" IS NULL
+      AND t."status" <> 'FAILED'
+  ), 0);
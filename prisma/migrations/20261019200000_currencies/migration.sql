@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "ExchangeRateSource" AS ENUM ('MANUAL', 'IMPORT');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "baseCurrency" TEXT NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "accounts" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- CreateTable
+CREATE TABLE "exchange_rates" (
+    "id" TEXT NOT NULL,
+    "fromCurrency" TEXT NOT NULL,
+    "toCurrency" TEXT NOT NULL,
+    "rate" DECIMAL(65,30) NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "source" "ExchangeRateSource" NOT NULL DEFAULT 'MANUAL',
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "exchange_rates_userId_idx" ON "exchange_rates"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "exchange_rates_userId_fromCurrency_toCurrency_date_key" ON "exchange_rates"("userId", "fromCurrency", "toCurrency", "date");
+
+-- AddForeignKey
+ALTER TABLE "exchange_rates" ADD CONSTRAINT "exchange_rates_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterEnum
+ALTER TYPE "AccountType" ADD VALUE 'CREDIT_CARD';
+ALTER TYPE "AccountType" ADD VALUE 'LOAN';
+ALTER TYPE "AccountType" ADD VALUE 'CASH';
+ALTER TYPE "AccountType" ADD VALUE 'INVESTMENT';
+
+-- AlterTable
+ALTER TABLE "accounts" ADD COLUMN     "creditLimit" DECIMAL(65,30),
+ADD COLUMN     "institution" TEXT,
+ADD COLUMN     "interestRate" DECIMAL(65,30),
+ADD COLUMN     "paymentDueDay" INTEGER,
+ADD COLUMN     "statementDay" INTEGER;
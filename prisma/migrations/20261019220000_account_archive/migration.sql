@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "accounts" ADD COLUMN     "archivedAt" TIMESTAMP(3);
@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "RecurringInterval" ADD VALUE 'BIWEEKLY';
+ALTER TYPE "RecurringInterval" ADD VALUE 'QUARTERLY';
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "occurrenceCount" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "recurringDay" INTEGER,
+ADD COLUMN     "recurringEndDate" TIMESTAMP(3),
+ADD COLUMN     "recurringEvery" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "recurringMaxOccurrences" INTEGER;
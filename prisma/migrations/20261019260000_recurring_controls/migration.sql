@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "recurringAmount" DECIMAL(65,30),
+ADD COLUMN     "recurringDescription" TEXT,
+ADD COLUMN     "recurringPausedAt" TIMESTAMP(3);
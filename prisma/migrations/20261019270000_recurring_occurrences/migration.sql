@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "recurringDate" TIMESTAMP(3),
+ADD COLUMN     "recurringParentId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transactions_recurringParentId_recurringDate_key" ON "transactions"("recurringParentId", "recurringDate");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_recurringParentId_fkey" FOREIGN KEY ("recurringParentId") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;